@@ -24,6 +24,8 @@ import {
     setExternalAbortController,
     appendMediaToMessage,
     generateQuietPrompt,
+    updateMessageBlock,
+    saveChatConditional,
 } from "../../../../script.js";
 
 // Import World Info functions for summarization feature
@@ -71,11 +73,24 @@ let ws = null;
  * @property {boolean} isStreaming - Whether streaming is active
  * @property {number} startMessageIndex - Chat index when request started
  * @property {MediaItem[]} collectedMedia - Media collected during this request
+ * @property {UserMessageReference[]} userMessages - Telegram user messages added to the chat by this request
+ */
+
+/**
+ * @typedef {Object} UserMessageReference
+ * @property {number} telegramMessageId - Telegram message ID
+ * @property {number} mesId - Chat index the message was stored at
  */
 
 /** @type {ActiveRequest|null} */
 let activeRequest = null;
 
+/**
+ * Persona that was active before the bridge first switched it, restored for users without one
+ * @type {string|null}
+ */
+let personaBeforeBridge = null;
+
 // ============================================================================
 // UTILITY FUNCTIONS
 // ============================================================================
@@ -517,6 +532,18 @@ async function handleWebSocketMessage(event) {
             return;
         }
 
+        // --- Text-to-speech request (voice replies) ---
+        if (data.type === 'tts_request') {
+            await handleTtsRequest(data);
+            return;
+        }
+
+        // --- Character card request (bot profile sync) ---
+        if (data.type === 'profile_request') {
+            handleProfileRequest(data);
+            return;
+        }
+
     } catch (error) {
         log('error', 'Error processing message:', error);
         if (data && data.chatId && data.botId) {
@@ -562,6 +589,30 @@ async function handleExecuteCommand(data) {
                 }
                 break;
 
+            // --- Bind Chat File (queued) ---
+            // Opens the chat file of the Telegram chat, or starts a new chat for first-time users
+            case 'bindchat':
+                result = await openBoundChat(data.args?.[0]);
+                break;
+
+            // --- Persona Switch (queued) ---
+            case 'setpersona':
+                // Without a name, users without a persona get the one active before the bridge switched it
+                result = data.args?.length ? await switchToPersona(data.args.join(' ')) : await restorePersona();
+                break;
+
+            // --- List / Select Persona ---
+            case 'persona':
+                if (!data.args || data.args.length === 0) {
+                    result = listPersonas();
+                } else {
+                    result = await switchToPersona(data.args.join(' '));
+                    if (result.success) {
+                        result.message = `Persona set to ${result.persona}.`;
+                    }
+                }
+                break;
+
             // --- New Chat ---
             case 'new':
                 await doNewChat({ deleteCurrentChat: false });
@@ -571,6 +622,32 @@ async function handleExecuteCommand(data) {
                 };
                 break;
 
+            // --- Start Over With the Greeting ---
+            // Note: The server has already opened a fresh chat. The greeting reply releases the job,
+            // so we return early unless the character has no greeting
+            case 'start':
+                result = await sendGreeting(chatId, botId, data.characterName, data.args?.[0]);
+                if (!result) {
+                    return;
+                }
+                break;
+
+            // --- Pick Another Greeting ---
+            // Note: On success the updated greeting releases the job, so we return early
+            case 'select_greeting':
+                if (activeRequest) {
+                    result = {
+                        success: false,
+                        message: 'Generation in progress, the greeting was not changed.'
+                    };
+                } else {
+                    result = await sendGreeting(chatId, botId, data.characterName, data.args?.[0], true);
+                    if (!result) {
+                        return;
+                    }
+                }
+                break;
+
             // --- List Chats ---
             case 'listchats':
                 if (context.characterId === undefined) {
@@ -579,7 +656,7 @@ async function handleExecuteCommand(data) {
                         message: 'No character selected.'
                     };
                 } else {
-                    const chatFiles = await getPastCharacterChats(context.characterId);
+                    const chatFiles = filterAllowedChats(await getPastCharacterChats(context.characterId), data.allowedChatFiles);
                     if (chatFiles.length > 0) {
                         let replyText = 'Chat logs for current character:\n\n';
                         chatFiles.forEach((chat, index) => {
@@ -604,6 +681,12 @@ async function handleExecuteCommand(data) {
                         success: false,
                         message: 'Please provide a chat log name.'
                     };
+                } else if (Array.isArray(data.allowedChatFiles) && !data.allowedChatFiles.includes(data.args.join(' '))) {
+                    // With bound chats, only the chat files of the Telegram chat may be opened
+                    result = {
+                        success: false,
+                        message: `Chat log "${data.args.join(' ')}" is not one of your chats.`
+                    };
                 } else {
                     const targetChatFile = data.args.join(' ');
                     try {
@@ -663,6 +746,81 @@ async function handleExecuteCommand(data) {
                 }
                 break;
 
+            // --- Regenerate / Continue Latest Reply ---
+            // Note: The resulting reply (or error) releases the job, so we return early
+            // to avoid sending command_executed
+            case 'regenerate':
+            case 'continue':
+                if (activeRequest) {
+                    result = {
+                        success: false,
+                        message: 'Generation already in progress.'
+                    };
+                } else if (!hasTrailingAiReply()) {
+                    result = {
+                        success: false,
+                        message: 'There is no AI reply to ' + data.command + '.'
+                    };
+                } else {
+                    const replyIndex = SillyTavern.getContext().chat.length - 1;
+                    await setupAndRunGeneration(chatId, botId, data.characterName, replyIndex, data.command);
+                    return;
+                }
+                break;
+
+            // --- Swipe Latest Reply ---
+            // Note: On success the updated reply releases the job, so we return early
+            case 'swipe':
+                if (activeRequest) {
+                    result = {
+                        success: false,
+                        message: 'Generation already in progress.'
+                    };
+                } else if (!hasTrailingAiReply()) {
+                    result = {
+                        success: false,
+                        message: 'There is no AI reply to swipe.'
+                    };
+                } else {
+                    result = await swipeLastReply(chatId, botId, data.characterName, data.args?.[0]);
+                    if (result.success) {
+                        return;
+                    }
+                }
+                break;
+
+            // --- Edited Telegram Message ---
+            // Note: If the reply is regenerated, the reply releases the job, so we return early
+            case 'edit_message':
+                if (activeRequest) {
+                    result = {
+                        success: false,
+                        message: 'Generation in progress, your edit was not applied.'
+                    };
+                } else {
+                    result = await editUserMessage(chatId, botId, data.characterName, data.edit);
+                    if (!result) {
+                        return;
+                    }
+                }
+                break;
+
+            // --- Delete Latest Reply ---
+            case 'delete_reply':
+                if (activeRequest) {
+                    result = {
+                        success: false,
+                        message: 'Generation in progress, cannot delete now.'
+                    };
+                } else {
+                    const deletedCount = await deleteTrailingAiReply();
+                    result = {
+                        success: deletedCount > 0,
+                        message: deletedCount > 0 ? '' : 'There is no AI reply to delete.'
+                    };
+                }
+                break;
+
             // --- Switch Model/Profile ---
             case 'switchmodel':
                 if (!data.args || data.args.length === 0) {
@@ -732,7 +890,7 @@ async function handleExecuteCommand(data) {
                         };
                     } else {
                         const index = parseInt(chatMatch[1]) - 1;
-                        const chatFiles = await getPastCharacterChats(context.characterId);
+                        const chatFiles = filterAllowedChats(await getPastCharacterChats(context.characterId), data.allowedChatFiles);
 
                         if (index >= 0 && index < chatFiles.length) {
                             const targetChat = chatFiles[index];
@@ -782,19 +940,343 @@ async function handleExecuteCommand(data) {
         chatId: chatId,
         botId: botId,
         characterName: data.characterName || data.args?.[0],
+        chatFile: SillyTavern.getContext().getCurrentChatId(),
+        persona: result.persona,
         isQueuedSwitch: isQueuedSwitch
     });
 }
 
+/**
+ * Gets the names of all SillyTavern personas
+ * @returns {string[]} Persona names
+ */
+function getPersonaNames() {
+    return Object.values(SillyTavern.getContext().powerUserSettings?.personas || {});
+}
+
+/**
+ * Lists the available personas, marking the active one
+ * @returns {{success: boolean, message: string}}
+ */
+function listPersonas() {
+    const personaNames = getPersonaNames();
+    if (personaNames.length === 0) {
+        return { success: true, message: 'No personas found in SillyTavern.' };
+    }
+
+    const activeName = SillyTavern.getContext().name1;
+    let replyText = 'Available personas:\n\n';
+    personaNames.forEach(name => {
+        replyText += `• ${name}${name === activeName ? ' (active)' : ''}\n`;
+    });
+    replyText += '\nUse /persona <name> to select one, or /persona clear for the default';
+    return { success: true, message: replyText };
+}
+
+/**
+ * Switches to a persona by name (case-insensitive)
+ * @param {string} name - Persona name
+ * @returns {Promise<{success: boolean, message: string, persona?: string}>}
+ */
+async function switchToPersona(name) {
+    const target = name.trim().toLowerCase();
+    const personaName = getPersonaNames().find(persona => persona.toLowerCase() === target);
+    if (!personaName) {
+        return { success: false, message: `Persona "${name}" not found. Use /persona to see available personas.` };
+    }
+
+    if (SillyTavern.getContext().name1 !== personaName) {
+        personaBeforeBridge ??= SillyTavern.getContext().name1;
+        log('log', `Switching to persona via slash command: /persona ${personaName}`);
+        // The slash command selects the persona's name and avatar like the persona panel does
+        await executeSlashCommands(`/persona ${personaName}`);
+    }
+    return { success: true, message: '', persona: personaName };
+}
+
+/**
+ * Restores the persona that was active before the bridge first switched it
+ * @returns {Promise<{success: boolean, message: string, persona?: string}>}
+ */
+async function restorePersona() {
+    if (personaBeforeBridge && SillyTavern.getContext().name1 !== personaBeforeBridge) {
+        log('log', `Restoring persona via slash command: /persona ${personaBeforeBridge}`);
+        await executeSlashCommands(`/persona ${personaBeforeBridge}`);
+    }
+    return { success: true, message: '', persona: SillyTavern.getContext().name1 };
+}
+
+/**
+ * Opens the chat file bound to a Telegram chat
+ * Starts a new chat if none is bound yet or the bound file no longer exists
+ * @param {string} [chatFile] - Bound chat file name (without extension)
+ * @returns {Promise<{success: boolean, message: string}>}
+ */
+async function openBoundChat(chatFile) {
+    const context = SillyTavern.getContext();
+
+    if (chatFile && context.getCurrentChatId() === chatFile) {
+        return { success: true, message: '' };
+    }
+
+    if (chatFile) {
+        const chatFiles = await getPastCharacterChats(context.characterId);
+        if (chatFiles.some(chat => chat.file_name.replace('.jsonl', '') === chatFile)) {
+            log('log', `Opening bound chat: ${chatFile}`);
+            await openCharacterChat(chatFile);
+            return { success: true, message: '' };
+        }
+        log('warn', `Bound chat "${chatFile}" no longer exists, starting a new chat`);
+    }
+
+    log('log', 'Starting a new chat for this Telegram chat');
+    await doNewChat({ deleteCurrentChat: false });
+    return { success: true, message: '' };
+}
+
+/**
+ * Keeps the chat files a Telegram chat may open: all of them, unless the server sent a list
+ * @param {Array<{file_name: string}>} chatFiles - Chat files of the character
+ * @param {string[]} [allowedChatFiles] - Chat file names (without .jsonl) the Telegram chat may open
+ * @returns {Array<{file_name: string}>} The allowed chat files, in the original order
+ */
+function filterAllowedChats(chatFiles, allowedChatFiles) {
+    if (!Array.isArray(allowedChatFiles)) {
+        return chatFiles;
+    }
+    return chatFiles.filter(chat => allowedChatFiles.includes(chat.file_name.replace('.jsonl', '')));
+}
+
+/**
+ * Checks whether the chat ends with an AI reply (the target of regenerate/continue/delete)
+ * @returns {boolean} True if the last message is a character message
+ */
+function hasTrailingAiReply() {
+    const chat = SillyTavern.getContext().chat;
+    const lastMessage = chat[chat.length - 1];
+    return Boolean(lastMessage && !lastMessage.is_user && !lastMessage.is_system);
+}
+
+/**
+ * Deletes the AI messages at the end of the chat, up to the last user message
+ * @returns {Promise<number>} Number of deleted messages
+ */
+async function deleteTrailingAiReply() {
+    let deleted = 0;
+    while (hasTrailingAiReply()) {
+        try {
+            await deleteLastMessage();
+            deleted++;
+        } catch (e) {
+            log('error', 'Failed to delete message:', e);
+            break;
+        }
+    }
+    return deleted;
+}
+
+/**
+ * Gets the swipe position of a chat message
+ * @param {Object} message - Chat message
+ * @returns {{index: number, count: number}|null} Swipe info, or null for user/system messages
+ */
+function getSwipeInfo(message) {
+    if (!message || message.is_user || message.is_system) {
+        return null;
+    }
+    const count = Array.isArray(message.swipes) ? message.swipes.length : 1;
+    return {
+        index: Math.min(message.swipe_id || 0, count - 1),
+        count: count,
+    };
+}
+
+/**
+ * Swipes the last AI message left or right, generating a new swipe past the last one
+ * The resulting text is sent through handleFinalMessage so the Telegram reply is updated in place
+ * @param {number} chatId - Telegram chat ID
+ * @param {string} botId - Bot identifier
+ * @param {string} characterName - Character being used
+ * @param {string} direction - 'left' or 'right'
+ * @returns {Promise<{success: boolean, message: string}>}
+ */
+async function swipeLastReply(chatId, botId, characterName, direction) {
+    const context = SillyTavern.getContext();
+    const messageIndex = context.chat.length - 1;
+    const message = context.chat[messageIndex];
+
+    if (!Array.isArray(message.swipes) || message.swipes.length === 0) {
+        message.swipes = [message.mes];
+        message.swipe_info = [{ send_date: message.send_date, extra: message.extra }];
+        message.swipe_id = 0;
+    }
+
+    if (direction !== 'left' && direction !== 'right') {
+        return { success: false, message: `Unknown swipe direction: ${direction}` };
+    }
+
+    const currentId = message.swipe_id || 0;
+    const targetId = direction === 'left' ? currentId - 1 : currentId + 1;
+
+    if (targetId < 0) {
+        return { success: false, message: 'This is the first swipe.' };
+    }
+
+    // Past the last swipe: generate a new one, the same way ST's swipe arrow does
+    if (targetId >= message.swipes.length) {
+        log('log', `Generating new swipe for message ${messageIndex}`);
+        message.swipe_id = message.swipes.length;
+        await setupAndRunGeneration(chatId, botId, characterName, messageIndex, 'swipe');
+
+        // Restore a valid swipe if generation failed
+        const lastMessage = SillyTavern.getContext().chat[messageIndex];
+        if (lastMessage && lastMessage.swipe_id >= lastMessage.swipes.length) {
+            lastMessage.swipe_id = lastMessage.swipes.length - 1;
+            lastMessage.mes = lastMessage.swipes[lastMessage.swipe_id];
+        }
+        return { success: true, message: '' };
+    }
+
+    log('log', `Swiping message ${messageIndex} to swipe ${targetId + 1}/${message.swipes.length}`);
+    await showSwipe(messageIndex, targetId);
+
+    await sendReplyFromChat(chatId, botId, characterName, messageIndex);
+    return { success: true, message: '' };
+}
+
+/**
+ * Shows an existing swipe of a chat message and saves the chat
+ * @param {number} messageIndex - Chat index of the message
+ * @param {number} swipeId - Swipe to show
+ */
+async function showSwipe(messageIndex, swipeId) {
+    const message = SillyTavern.getContext().chat[messageIndex];
+    message.swipe_id = swipeId;
+    message.mes = message.swipes[swipeId];
+
+    const swipeInfo = message.swipe_info?.[swipeId];
+    if (swipeInfo) {
+        message.send_date = swipeInfo.send_date;
+        message.gen_started = swipeInfo.gen_started;
+        message.gen_finished = swipeInfo.gen_finished;
+        message.extra = structuredClone(swipeInfo.extra || {});
+    }
+
+    updateMessageBlock(messageIndex, message);
+    await saveChatConditional();
+}
+
+/**
+ * Sends the greeting of a chat that has not started yet, optionally picking another greeting first
+ * The first message's swipes are the character's first_mes followed by its alternate_greetings
+ * @param {number} chatId - Telegram chat ID
+ * @param {string} botId - Bot identifier
+ * @param {string} characterName - Character being used
+ * @param {number} [greetingIndex] - Greeting to show (0 = first_mes), keeps the current one if omitted
+ * @param {boolean} [isPick=false] - Whether the user picked the greeting, which fails once the chat has started
+ * @returns {Promise<{success: boolean, message: string}|null>} Result, or null if the greeting was sent
+ */
+async function sendGreeting(chatId, botId, characterName, greetingIndex, isPick = false) {
+    const chat = SillyTavern.getContext().chat;
+    const greeting = chat[0];
+
+    if (chat.length !== 1 || greeting.is_user || greeting.is_system) {
+        return isPick
+            ? { success: false, message: 'The chat has already started, so the greeting cannot be changed.' }
+            : { success: true, message: 'New chat has been started.' };
+    }
+
+    const greetingCount = Array.isArray(greeting.swipes) ? greeting.swipes.length : 1;
+    if (greetingIndex !== undefined && greetingIndex !== null) {
+        if (greetingIndex >= 0 && greetingIndex < greetingCount) {
+            if (greetingIndex !== (greeting.swipe_id || 0)) {
+                log('log', `Showing greeting ${greetingIndex + 1}/${greetingCount}`);
+                await showSwipe(0, greetingIndex);
+            }
+        } else if (isPick) {
+            return { success: false, message: `There is no greeting ${greetingIndex + 1}.` };
+        } else {
+            log('warn', `Greeting ${greetingIndex + 1} does not exist, using the first greeting`);
+        }
+    }
+
+    await sendReplyFromChat(chatId, botId, characterName, 0, true);
+    return null;
+}
+
+/**
+ * Replaces the text of a user message after it was edited in Telegram
+ * If requested and the message is the last user turn, the AI reply after it is regenerated
+ * @param {number} chatId - Telegram chat ID
+ * @param {string} botId - Bot identifier
+ * @param {string} characterName - Character being used
+ * @param {{chatFile: string, mesId: number, text: string, regenerate: boolean}} edit - The edit to apply
+ * @returns {Promise<{success: boolean, message: string}|null>} Result, or null if a generation was started
+ */
+async function editUserMessage(chatId, botId, characterName, edit) {
+    const context = SillyTavern.getContext();
+
+    if (context.getCurrentChatId() !== edit.chatFile) {
+        return { success: false, message: 'The edited message belongs to a different chat, so it was not updated.' };
+    }
+
+    const message = context.chat[edit.mesId];
+    if (!message || !message.is_user) {
+        return { success: false, message: 'The edited message is no longer in the chat.' };
+    }
+
+    log('log', `Updating message ${edit.mesId} after Telegram edit`);
+    message.mes = edit.text;
+    updateMessageBlock(edit.mesId, message);
+    await saveChatConditional();
+
+    const isLastUserTurn = context.chat.slice(edit.mesId + 1).every(later => !later.is_user);
+    if (!edit.regenerate || !isLastUserTurn) {
+        return { success: true, message: '' };
+    }
+
+    if (hasTrailingAiReply()) {
+        await setupAndRunGeneration(chatId, botId, characterName, context.chat.length - 1, 'regenerate');
+    } else {
+        await setupAndRunGeneration(chatId, botId, characterName, context.chat.length);
+    }
+    return null;
+}
+
+/**
+ * Sends existing chat messages to Telegram as a reply, without generating
+ * Reuses handleFinalMessage so text extraction, sanitizing and splitting still apply
+ * @param {number} chatId - Telegram chat ID
+ * @param {string} botId - Bot identifier
+ * @param {string} characterName - Character being used
+ * @param {number} startMessageIndex - First chat index to include
+ * @param {boolean} [isGreeting=false] - Whether the reply is the chat's greeting, shown with the greeting picker
+ */
+async function sendReplyFromChat(chatId, botId, characterName, startMessageIndex, isGreeting = false) {
+    activeRequest = {
+        chatId: chatId,
+        botId: botId,
+        characterName: characterName,
+        isStreaming: false,
+        isGreeting: isGreeting,
+        startMessageIndex: startMessageIndex,
+        collectedMedia: [],
+        userMessages: []
+    };
+    await handleFinalMessage(SillyTavern.getContext().chat.length);
+}
+
 /**
  * Common logic to setup and run the generation process
- * Used by both handleUserMessage and trigger_generation command
+ * Used by handleUserMessage, trigger_generation and the reply actions
  * @param {number} chatId - Telegram chat ID
  * @param {string} botId - Bot identifier
  * @param {string} characterName - Character being used
  * @param {number} startMessageIndex - Chat index when request started
+ * @param {string} [generationType='normal'] - ST generation type ('normal', 'regenerate', 'continue', 'swipe')
+ * @param {UserMessageReference[]} [userMessages=[]] - Telegram user messages added for this generation
  */
-async function setupAndRunGeneration(chatId, botId, characterName, startMessageIndex) {
+async function setupAndRunGeneration(chatId, botId, characterName, startMessageIndex, generationType = 'normal', userMessages = []) {
     // Set up active request tracking
     activeRequest = {
         chatId: chatId,
@@ -802,7 +1284,8 @@ async function setupAndRunGeneration(chatId, botId, characterName, startMessageI
         characterName: characterName,
         isStreaming: false,
         startMessageIndex: startMessageIndex,
-        collectedMedia: []
+        collectedMedia: [],
+        userMessages: userMessages
     };
 
     // Send typing indicator
@@ -832,7 +1315,7 @@ async function setupAndRunGeneration(chatId, botId, characterName, startMessageI
         log('log', 'Starting Generate() call...');
         const abortController = new AbortController();
         setExternalAbortController(abortController);
-        await Generate('normal', { signal: abortController.signal });
+        await Generate(generationType, { signal: abortController.signal });
         log('log', 'Generate() call completed');
 
         // Clean up streaming listener
@@ -858,6 +1341,20 @@ async function setupAndRunGeneration(chatId, botId, characterName, startMessageI
         log('error', 'Generate() error:', error);
         cleanupStreaming();
 
+        // Regenerate/continue work on an existing reply, which must be kept
+        if (generationType !== 'normal') {
+            if (activeRequest) {
+                sendToServer({
+                    type: 'error_message',
+                    chatId: activeRequest.chatId,
+                    botId: activeRequest.botId,
+                    text: `Sorry, an error occurred while generating a reply.\n\nError details: ${error.message || 'Unknown error'}`,
+                });
+            }
+            activeRequest = null;
+            return;
+        }
+
         // Delete all messages created since the request started
         // This includes: user message, any tool call messages, failed AI responses
         const currentContext = SillyTavern.getContext();
@@ -892,8 +1389,19 @@ async function setupAndRunGeneration(chatId, botId, characterName, startMessageI
     }
 }
 
+/**
+ * Checks whether a message the server reports as already added is still in the open chat
+ * @param {{chatFile: string, mesId: number}} stored - Where the message was added
+ * @returns {boolean} True if the chat holds a user message at that index
+ */
+function isStoredUserMessage(stored) {
+    const context = SillyTavern.getContext();
+    return context.getCurrentChatId() === stored.chatFile && Boolean(context.chat[stored.mesId]?.is_user);
+}
+
 /**
  * Handles user message generation requests
+ * Messages of a retried job that were added before the server restarted are not added again
  * @param {Object} data - Message data from server
  */
 async function handleUserMessage(data) {
@@ -911,7 +1419,18 @@ async function handleUserMessage(data) {
     const messages = data.messages || [{ text: data.text, files: data.files }];
     log('log', `Processing batch of ${messages.length} message(s)`);
 
+    // Chat indices of the added messages, so Telegram messages can be mapped back to them
+    const userMessages = [];
+    let storedCount = 0;
+
     for (const msg of messages) {
+        if (msg.stored && isStoredUserMessage(msg.stored)) {
+            log('log', `Message ${msg.telegramMessageId} is already in the chat at index ${msg.stored.mesId}, not adding it again`);
+            userMessages.push({ telegramMessageId: msg.telegramMessageId, mesId: msg.stored.mesId });
+            storedCount++;
+            continue;
+        }
+
         log('log', `Processing message: text="${msg.text?.substring(0, 20)}...", files=${msg.files?.length || 0}`);
 
         // Process file attachments if present
@@ -927,6 +1446,25 @@ async function handleUserMessage(data) {
         // Add user message to SillyTavern
         await sendMessageAsUser(msg.text || '');
 
+        if (msg.telegramMessageId) {
+            context = SillyTavern.getContext();
+            const addedIndex = context.chat.length - 1;
+            if (context.chat[addedIndex]?.is_user) {
+                const userMessage = { telegramMessageId: msg.telegramMessageId, mesId: addedIndex };
+                userMessages.push(userMessage);
+
+                // Mapped right away, so a retry after a server restart does not add the message twice
+                sendToServer({
+                    type: 'user_messages_stored',
+                    chatId: chatId,
+                    botId: botId,
+                    characterName: characterName,
+                    chatFile: context.getCurrentChatId(),
+                    userMessages: [userMessage],
+                });
+            }
+        }
+
         // If we have file attachments, add them to the user message we just created
         if (fileExtras) {
             // Refresh context to get the updated chat
@@ -968,8 +1506,36 @@ async function handleUserMessage(data) {
         }
     }
 
+    // Group messages that don't address the bot are only added as context
+    if (data.triggerGeneration === false) {
+        log('log', `Appended ${userMessages.length} message(s) without generating`);
+        sendToServer({
+            type: 'command_executed',
+            command: 'append_messages',
+            success: true,
+            message: '',
+            chatId: chatId,
+            botId: botId,
+            characterName: characterName,
+            chatFile: SillyTavern.getContext().getCurrentChatId(),
+            userMessages: userMessages
+        });
+        return;
+    }
+
+    // A retried job whose reply was generated before the restart gets that reply instead of a new one
+    if (storedCount > 0 && storedCount === messages.length) {
+        const lastStoredIndex = Math.max(...userMessages.map(userMessage => userMessage.mesId));
+        const chat = SillyTavern.getContext().chat;
+        if (chat.length - 1 > lastStoredIndex && !chat[chat.length - 1].is_user) {
+            log('log', 'The reply was generated before the restart, sending it');
+            await sendReplyFromChat(chatId, botId, characterName, lastStoredIndex + 1);
+            return;
+        }
+    }
+
     // Set up active request tracking and trigger generation
-    await setupAndRunGeneration(chatId, botId, characterName, startMessageIndex);
+    await setupAndRunGeneration(chatId, botId, characterName, startMessageIndex, 'normal', userMessages);
 }
 
 // ============================================================================
@@ -977,30 +1543,148 @@ async function handleUserMessage(data) {
 // ============================================================================
 
 /**
- * Extracts rendered text content from a message DOM element
- * @param {number} messageIndex - Index of the message in the chat array
- * @returns {string} The extracted text content, or empty string if not found
+ * Inline elements with a Telegram HTML equivalent
+ * @type {Object<string, string>}
  */
-function extractMessageText(messageIndex) {
-    const messageElement = $(`#chat .mes[mesid="${messageIndex}"]`);
+const TELEGRAM_INLINE_TAGS = {
+    B: 'b',
+    STRONG: 'b',
+    I: 'i',
+    EM: 'i',
+    U: 'u',
+    INS: 'u',
+    S: 's',
+    DEL: 's',
+    STRIKE: 's',
+};
 
-    if (messageElement.length === 0) {
-        return '';
+/**
+ * Escapes text for Telegram HTML (which only knows &lt;, &gt;, &amp; and &quot;)
+ * @param {string} text - Plain text
+ * @returns {string} Escaped text
+ */
+function escapeTelegramHtml(text) {
+    return text
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * Converts rendered message DOM into Telegram HTML
+ * Formatting Telegram supports is kept, block elements become line breaks and lists become
+ * bulleted lines; everything else is reduced to its escaped text
+ * @param {Node} node - Element whose children are converted
+ * @returns {string} Telegram HTML
+ */
+function renderTelegramHtml(node) {
+    let html = '';
+
+    for (const child of node.childNodes) {
+        if (child.nodeType === Node.TEXT_NODE) {
+            // Skip the source formatting between block elements
+            if (!/^\s*$/.test(child.textContent) || !child.textContent.includes('\n')) {
+                html += escapeTelegramHtml(child.textContent);
+            }
+            continue;
+        }
+
+        if (child.nodeType !== Node.ELEMENT_NODE) {
+            continue;
+        }
+
+        const tag = child.tagName;
+        if (TELEGRAM_INLINE_TAGS[tag]) {
+            const telegramTag = TELEGRAM_INLINE_TAGS[tag];
+            html += `<${telegramTag}>${renderTelegramHtml(child)}</${telegramTag}>`;
+            continue;
+        }
+
+        switch (tag) {
+            case 'BR':
+                html += '\n';
+                break;
+            case 'P':
+            case 'DIV':
+            case 'DETAILS':
+                html += `${renderTelegramHtml(child)}\n\n`;
+                break;
+            case 'H1':
+            case 'H2':
+            case 'H3':
+            case 'H4':
+            case 'H5':
+            case 'H6':
+            case 'SUMMARY':
+                html += `<b>${renderTelegramHtml(child)}</b>\n\n`;
+                break;
+            case 'CODE':
+                html += `<code>${escapeTelegramHtml(child.textContent)}</code>`;
+                break;
+            case 'PRE': {
+                const code = child.querySelector('code');
+                const language = code?.className.match(/language-([\w+#-]+)/)?.[1];
+                const content = escapeTelegramHtml((code || child).textContent.replace(/\n$/, ''));
+                html += language
+                    ? `<pre><code class="language-${language}">${content}</code></pre>\n\n`
+                    : `<pre>${content}</pre>\n\n`;
+                break;
+            }
+            case 'BLOCKQUOTE':
+                html += `<blockquote>${renderTelegramHtml(child).trim()}</blockquote>\n\n`;
+                break;
+            case 'A': {
+                const href = child.getAttribute('href') || '';
+                html += /^(https?:|tg:|mailto:)/i.test(href)
+                    ? `<a href="${escapeTelegramHtml(href)}">${renderTelegramHtml(child)}</a>`
+                    : renderTelegramHtml(child);
+                break;
+            }
+            case 'UL':
+            case 'OL': {
+                const items = Array.from(child.children).filter((item) => item.tagName === 'LI');
+                items.forEach((item, index) => {
+                    const bullet = tag === 'OL' ? `${index + 1}.` : '•';
+                    html += `${bullet} ${renderTelegramHtml(item).trim()}\n`;
+                });
+                html += '\n';
+                break;
+            }
+            case 'HR':
+                html += '———\n\n';
+                break;
+            case 'IMG':
+            case 'SCRIPT':
+            case 'STYLE':
+            case 'BUTTON':
+                break;
+            default:
+                html += renderTelegramHtml(child);
+        }
     }
 
-    const messageTextElement = messageElement.find('.mes_text');
+    return html;
+}
 
-    // Get HTML content and convert to plain text
-    let renderedText = messageTextElement.html()
-        .replace(/<br\s*\/?>/gi, '\n')
-        .replace(/<\/p>\s*<p>/gi, '\n\n');
+/**
+ * Extracts a rendered message from the DOM as Telegram HTML
+ * @param {number} messageIndex - Index of the message in the chat array
+ * @returns {string} Telegram HTML, or empty string if not found
+ */
+function extractMessageText(messageIndex) {
+    const messageTextElement = $(`#chat .mes[mesid="${messageIndex}"] .mes_text`);
 
-    // Decode HTML entities
-    const tempDiv = document.createElement('div');
-    tempDiv.innerHTML = renderedText;
-    renderedText = tempDiv.textContent;
+    if (messageTextElement.length === 0) {
+        return '';
+    }
 
-    return renderedText.trim();
+    // Tidy up blank lines outside code blocks
+    return renderTelegramHtml(messageTextElement[0])
+        .split(/(<pre>[\s\S]*?<\/pre>)/)
+        .map((segment, index) => index % 2 === 1 ? segment : segment.replace(/[ \t]+\n/g, '\n').replace(/\n{3,}/g, '\n\n'))
+        .join('')
+        .trim();
 }
 
 /**
@@ -1062,6 +1746,7 @@ async function handleFinalMessage(lastMessageIdInChatArray) {
                 contentParts.push({
                     type: 'text',
                     content: textContent,
+                    mesId: i,
                 });
                 log('log', `    Added text part (${textContent.length} chars)`);
             }
@@ -1080,6 +1765,7 @@ async function handleFinalMessage(lastMessageIdInChatArray) {
                             type: 'image',
                             base64: imageData.base64,
                             mimeType: imageData.mimeType,
+                            mesId: i,
                         });
                         log('log', `    Added image part (${imageData.mimeType}, ${imageData.base64.length} chars)`);
                     }
@@ -1095,11 +1781,19 @@ async function handleFinalMessage(lastMessageIdInChatArray) {
 
     log('log', `Sending ${contentParts.length} content part(s) to bot ${currentRequest.botId}`);
 
-    // Build the payload with ordered content parts
+    // Build the payload with ordered content parts (text as Telegram HTML)
+    // The swipe position of the last message drives the swipe controls in Telegram
+    // Chat file and indices let the server map Telegram messages back to chat messages
     const payload = {
         chatId: currentRequest.chatId,
         botId: currentRequest.botId,
         contentParts: contentParts,
+        textFormat: 'html',
+        swipe: getSwipeInfo(context.chat[context.chat.length - 1]),
+        characterName: currentRequest.characterName,
+        chatFile: context.getCurrentChatId(),
+        userMessages: currentRequest.userMessages || [],
+        isGreeting: Boolean(currentRequest.isGreeting),
     };
 
     // Send appropriate message type based on streaming state
@@ -1445,6 +2139,137 @@ function escapeHtml(text) {
     return div.innerHTML;
 }
 
+// ============================================================================
+// BOT PROFILE SYNC
+// ============================================================================
+
+/**
+ * Handles profile_request messages: reads the card of a character without selecting it and
+ * sends its name, short description and creator notes back as a character_profile message.
+ * The short description comes from the card's extensions.telegram.short_description, never
+ * from the card description, which holds the character prompt
+ * @param {Object} data - Request with requestId and characterName
+ */
+function handleProfileRequest(data) {
+    const searchResult = findCharacterByName(data.characterName);
+    if (!searchResult.found) {
+        sendToServer({ type: 'character_profile', requestId: data.requestId, error: searchResult.message });
+        return;
+    }
+
+    const context = SillyTavern.getContext();
+    const character = context.characters[searchResult.index];
+    // Resolve {{char}} against the requested character, not the one currently open
+    const substitute = (text) => context.substituteParams(text || '', undefined, character.name);
+
+    sendToServer({
+        type: 'character_profile',
+        requestId: data.requestId,
+        profile: {
+            name: character.name,
+            shortDescription: substitute(character.data?.extensions?.telegram?.short_description),
+            creatorNotes: substitute(character.data?.creator_notes ?? character.creatorcomment),
+        },
+    });
+}
+
+// ============================================================================
+// TEXT-TO-SPEECH RELAY
+// ============================================================================
+
+/**
+ * Handles tts_request messages: speaks text with SillyTavern's TTS provider and
+ * sends the audio back to the server as a tts_audio message
+ * @param {Object} data - Request with requestId, text, voice and timeoutMs
+ */
+async function handleTtsRequest(data) {
+    try {
+        const audio = await captureSpeech(data.text, data.voice, data.timeoutMs || 60000);
+        sendToServer({ type: 'tts_audio', requestId: data.requestId, base64: audio.base64, mimeType: audio.mimeType });
+    } catch (error) {
+        log('error', 'TTS request failed:', error);
+        sendToServer({ type: 'tts_audio', requestId: data.requestId, error: error.message });
+    }
+}
+
+/**
+ * Modules and classes of SillyTavern's TTS providers that generate audio files,
+ * keyed by the provider name the TTS extension stores as currentProvider
+ * @type {Object<string, {module: string, className: string}>}
+ */
+const TTS_PROVIDER_MODULES = {
+    'ElevenLabs': { module: '../../tts/elevenlabs.js', className: 'ElevenLabsTtsProvider' },
+    'Silero': { module: '../../tts/silerotts.js', className: 'SileroTtsProvider' },
+    'Edge': { module: '../../tts/edge.js', className: 'EdgeTtsProvider' },
+    'Novel': { module: '../../tts/novel.js', className: 'NovelTtsProvider' },
+    'OpenAI': { module: '../../tts/openai.js', className: 'OpenAITtsProvider' },
+    'XTTSv2': { module: '../../tts/xtts.js', className: 'XTTSTtsProvider' },
+    'AllTalk': { module: '../../tts/alltalk.js', className: 'AllTalkTtsProvider' },
+    'Azure': { module: '../../tts/azure.js', className: 'AzureTtsProvider' },
+};
+
+/**
+ * Generates speech with the TTS provider selected in SillyTavern's TTS extension.
+ * The provider's generate API is called directly, so nothing is played in the browser
+ * and no other audio on the page can be picked up by mistake.
+ * @param {string} text - Text to speak
+ * @param {string|null} voice - Voice name, or null for the current character's voice
+ * @param {number} timeoutMs - How long to wait for the TTS provider
+ * @returns {Promise<{base64: string, mimeType: string}>} The audio
+ */
+async function captureSpeech(text, voice, timeoutMs) {
+    const ttsSettings = extensionSettings.tts;
+    if (!ttsSettings?.enabled || !ttsSettings.currentProvider) {
+        throw new Error('TTS is not enabled in SillyTavern');
+    }
+
+    const providerName = ttsSettings.currentProvider;
+    const providerModule = TTS_PROVIDER_MODULES[providerName];
+    if (!providerModule) {
+        throw new Error(`The TTS provider "${providerName}" cannot generate audio files for Telegram`);
+    }
+
+    const providerSettings = ttsSettings[providerName] || {};
+    const voiceName = voice || providerSettings.voiceMap?.[SillyTavern.getContext().name2] || providerSettings.voiceMap?.default;
+    if (!voiceName || voiceName === 'disabled') {
+        throw new Error(`No TTS voice is set for ${SillyTavern.getContext().name2}`);
+    }
+
+    let timer = null;
+    try {
+        const response = await new Promise((resolve, reject) => {
+            timer = setTimeout(() => reject(new Error('The TTS provider produced no audio in time')), timeoutMs);
+
+            (async () => {
+                const { [providerModule.className]: Provider } = await import(providerModule.module);
+                const provider = new Provider();
+                await provider.loadSettings(providerSettings);
+                const voiceObject = await provider.getVoice(voiceName);
+                return provider.generateTts(text, voiceObject.voice_id);
+            })().then(resolve, reject);
+        });
+
+        if (typeof response?.blob !== 'function') {
+            throw new Error(`The TTS provider "${providerName}" did not return an audio file`);
+        }
+        if (!response.ok) {
+            throw new Error(`Failed to generate TTS audio: ${response.status} ${response.statusText}`);
+        }
+
+        const blob = await response.blob();
+        const base64 = await new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onloadend = () => resolve(reader.result.split(',')[1]);
+            reader.onerror = reject;
+            reader.readAsDataURL(blob);
+        });
+
+        return { base64: base64, mimeType: blob.type || 'audio/mpeg' };
+    } finally {
+        clearTimeout(timer);
+    }
+}
+
 // ============================================================================
 // EXTENSION INITIALIZATION
 // ============================================================================
@@ -6,13 +6,178 @@ module.exports = {
     // WebSocket server port
     wssPort: 2333,
 
+    // How Telegram updates are received: 'polling' (default) or 'webhook'
+    // Webhook mode starts a local HTTP listener; Telegram must be able to reach it via publicUrl
+    // (usually through a reverse proxy with TLS). Bots whose webhook cannot be registered fall back to polling.
+    updateMode: 'polling',
+
+    // Webhook Configuration (only used when updateMode is 'webhook')
+    webhook: {
+        // Public HTTPS base URL that forwards to the local listener, e.g. 'https://bots.example.com'
+        publicUrl: '',
+        // Local listener port and interface
+        port: 8443,
+        host: '0.0.0.0',
+        // Each bot receives updates on <pathPrefix>/<botId>
+        pathPrefix: '/telegram',
+        // Optional base secret (A-Z, a-z, 0-9, _ and -). Per-bot secret tokens are derived from it.
+        // When empty, a random secret token is generated on every start.
+        secretToken: '',
+    },
+
     // Whitelist of Telegram user IDs allowed to interact with the bots
     // Add your own Telegram User ID (and IDs of other users you want to allow) to an array.
     // You can get your ID by chatting with @userinfobot on Telegram.
-    // If you leave an empty array `[]`, all users will be allowed to access.
+    // Admins can add more users at runtime with /allow or by approving access requests;
+    // those are stored in access.json in the data directory. This list stays the base and can only be changed here.
+    // If you leave an empty array `[]` and nobody was added with /allow, all users will be allowed to access.
     // Example: [123456789, 987654321]
     allowedUserIds: [],
 
+    // Telegram user IDs that may use admin commands (/delete, /allow, /deny, /users, /pending, /invite, /invites,
+    // /syncprofile, /reload, /restart, /exit) on every bot. Admins are asked to approve access requests.
+    // Bots can add their own admins with `adminUserIds` in the bot entry.
+    // If no admins are configured for a bot, nobody can use its admin commands or Delete button (a warning is logged).
+    // Example: [123456789]
+    adminUserIds: [],
+
+    // How long invite codes created with /invite stay valid, in hours. /invite <hours> overrides it per code.
+    inviteExpiryHours: 24,
+
+    // Persona Mapping
+    // Default SillyTavern persona (by name) for each Telegram user ID.
+    // Users can pick another persona with /persona <name>; a `personas` entry in a bot overrides this per bot.
+    // Example: { 123456789: 'Alice', 987654321: 'Bob' }
+    personas: {},
+
+    // Persona for users without a mapping or selection, so they don't post as the previous user's persona.
+    // Leave empty to use the persona that was active in SillyTavern before the bridge first switched it.
+    // A bot's `defaultPersona` overrides this per bot.
+    defaultPersona: '',
+
+    // Set each bot's Telegram name and descriptions from its character card when the server starts
+    // (name, card description as short description, creator notes as description). /syncprofile does the same on demand.
+    syncProfileOnStartup: false,
+
+    // Group Chat Configuration
+    // In groups, bots only reply when @mentioned, replied to, or addressed by a trigger keyword.
+    // Each setting can be overridden per bot with a `groups` object in the bot entry.
+    // NOTE: Keywords and appendUntriggered need Privacy Mode disabled in @BotFather (/setprivacy),
+    // otherwise Telegram only delivers commands, mentions and replies to the bot.
+    groups: {
+        // Group chat IDs (negative numbers) the bots may be used in.
+        // If empty, group members must be in allowedUserIds instead.
+        allowedChatIds: [],
+
+        // Words that address the bot besides @mentions and replies (case-insensitive, whole words)
+        // Example: ['Alice']
+        triggerKeywords: [],
+
+        // How group messages are passed to SillyTavern ({name} = sender display name)
+        senderNameFormat: '{name}: {message}',
+
+        // Add messages that don't address the bot to the chat as context, without replying
+        appendUntriggered: false,
+    },
+
+    // Voice Message Transcription
+    // Voice messages and video notes are transcribed and sent to SillyTavern as text.
+    speechToText: {
+        // 'none' (default, voice is attached as audio), 'whisper', or 'fixture' (fixed text, for testing)
+        provider: 'none',
+
+        // Any Whisper-compatible endpoint (OpenAI, whisper.cpp server, faster-whisper-server, LocalAI, ...)
+        // Requests go to <url>/v1/audio/transcriptions
+        whisper: {
+            url: 'http://127.0.0.1:8080',
+            model: 'whisper-1',
+            language: '',   // Optional language hint, e.g. 'en'
+            apiKey: '',     // Optional, sent as a Bearer token
+        },
+
+        // Also keep the audio attached to the message after a successful transcription
+        keepAudio: false,
+    },
+
+    // Voice Replies
+    // Replies can be delivered as Telegram voice messages. Users switch with /voice.
+    textToSpeech: {
+        // 'none' (default, replies are text only), 'http', or 'sillytavern'
+        // 'sillytavern' speaks with the TTS extension configured in SillyTavern (it must be enabled there)
+        provider: 'none',
+
+        // Any OpenAI-compatible speech endpoint (OpenAI, Kokoro-FastAPI, openedai-speech, AllTalk, LocalAI, ...)
+        // Requests go to <url>/v1/audio/speech
+        http: {
+            url: 'http://127.0.0.1:8880',
+            model: 'tts-1',
+            voice: 'alloy',
+            format: 'opus',  // 'opus' is shown as a native voice note; 'mp3' also works
+            apiKey: '',      // Optional, sent as a Bearer token
+        },
+
+        // Whether replies are spoken for users who have not used /voice (a bot's `voiceReplies` overrides this)
+        voiceReplies: false,
+
+        // Longer replies are split into several voice messages of at most this many characters
+        maxChunkCharacters: 1000,
+    },
+
+    // Outbound Rate Limits
+    // Every message sent to Telegram waits for these limits, and failed sends are retried.
+    outbound: {
+        // Messages a bot sends per second over all chats (Telegram allows about 30)
+        botMessagesPerSecond: 30,
+
+        // Messages per second sent to one private chat, and per minute to one group
+        chatMessagesPerSecond: 1,
+        groupMessagesPerMinute: 20,
+
+        // Messages a chat may receive at once before the per-chat rate applies
+        chatBurst: 3,
+
+        // Network errors, Telegram server errors and "Too Many Requests" are retried this many times.
+        // Too Many Requests waits as long as Telegram asks; other errors back off from retryBaseDelayMs, doubling each time
+        maxRetries: 5,
+        retryBaseDelayMs: 1000,
+    },
+
+    // Usage Limits
+    // Per-user limits on each bot, so one user cannot keep the shared SillyTavern busy. 0 disables a limit.
+    // Configured admins are never limited. A bot's `limits` object overrides these per bot.
+    limits: {
+        // Messages, queued commands and button presses per user per minute
+        messagesPerMinute: 0,
+
+        // Replies (including regenerate, continue and new swipes) per user per day, reset at midnight server time
+        generationsPerDay: 0,
+
+        // Requests a user may have waiting in the queue at once
+        maxQueuedJobs: 0,
+    },
+
+    // Job Scheduling
+    // Requests are processed one at a time. Waiting jobs are kept per user.
+    queue: {
+        // 'round_robin' takes one job from each user in turn; 'fifo' runs jobs strictly in arrival order
+        policy: 'round_robin',
+
+        // With round_robin, jobs an admin (adminUserIds) may run per turn. 1 gives admins no priority.
+        adminWeight: 1,
+
+        // Run waiting jobs for the character and connection profile SillyTavern is already on ahead of their turn,
+        // and skip character, chat, persona and profile switches that would not change anything.
+        // Leave off if you also use SillyTavern directly while the bridge is running.
+        batchByCharacter: false,
+
+        // With batchByCharacter, jobs that may run ahead of their turn in a row before the next user's job goes first
+        batchWindow: 3,
+    },
+
+    // Directory for persisted state such as the Telegram <-> SillyTavern message map.
+    // Relative paths are resolved against the server folder. Can be overridden with DATA_DIRECTORY.
+    dataDirectory: 'data',
+
     // Behavior Configuration
     behavior: {
         // Time in seconds to wait after the last message before processing the stack (Debounce)
@@ -24,13 +189,24 @@ module.exports = {
         userMessageFormat: '<div class="timestamp">[{{date}}]</div> ',
         
         // Regex used to identify and strip the timestamp from the bot's response
-        // NOTE: This matches the RENDERED text (after HTML is processed), not raw HTML
+        // NOTE: This matches the rendered message as Telegram HTML (formatting tags like <b> included,
+        // and <, > and & escaped as &lt; &gt; &amp;), not SillyTavern's raw markdown
         // The default matches timestamps like [2026-01-17 18:23:31] at the start of lines
         botMessageFilterRegex: '^\\[\\d{4}-\\d{2}-\\d{2} \\d{2}:\\d{2}:\\d{2}\\]\\s*',
         
         // Character used to split bot responses into multiple Telegram messages
         // Set to null or empty string to disable splitting (send as single message)
-        messageSplitChar: '\n'
+        messageSplitChar: '\n',
+
+        // When you edit your latest message in Telegram, also regenerate the AI reply that followed it
+        // Edits to older messages only update the SillyTavern chat
+        regenerateOnEdit: false,
+
+        // Give each Telegram chat its own SillyTavern chat file, so users of the same bot don't share a conversation
+        // First-time users get a new chat; /new and /switchchat only change the chat of the Telegram chat they are sent in,
+        // and /listchats and /switchchat only offer the chat files of that Telegram chat
+        // Off by default: everyone uses whichever chat the character has open, as before
+        bindChatFiles: false
     },
 
     // Summarization Configuration (Global)
@@ -70,6 +246,22 @@ Do not include meta-commentary about the conversation itself. Write as if docume
             // The summary will be appended to an entry in this lorebook
             // lorebookName: 'Character Memories',  // Name of the World Info book to use
             // lorebookEntry: 'Past Events',        // Name of the entry to append summaries to
+
+            // Optional: Group settings for this bot, overriding the global `groups` settings
+            // groups: { triggerKeywords: ['Character Name Here'] },
+
+            // Optional: Voice reply settings for this bot
+            // voiceReplies: true,   // Speak replies by default, overriding textToSpeech.voiceReplies
+            // ttsVoice: 'nova',     // Voice name passed to the TTS provider
+
+            // Optional: Sync this bot's profile from the character card on startup, overriding syncProfileOnStartup
+            // syncProfileOnStartup: true,
+
+            // Optional: Admins of this bot, in addition to the global adminUserIds
+            // adminUserIds: [123456789],
+
+            // Optional: Usage limits for this bot, overriding the global `limits`
+            // limits: { generationsPerDay: 20 },
         },
         // Add more bots as needed:
         // {
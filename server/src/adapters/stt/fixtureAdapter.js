@@ -0,0 +1,37 @@
+/**
+ * @fileoverview Speech-to-text adapter that returns a fixed transcript.
+ * Lets the voice pipeline be exercised without a transcription server.
+ * @module adapters/stt/fixtureAdapter
+ */
+
+const { DEFAULTS } = require('../../constants/system');
+
+/**
+ * @typedef {import('../../types/index').AudioInput} AudioInput
+ */
+
+/**
+ * Returns the configured transcript for every input.
+ * @class
+ */
+class FixtureAdapter {
+    /**
+     * Creates a new FixtureAdapter.
+     * @param {{text?: string}} [settings] - Fixture settings.
+     */
+    constructor(settings) {
+        /** @type {string} */
+        this._text = settings?.text ?? DEFAULTS.STT_FIXTURE_TEXT;
+    }
+
+    /**
+     * Returns the fixed transcript.
+     * @param {AudioInput} audio - Audio to transcribe (ignored).
+     * @returns {Promise<string>} The transcript.
+     */
+    async transcribe(audio) {
+        return this._text;
+    }
+}
+
+module.exports = FixtureAdapter;
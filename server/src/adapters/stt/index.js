@@ -0,0 +1,33 @@
+/**
+ * @fileoverview Speech-to-text adapter factory.
+ * Each adapter exposes `transcribe(audio) => Promise<string>`.
+ * @module adapters/stt
+ */
+
+const { STT_PROVIDERS } = require('../../constants/system');
+const WhisperAdapter = require('./whisperAdapter');
+const FixtureAdapter = require('./fixtureAdapter');
+
+/**
+ * @typedef {import('../../types/index').SpeechToTextConfiguration} SpeechToTextConfiguration
+ */
+
+/**
+ * Creates the adapter for the configured provider.
+ * @param {SpeechToTextConfiguration} settings - Speech-to-text settings.
+ * @returns {WhisperAdapter|FixtureAdapter|null} Adapter, or null if transcription is disabled.
+ */
+function createSpeechToTextAdapter(settings) {
+    switch (settings?.provider) {
+        case STT_PROVIDERS.WHISPER:
+            return new WhisperAdapter(settings.whisper);
+        case STT_PROVIDERS.FIXTURE:
+            return new FixtureAdapter(settings.fixture);
+        default:
+            return null;
+    }
+}
+
+module.exports = {
+    createSpeechToTextAdapter,
+};
@@ -0,0 +1,71 @@
+/**
+ * @fileoverview Speech-to-text adapter for Whisper-compatible HTTP endpoints.
+ * Works with the OpenAI transcription API and local servers that mirror it
+ * (whisper.cpp server, faster-whisper-server, LocalAI, ...).
+ * @module adapters/stt/whisperAdapter
+ */
+
+const { DEFAULTS } = require('../../constants/system');
+
+/**
+ * @typedef {import('../../types/index').AudioInput} AudioInput
+ * @typedef {import('../../types/index').WhisperConfiguration} WhisperConfiguration
+ */
+
+/**
+ * Transcribes audio via POST <url>/v1/audio/transcriptions.
+ * @class
+ */
+class WhisperAdapter {
+    /**
+     * Creates a new WhisperAdapter.
+     * @param {WhisperConfiguration} settings - Endpoint settings.
+     */
+    constructor(settings) {
+        /** @type {WhisperConfiguration} */
+        this._settings = settings;
+    }
+
+    /**
+     * Transcribes an audio file.
+     * @param {AudioInput} audio - Audio to transcribe.
+     * @returns {Promise<string>} The transcript.
+     * @throws {Error} If the endpoint fails or returns no text.
+     */
+    async transcribe(audio) {
+        const endpoint = `${this._settings.url.replace(/\/+$/, '')}/v1/audio/transcriptions`;
+
+        const form = new FormData();
+        form.append('file', new Blob([audio.buffer], { type: audio.mimeType }), audio.fileName);
+        form.append('model', this._settings.model || DEFAULTS.WHISPER_MODEL);
+        form.append('response_format', 'json');
+        if (this._settings.language) {
+            form.append('language', this._settings.language);
+        }
+
+        const headers = {};
+        if (this._settings.apiKey) {
+            headers.Authorization = `Bearer ${this._settings.apiKey}`;
+        }
+
+        const response = await fetch(endpoint, {
+            method: 'POST',
+            headers: headers,
+            body: form,
+            signal: AbortSignal.timeout(this._settings.timeoutMs || DEFAULTS.STT_TIMEOUT_MS),
+        });
+
+        if (!response.ok) {
+            const body = await response.text().catch(() => '');
+            throw new Error(`Transcription endpoint returned ${response.status} ${response.statusText} ${body.slice(0, 200)}`.trim());
+        }
+
+        const result = await response.json();
+        if (typeof result.text !== 'string') {
+            throw new Error('Transcription endpoint returned no text');
+        }
+        return result.text.trim();
+    }
+}
+
+module.exports = WhisperAdapter;
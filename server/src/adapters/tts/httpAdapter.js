@@ -0,0 +1,86 @@
+/**
+ * @fileoverview Text-to-speech adapter for OpenAI-compatible speech endpoints.
+ * Works with the OpenAI speech API and local servers that mirror it
+ * (Kokoro-FastAPI, openedai-speech, AllTalk, LocalAI, ...).
+ * @module adapters/tts/httpAdapter
+ */
+
+const { DEFAULTS } = require('../../constants/system');
+
+/**
+ * @typedef {import('../../types/index').HttpSpeechConfiguration} HttpSpeechConfiguration
+ * @typedef {import('../../types/index').SpeechAudio} SpeechAudio
+ */
+
+/**
+ * MIME types of the formats the speech API can return.
+ * @type {Object<string, string>}
+ */
+const FORMAT_MIME_TYPES = Object.freeze({
+    opus: 'audio/ogg',
+    mp3: 'audio/mpeg',
+    aac: 'audio/aac',
+    flac: 'audio/flac',
+    wav: 'audio/wav',
+});
+
+/**
+ * Synthesizes speech via POST <url>/v1/audio/speech.
+ * @class
+ */
+class HttpAdapter {
+    /**
+     * Creates a new HttpAdapter.
+     * @param {HttpSpeechConfiguration} settings - Endpoint settings.
+     */
+    constructor(settings) {
+        /** @type {HttpSpeechConfiguration} */
+        this._settings = settings;
+    }
+
+    /**
+     * Synthesizes speech for a piece of text.
+     * @param {string} text - Text to speak.
+     * @param {string} [voice] - Voice name, defaults to the configured voice.
+     * @returns {Promise<SpeechAudio>} The audio.
+     * @throws {Error} If the endpoint fails or returns no audio.
+     */
+    async synthesize(text, voice) {
+        const endpoint = `${this._settings.url.replace(/\/+$/, '')}/v1/audio/speech`;
+        const format = this._settings.format || DEFAULTS.TTS_FORMAT;
+
+        const headers = { 'Content-Type': 'application/json' };
+        if (this._settings.apiKey) {
+            headers.Authorization = `Bearer ${this._settings.apiKey}`;
+        }
+
+        const response = await fetch(endpoint, {
+            method: 'POST',
+            headers: headers,
+            body: JSON.stringify({
+                model: this._settings.model || DEFAULTS.TTS_MODEL,
+                input: text,
+                voice: voice || this._settings.voice || DEFAULTS.TTS_VOICE,
+                response_format: format,
+            }),
+            signal: AbortSignal.timeout(this._settings.timeoutMs || DEFAULTS.TTS_TIMEOUT_MS),
+        });
+
+        if (!response.ok) {
+            const body = await response.text().catch(() => '');
+            throw new Error(`Speech endpoint returned ${response.status} ${response.statusText} ${body.slice(0, 200)}`.trim());
+        }
+
+        const buffer = Buffer.from(await response.arrayBuffer());
+        if (buffer.length === 0) {
+            throw new Error('Speech endpoint returned no audio');
+        }
+
+        return {
+            buffer: buffer,
+            mimeType: FORMAT_MIME_TYPES[format] || response.headers.get('content-type') || 'audio/ogg',
+        };
+    }
+}
+
+module.exports = HttpAdapter;
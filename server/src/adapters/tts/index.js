@@ -0,0 +1,35 @@
+/**
+ * @fileoverview Text-to-speech adapter factory.
+ * Each adapter exposes `synthesize(text, voice) => Promise<SpeechAudio>`.
+ * @module adapters/tts
+ */
+
+const { TTS_PROVIDERS } = require('../../constants/system');
+const HttpAdapter = require('./httpAdapter');
+const SillyTavernAdapter = require('./sillyTavernAdapter');
+
+/**
+ * @typedef {import('../../types/index').TextToSpeechConfiguration} TextToSpeechConfiguration
+ * @typedef {import('./sillyTavernAdapter').SillyTavernRelay} SillyTavernRelay
+ */
+
+/**
+ * Creates the adapter for the configured provider.
+ * @param {TextToSpeechConfiguration} settings - Text-to-speech settings.
+ * @param {SillyTavernRelay} [relay] - Request/response channel to the extension.
+ * @returns {HttpAdapter|SillyTavernAdapter|null} Adapter, or null if voice replies are disabled.
+ */
+function createTextToSpeechAdapter(settings, relay) {
+    switch (settings?.provider) {
+        case TTS_PROVIDERS.HTTP:
+            return new HttpAdapter(settings.http);
+        case TTS_PROVIDERS.SILLYTAVERN:
+            return new SillyTavernAdapter(settings.sillytavern, relay);
+        default:
+            return null;
+    }
+}
+
+module.exports = {
+    createTextToSpeechAdapter,
+};
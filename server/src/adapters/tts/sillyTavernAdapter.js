@@ -0,0 +1,74 @@
+/**
+ * @fileoverview Text-to-speech adapter relaying SillyTavern's own TTS extension.
+ * The connector extension speaks the text with the provider and voices configured
+ * in SillyTavern and sends the resulting audio back over the WebSocket.
+ * @module adapters/tts/sillyTavernAdapter
+ */
+
+const { DEFAULTS, EVENTS } = require('../../constants/system');
+
+/**
+ * @typedef {import('../../types/index').SpeechAudio} SpeechAudio
+ */
+
+/**
+ * Sends a request to the extension and resolves with its response.
+ * @callback SillyTavernRelay
+ * @param {Object} payload - Request payload.
+ * @param {number} timeoutMs - How long to wait for the response.
+ * @returns {Promise<Object>} The response message.
+ */
+
+/**
+ * Asks the extension to synthesize speech.
+ * @class
+ */
+class SillyTavernAdapter {
+    /**
+     * Creates a new SillyTavernAdapter.
+     * @param {{timeoutMs: number}} settings - Relay settings.
+     * @param {SillyTavernRelay} relay - Request/response channel to the extension.
+     */
+    constructor(settings, relay) {
+        /** @type {{timeoutMs: number}} */
+        this._settings = settings;
+
+        /** @type {SillyTavernRelay} */
+        this._relay = relay;
+    }
+
+    /**
+     * Synthesizes speech for a piece of text.
+     * @param {string} text - Text to speak.
+     * @param {string} [voice] - SillyTavern voice name, defaults to the character's voice.
+     * @returns {Promise<SpeechAudio>} The audio.
+     * @throws {Error} If the extension is not connected, fails or times out.
+     */
+    async synthesize(text, voice) {
+        if (!this._relay) {
+            throw new Error('No connection to SillyTavern configured');
+        }
+
+        const timeoutMs = this._settings?.timeoutMs || DEFAULTS.TTS_TIMEOUT_MS;
+        const response = await this._relay({
+            type: EVENTS.TTS_REQUEST,
+            text: text,
+            voice: voice || null,
+            timeoutMs: timeoutMs,
+        }, timeoutMs);
+
+        if (response.error) {
+            throw new Error(response.error);
+        }
+        if (!response.base64) {
+            throw new Error('SillyTavern returned no audio');
+        }
+
+        return {
+            buffer: Buffer.from(response.base64, 'base64'),
+            mimeType: response.mimeType || 'audio/mpeg',
+        };
+    }
+}
+
+module.exports = SillyTavernAdapter;
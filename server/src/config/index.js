@@ -6,7 +6,7 @@
 
 const path = require('path');
 const Logger = require('../utils/logger');
-const { DEFAULTS } = require('../constants/system');
+const { DEFAULTS, UPDATE_MODES, QUEUE_POLICIES, STT_PROVIDERS, TTS_PROVIDERS } = require('../constants/system');
 
 /**
  * @typedef {import('../types/index').ApplicationConfiguration} ApplicationConfiguration
@@ -23,9 +23,80 @@ const DEFAULT_CONFIGURATION = {
         userMessageFormat: '[{timestamp}]\n{message}',
         botMessageFilterRegex: '',
         messageSplitChar: '\n',
+        regenerateOnEdit: false,
+        bindChatFiles: false,
     },
     wssPort: DEFAULTS.WEBSOCKET_PORT,
+    updateMode: UPDATE_MODES.POLLING,
+    webhook: {
+        publicUrl: '',
+        port: DEFAULTS.WEBHOOK_PORT,
+        host: DEFAULTS.WEBHOOK_HOST,
+        pathPrefix: DEFAULTS.WEBHOOK_PATH_PREFIX,
+        secretToken: '',
+    },
+    dataDirectory: DEFAULTS.DATA_DIRECTORY,
+    groups: {
+        allowedChatIds: [],
+        triggerKeywords: [],
+        senderNameFormat: DEFAULTS.GROUP_SENDER_NAME_FORMAT,
+        appendUntriggered: false,
+    },
+    speechToText: {
+        provider: STT_PROVIDERS.NONE,
+        whisper: {
+            url: DEFAULTS.WHISPER_URL,
+            model: DEFAULTS.WHISPER_MODEL,
+            language: '',
+            apiKey: '',
+            timeoutMs: DEFAULTS.STT_TIMEOUT_MS,
+        },
+        fixture: {
+            text: DEFAULTS.STT_FIXTURE_TEXT,
+        },
+        keepAudio: false,
+    },
+    textToSpeech: {
+        provider: TTS_PROVIDERS.NONE,
+        http: {
+            url: DEFAULTS.TTS_URL,
+            model: DEFAULTS.TTS_MODEL,
+            voice: DEFAULTS.TTS_VOICE,
+            format: DEFAULTS.TTS_FORMAT,
+            apiKey: '',
+            timeoutMs: DEFAULTS.TTS_TIMEOUT_MS,
+        },
+        sillytavern: {
+            timeoutMs: DEFAULTS.TTS_TIMEOUT_MS,
+        },
+        voiceReplies: false,
+        maxChunkCharacters: DEFAULTS.TTS_MAX_CHUNK_CHARACTERS,
+    },
+    outbound: {
+        botMessagesPerSecond: DEFAULTS.OUTBOUND_BOT_MESSAGES_PER_SECOND,
+        chatMessagesPerSecond: DEFAULTS.OUTBOUND_CHAT_MESSAGES_PER_SECOND,
+        groupMessagesPerMinute: DEFAULTS.OUTBOUND_GROUP_MESSAGES_PER_MINUTE,
+        chatBurst: DEFAULTS.OUTBOUND_CHAT_BURST,
+        maxRetries: DEFAULTS.OUTBOUND_MAX_RETRIES,
+        retryBaseDelayMs: DEFAULTS.OUTBOUND_RETRY_BASE_DELAY_MS,
+    },
     allowedUserIds: [],
+    adminUserIds: [],
+    inviteExpiryHours: DEFAULTS.INVITE_EXPIRY_HOURS,
+    limits: {
+        messagesPerMinute: 0,
+        generationsPerDay: 0,
+        maxQueuedJobs: 0,
+    },
+    queue: {
+        policy: QUEUE_POLICIES.ROUND_ROBIN,
+        adminWeight: DEFAULTS.QUEUE_ADMIN_WEIGHT,
+        batchByCharacter: false,
+        batchWindow: DEFAULTS.QUEUE_BATCH_WINDOW,
+    },
+    personas: {},
+    defaultPersona: '',
+    syncProfileOnStartup: false,
     bots: [],
 };
 
@@ -55,6 +126,168 @@ function validateBotConfiguration(botConfiguration, index) {
     return true;
 }
 
+/**
+ * Validates the update mode and webhook settings.
+ * @param {ApplicationConfiguration} configuration - Configuration to validate.
+ * @returns {boolean} True if valid.
+ */
+function validateUpdateMode(configuration) {
+    if (!Object.values(UPDATE_MODES).includes(configuration.updateMode)) {
+        Logger.error(`Invalid updateMode "${configuration.updateMode}" (expected one of: ${Object.values(UPDATE_MODES).join(', ')})`);
+        return false;
+    }
+
+    if (configuration.updateMode !== UPDATE_MODES.WEBHOOK) {
+        return true;
+    }
+
+    const webhook = configuration.webhook;
+    if (!webhook.publicUrl || typeof webhook.publicUrl !== 'string' || !webhook.publicUrl.startsWith('https://')) {
+        Logger.error('Webhook mode requires webhook.publicUrl to be an https:// URL reachable by Telegram');
+        return false;
+    }
+
+    if (!Number.isInteger(webhook.port) || webhook.port <= 0) {
+        Logger.error(`Invalid webhook.port: ${webhook.port}`);
+        return false;
+    }
+
+    if (webhook.secretToken && !/^[A-Za-z0-9_-]{1,256}$/.test(webhook.secretToken)) {
+        Logger.error('webhook.secretToken may only contain A-Z, a-z, 0-9, _ and - (max 256 characters)');
+        return false;
+    }
+
+    return true;
+}
+
+/**
+ * Validates the speech-to-text settings.
+ * @param {ApplicationConfiguration} configuration - Configuration to validate.
+ * @returns {boolean} True if valid.
+ */
+function validateSpeechToText(configuration) {
+    const speechToText = configuration.speechToText;
+    if (!Object.values(STT_PROVIDERS).includes(speechToText.provider)) {
+        Logger.error(`Invalid speechToText.provider "${speechToText.provider}" (expected one of: ${Object.values(STT_PROVIDERS).join(', ')})`);
+        return false;
+    }
+
+    if (speechToText.provider === STT_PROVIDERS.WHISPER && !/^https?:\/\//.test(speechToText.whisper.url || '')) {
+        Logger.error('speechToText.whisper.url must be an http:// or https:// URL');
+        return false;
+    }
+
+    return true;
+}
+
+/**
+ * Validates the text-to-speech settings.
+ * @param {ApplicationConfiguration} configuration - Configuration to validate.
+ * @returns {boolean} True if valid.
+ */
+function validateTextToSpeech(configuration) {
+    const textToSpeech = configuration.textToSpeech;
+    if (!Object.values(TTS_PROVIDERS).includes(textToSpeech.provider)) {
+        Logger.error(`Invalid textToSpeech.provider "${textToSpeech.provider}" (expected one of: ${Object.values(TTS_PROVIDERS).join(', ')})`);
+        return false;
+    }
+
+    if (textToSpeech.provider === TTS_PROVIDERS.HTTP && !/^https?:\/\//.test(textToSpeech.http.url || '')) {
+        Logger.error('textToSpeech.http.url must be an http:// or https:// URL');
+        return false;
+    }
+
+    if (!Number.isInteger(textToSpeech.maxChunkCharacters) || textToSpeech.maxChunkCharacters <= 0) {
+        Logger.error(`Invalid textToSpeech.maxChunkCharacters: ${textToSpeech.maxChunkCharacters}`);
+        return false;
+    }
+
+    return true;
+}
+
+/**
+ * Validates outbound rate limit and retry settings.
+ * @param {ApplicationConfiguration} configuration - Configuration to validate.
+ * @returns {boolean} True if valid.
+ */
+function validateOutbound(configuration) {
+    const outbound = configuration.outbound;
+    const rates = ['botMessagesPerSecond', 'chatMessagesPerSecond', 'groupMessagesPerMinute', 'retryBaseDelayMs'];
+
+    for (const key of rates) {
+        if (typeof outbound[key] !== 'number' || !(outbound[key] > 0)) {
+            Logger.error(`Invalid outbound.${key}: ${outbound[key]}`);
+            return false;
+        }
+    }
+
+    if (!Number.isInteger(outbound.chatBurst) || outbound.chatBurst < 1) {
+        Logger.error(`Invalid outbound.chatBurst: ${outbound.chatBurst}`);
+        return false;
+    }
+
+    if (!Number.isInteger(outbound.maxRetries) || outbound.maxRetries < 0) {
+        Logger.error(`Invalid outbound.maxRetries: ${outbound.maxRetries}`);
+        return false;
+    }
+
+    return true;
+}
+
+/**
+ * Validates usage limits, globally and per bot.
+ * @param {ApplicationConfiguration} configuration - Configuration to validate.
+ * @returns {boolean} True if valid.
+ */
+function validateLimits(configuration) {
+    const limitSets = [
+        ['limits', configuration.limits],
+        ...configuration.bots.map((bot, index) => [`bots[${index}].limits`, bot.limits || {}]),
+    ];
+
+    for (const [name, limits] of limitSets) {
+        for (const [key, value] of Object.entries(limits)) {
+            if (!Number.isInteger(value) || value < 0) {
+                Logger.error(`Invalid ${name}.${key}: ${value}`);
+                return false;
+            }
+        }
+    }
+
+    return true;
+}
+
+/**
+ * Validates the job scheduling settings.
+ * @param {ApplicationConfiguration} configuration - Configuration to validate.
+ * @returns {boolean} True if valid.
+ */
+function validateQueue(configuration) {
+    const queue = configuration.queue;
+
+    if (!Object.values(QUEUE_POLICIES).includes(queue.policy)) {
+        Logger.error(`Invalid queue.policy "${queue.policy}" (expected one of: ${Object.values(QUEUE_POLICIES).join(', ')})`);
+        return false;
+    }
+
+    if (!Number.isInteger(queue.adminWeight) || queue.adminWeight < 1) {
+        Logger.error(`Invalid queue.adminWeight: ${queue.adminWeight}`);
+        return false;
+    }
+
+    if (typeof queue.batchByCharacter !== 'boolean') {
+        Logger.error(`Invalid queue.batchByCharacter: ${queue.batchByCharacter}`);
+        return false;
+    }
+
+    if (!Number.isInteger(queue.batchWindow) || queue.batchWindow < 1) {
+        Logger.error(`Invalid queue.batchWindow: ${queue.batchWindow}`);
+        return false;
+    }
+
+    return true;
+}
+
 /**
  * Validates the complete configuration object.
  * @param {ApplicationConfiguration} configuration - Configuration to validate.
@@ -82,6 +315,35 @@ function validateConfiguration(configuration) {
         }
     }
 
+    if (!validateUpdateMode(configuration)) {
+        return false;
+    }
+
+    if (!validateSpeechToText(configuration)) {
+        return false;
+    }
+
+    if (!validateTextToSpeech(configuration)) {
+        return false;
+    }
+
+    if (!validateOutbound(configuration)) {
+        return false;
+    }
+
+    if (!validateLimits(configuration)) {
+        return false;
+    }
+
+    if (!validateQueue(configuration)) {
+        return false;
+    }
+
+    if (typeof configuration.inviteExpiryHours !== 'number' || !(configuration.inviteExpiryHours > 0)) {
+        Logger.error(`Invalid inviteExpiryHours: ${configuration.inviteExpiryHours}`);
+        return false;
+    }
+
     return true;
 }
 
@@ -97,12 +359,89 @@ function mergeWithDefaults(configuration) {
             ...configuration.behavior,
         },
         wssPort: configuration.wssPort ?? DEFAULT_CONFIGURATION.wssPort,
+        updateMode: configuration.updateMode ?? DEFAULT_CONFIGURATION.updateMode,
+        webhook: {
+            ...DEFAULT_CONFIGURATION.webhook,
+            ...configuration.webhook,
+        },
+        dataDirectory: configuration.dataDirectory ?? DEFAULT_CONFIGURATION.dataDirectory,
+        groups: {
+            ...DEFAULT_CONFIGURATION.groups,
+            ...configuration.groups,
+        },
+        speechToText: {
+            ...DEFAULT_CONFIGURATION.speechToText,
+            ...configuration.speechToText,
+            whisper: {
+                ...DEFAULT_CONFIGURATION.speechToText.whisper,
+                ...configuration.speechToText?.whisper,
+            },
+            fixture: {
+                ...DEFAULT_CONFIGURATION.speechToText.fixture,
+                ...configuration.speechToText?.fixture,
+            },
+        },
+        textToSpeech: {
+            ...DEFAULT_CONFIGURATION.textToSpeech,
+            ...configuration.textToSpeech,
+            http: {
+                ...DEFAULT_CONFIGURATION.textToSpeech.http,
+                ...configuration.textToSpeech?.http,
+            },
+            sillytavern: {
+                ...DEFAULT_CONFIGURATION.textToSpeech.sillytavern,
+                ...configuration.textToSpeech?.sillytavern,
+            },
+        },
+        outbound: {
+            ...DEFAULT_CONFIGURATION.outbound,
+            ...configuration.outbound,
+        },
         allowedUserIds: configuration.allowedUserIds ?? DEFAULT_CONFIGURATION.allowedUserIds,
+        adminUserIds: configuration.adminUserIds ?? DEFAULT_CONFIGURATION.adminUserIds,
+        inviteExpiryHours: configuration.inviteExpiryHours ?? DEFAULT_CONFIGURATION.inviteExpiryHours,
+        limits: {
+            ...DEFAULT_CONFIGURATION.limits,
+            ...configuration.limits,
+        },
+        queue: {
+            ...DEFAULT_CONFIGURATION.queue,
+            ...configuration.queue,
+        },
+        personas: configuration.personas ?? DEFAULT_CONFIGURATION.personas,
+        defaultPersona: configuration.defaultPersona ?? DEFAULT_CONFIGURATION.defaultPersona,
+        syncProfileOnStartup: configuration.syncProfileOnStartup ?? DEFAULT_CONFIGURATION.syncProfileOnStartup,
         bots: configuration.bots ?? DEFAULT_CONFIGURATION.bots,
         summarization: configuration.summarization ?? null,
     };
 }
 
+/**
+ * Environment variables read by applyEnvironmentOverrides.
+ * @type {ReadonlyArray<string>}
+ */
+const ENVIRONMENT_OVERRIDES = Object.freeze([
+    'WSS_PORT',
+    'UPDATE_MODE',
+    'WEBHOOK_PORT',
+    'DATA_DIRECTORY',
+    'DEBOUNCE_SECONDS',
+]);
+
+/**
+ * Gets the configuration overrides set in the environment, so a restarted server can be given the same ones.
+ * @returns {Object<string, string>} Set override variables by name.
+ */
+function getEnvironmentOverrides() {
+    const overrides = {};
+    for (const name of ENVIRONMENT_OVERRIDES) {
+        if (process.env[name] !== undefined) {
+            overrides[name] = process.env[name];
+        }
+    }
+    return overrides;
+}
+
 /**
  * Applies environment variable overrides to configuration.
  * @param {ApplicationConfiguration} configuration - Base configuration.
@@ -118,6 +457,24 @@ function applyEnvironmentOverrides(configuration) {
         }
     }
 
+    if (process.env.UPDATE_MODE) {
+        result.updateMode = process.env.UPDATE_MODE;
+    }
+
+    if (process.env.WEBHOOK_PORT) {
+        const port = parseInt(process.env.WEBHOOK_PORT, 10);
+        if (!isNaN(port)) {
+            result.webhook = {
+                ...result.webhook,
+                port: port,
+            };
+        }
+    }
+
+    if (process.env.DATA_DIRECTORY) {
+        result.dataDirectory = process.env.DATA_DIRECTORY;
+    }
+
     if (process.env.DEBOUNCE_SECONDS) {
         const seconds = parseInt(process.env.DEBOUNCE_SECONDS, 10);
         if (!isNaN(seconds)) {
@@ -181,5 +538,6 @@ module.exports = {
     loadConfiguration,
     reloadConfiguration,
     validateConfiguration,
+    getEnvironmentOverrides,
     DEFAULT_CONFIGURATION,
 };
@@ -15,6 +15,7 @@ const COMMANDS = Object.freeze({
     HELP: 'help',
     NEW: 'new',
     TRIGGER: 'trigger',
+    TRIGGER_GENERATION: 'trigger_generation',
     SWITCH_MODEL: 'switchmodel',
     DELETE: 'delete',
     LIST_CHATS: 'listchats',
@@ -24,6 +25,44 @@ const COMMANDS = Object.freeze({
     EXIT: 'exit',
     HISTORY: 'history',
     SUMMARIZE: 'summarize',
+    REGENERATE: 'regenerate',
+    CONTINUE: 'continue',
+    DELETE_REPLY: 'delete_reply',
+    SWIPE: 'swipe',
+    EDIT_MESSAGE: 'edit_message',
+    BIND_CHAT: 'bindchat',
+    PERSONA: 'persona',
+    SET_PERSONA: 'setpersona',
+    VOICE: 'voice',
+    SYNC_PROFILE: 'syncprofile',
+    START: 'start',
+    SELECT_GREETING: 'select_greeting',
+    ALLOW: 'allow',
+    DENY: 'deny',
+    USERS: 'users',
+    PENDING: 'pending',
+    INVITE: 'invite',
+    INVITES: 'invites',
+    QUOTA: 'quota',
+});
+
+/**
+ * How the command router handles a registered command.
+ * @readonly
+ * @enum {string}
+ */
+const COMMAND_HANDLERS = Object.freeze({
+    SYSTEM: 'system',
+    HELP: 'help',
+    QUEUED: 'queued',
+    PERSONA: 'persona',
+    VOICE: 'voice',
+    DELETE: 'delete',
+    TRIGGER: 'trigger',
+    SYNC_PROFILE: 'syncprofile',
+    START: 'start',
+    ACCESS: 'access',
+    QUOTA: 'quota',
 });
 
 /**
@@ -41,8 +80,13 @@ const EVENTS = Object.freeze({
     CHAT_ACTION: 'chat_action',
     COMMAND_EXECUTED: 'command_executed',
     USER_MESSAGE: 'user_message',
+    USER_MESSAGES_STORED: 'user_messages_stored',
     EXECUTE_COMMAND: 'execute_command',
     HISTORY_FILE: 'history_file',
+    TTS_REQUEST: 'tts_request',
+    TTS_AUDIO: 'tts_audio',
+    PROFILE_REQUEST: 'profile_request',
+    CHARACTER_PROFILE: 'character_profile',
 });
 
 /**
@@ -53,6 +97,181 @@ const EVENTS = Object.freeze({
 const JOB_TYPES = Object.freeze({
     MESSAGE: 'message',
     COMMAND: 'command',
+    REGENERATE: 'regenerate',
+    CONTINUE: 'continue',
+    DELETE_REPLY: 'delete_reply',
+    SWIPE: 'swipe',
+    EDIT_MESSAGE: 'edit_message',
+    SELECT_GREETING: 'select_greeting',
+});
+
+/**
+ * Callback data identifiers for inline keyboard buttons.
+ * @readonly
+ * @enum {string}
+ */
+const CALLBACK_ACTIONS = Object.freeze({
+    REGENERATE: 'regenerate',
+    CONTINUE: 'continue',
+    DELETE: 'delete',
+    SWIPE_LEFT: 'swipe_left',
+    SWIPE_RIGHT: 'swipe_right',
+    SWIPE_INFO: 'swipe_info',
+    GREETING: 'greeting',
+    ACCESS_REQUEST: 'access_request',
+    ACCESS_APPROVE: 'access_approve',
+    ACCESS_DENY: 'access_deny',
+});
+
+/**
+ * Swipe directions passed to the extension.
+ * @readonly
+ * @enum {string}
+ */
+const SWIPE_DIRECTIONS = Object.freeze({
+    LEFT: 'left',
+    RIGHT: 'right',
+});
+
+/**
+ * Prefixes of /start deep-link payloads (t.me/<bot>?start=<payload>).
+ * @readonly
+ * @enum {string}
+ */
+const START_PAYLOADS = Object.freeze({
+    GREETING: 'greeting_',
+    CHAT: 'chat_',
+    INVITE: 'invite_',
+});
+
+/**
+ * How QueueManager picks the next job.
+ * @readonly
+ * @enum {string}
+ */
+const QUEUE_POLICIES = Object.freeze({
+    ROUND_ROBIN: 'round_robin',
+    FIFO: 'fifo',
+});
+
+/**
+ * Telegram update delivery modes.
+ * @readonly
+ * @enum {string}
+ */
+const UPDATE_MODES = Object.freeze({
+    POLLING: 'polling',
+    WEBHOOK: 'webhook',
+});
+
+/**
+ * Names of per-user preferences stored by PreferenceService.
+ * @readonly
+ * @enum {string}
+ */
+const USER_PREFERENCES = Object.freeze({
+    PERSONA: 'persona',
+    VOICE_REPLIES: 'voiceReplies',
+});
+
+/**
+ * Outcomes of syncing one bot profile field.
+ * @readonly
+ * @enum {string}
+ */
+const PROFILE_FIELD_STATUS = Object.freeze({
+    UPDATED: 'updated',
+    UNCHANGED: 'unchanged',
+    EMPTY: 'empty',
+    TOO_LONG: 'too_long',
+    FAILED: 'failed',
+});
+
+/**
+ * Outcomes of redeeming an invite code.
+ * @readonly
+ * @enum {string}
+ */
+const INVITE_STATUS = Object.freeze({
+    REDEEMED: 'redeemed',
+    UNKNOWN: 'unknown',
+    USED: 'used',
+    EXPIRED: 'expired',
+});
+
+/**
+ * Usage limits enforced by QuotaService.
+ * @readonly
+ * @enum {string}
+ */
+const LIMIT_TYPES = Object.freeze({
+    MESSAGES_PER_MINUTE: 'messagesPerMinute',
+    GENERATIONS_PER_DAY: 'generationsPerDay',
+    MAX_QUEUED_JOBS: 'maxQueuedJobs',
+});
+
+/**
+ * Speech-to-text providers for voice message transcription.
+ * @readonly
+ * @enum {string}
+ */
+const STT_PROVIDERS = Object.freeze({
+    NONE: 'none',
+    WHISPER: 'whisper',
+    FIXTURE: 'fixture',
+});
+
+/**
+ * Text-to-speech providers for voice replies.
+ * @readonly
+ * @enum {string}
+ */
+const TTS_PROVIDERS = Object.freeze({
+    NONE: 'none',
+    HTTP: 'http',
+    SILLYTAVERN: 'sillytavern',
+});
+
+/**
+ * Formats of reply text sent by the extension.
+ * @readonly
+ * @enum {string}
+ */
+const TEXT_FORMATS = Object.freeze({
+    PLAIN: 'plain',
+    HTML: 'html',
+});
+
+/**
+ * Kinds of file attachments that need special handling.
+ * @readonly
+ * @enum {string}
+ */
+const FILE_KINDS = Object.freeze({
+    VOICE: 'voice',
+});
+
+/**
+ * Telegram chat types.
+ * @readonly
+ * @enum {string}
+ */
+const CHAT_TYPES = Object.freeze({
+    PRIVATE: 'private',
+    GROUP: 'group',
+    SUPERGROUP: 'supergroup',
+    CHANNEL: 'channel',
+});
+
+/**
+ * Telegram chat actions shown while a job runs.
+ * @readonly
+ * @enum {string}
+ */
+const CHAT_ACTIONS = Object.freeze({
+    TYPING: 'typing',
+    UPLOAD_PHOTO: 'upload_photo',
+    RECORD_VOICE: 'record_voice',
 });
 
 /**
@@ -89,13 +308,69 @@ const DEFAULTS = Object.freeze({
     DEBOUNCE_SECONDS: 10,
     MEDIA_GROUP_DELAY_MS: 500,
     STREAM_THROTTLE_MS: 2000,
+    CHAT_ACTION_REFRESH_MS: 4000,
+    TELEGRAM_MESSAGE_MAX_LENGTH: 4096,
+    GREETING_BUTTONS_PER_ROW: 3,
     BRIDGE_URL: 'ws://127.0.0.1:2333',
+    WEBHOOK_PORT: 8443,
+    WEBHOOK_HOST: '0.0.0.0',
+    WEBHOOK_PATH_PREFIX: '/telegram',
+    WEBHOOK_MAX_BODY_BYTES: 1024 * 1024,
+    DATA_DIRECTORY: 'data',
+    STORE_SAVE_DEBOUNCE_MS: 1000,
+    MESSAGE_MAP_MAX_ENTRIES: 50000,
+    GROUP_SENDER_NAME_FORMAT: '{name}: {message}',
+    WHISPER_URL: 'http://127.0.0.1:8080',
+    WHISPER_MODEL: 'whisper-1',
+    STT_TIMEOUT_MS: 60000,
+    STT_FIXTURE_TEXT: 'This is a test transcript.',
+    TTS_URL: 'http://127.0.0.1:8880',
+    TTS_MODEL: 'tts-1',
+    TTS_VOICE: 'alloy',
+    TTS_FORMAT: 'opus',
+    TTS_TIMEOUT_MS: 60000,
+    TTS_MAX_CHUNK_CHARACTERS: 1000,
+    OUTBOUND_BOT_MESSAGES_PER_SECOND: 30,
+    OUTBOUND_CHAT_MESSAGES_PER_SECOND: 1,
+    OUTBOUND_GROUP_MESSAGES_PER_MINUTE: 20,
+    OUTBOUND_CHAT_BURST: 3,
+    OUTBOUND_MAX_RETRIES: 5,
+    OUTBOUND_RETRY_BASE_DELAY_MS: 1000,
+    OUTBOUND_RETRY_MAX_DELAY_MS: 30000,
+    PROFILE_REQUEST_TIMEOUT_MS: 15000,
+    BOT_NAME_MAX_LENGTH: 64,
+    BOT_DESCRIPTION_MAX_LENGTH: 512,
+    BOT_SHORT_DESCRIPTION_MAX_LENGTH: 120,
+    INVITE_CODE_BYTES: 9,
+    INVITE_EXPIRY_HOURS: 24,
+    RATE_LIMIT_WINDOW_MS: 60000,
+    LIMIT_NOTICE_INTERVAL_MS: 10000,
+    QUEUE_ADMIN_WEIGHT: 1,
+    QUEUE_BATCH_WINDOW: 3,
+    QUEUE_JOB_MAX_ATTEMPTS: 2,
+    QUEUE_RESTORE_WAIT_MS: 60000,
 });
 
 module.exports = {
     COMMANDS,
+    COMMAND_HANDLERS,
     EVENTS,
     JOB_TYPES,
+    CALLBACK_ACTIONS,
+    SWIPE_DIRECTIONS,
+    START_PAYLOADS,
+    QUEUE_POLICIES,
+    UPDATE_MODES,
+    CHAT_TYPES,
+    CHAT_ACTIONS,
+    USER_PREFERENCES,
+    PROFILE_FIELD_STATUS,
+    INVITE_STATUS,
+    LIMIT_TYPES,
+    STT_PROVIDERS,
+    TTS_PROVIDERS,
+    TEXT_FORMATS,
+    FILE_KINDS,
     CONNECTION_STATUS,
     LOG_LEVELS,
     DEFAULTS,
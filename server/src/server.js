@@ -7,11 +7,20 @@
 const path = require('path');
 const { spawn } = require('child_process');
 const Logger = require('./utils/logger');
-const { loadConfiguration, reloadConfiguration } = require('./config');
-const { EVENTS, JOB_TYPES, COMMANDS } = require('./constants/system');
+const { loadConfiguration, reloadConfiguration, getEnvironmentOverrides } = require('./config');
+const { EVENTS, JOB_TYPES, COMMANDS, USER_PREFERENCES, FILE_KINDS, CHAT_ACTIONS } = require('./constants/system');
 const QueueManager = require('./services/queueManager');
 const WebSocketService = require('./services/webSocketService');
 const TelegramService = require('./services/telegramService');
+const MessageMapService = require('./services/messageMapService');
+const ChatBindingService = require('./services/chatBindingService');
+const PreferenceService = require('./services/preferenceService');
+const AccessService = require('./services/accessService');
+const QuotaService = require('./services/quotaService');
+const TranscriptionService = require('./services/transcriptionService');
+const SpeechSynthesisService = require('./services/speechSynthesisService');
+const OutboundDispatcher = require('./services/outboundDispatcher');
+const ProfileSyncService = require('./services/profileSyncService');
 
 /**
  * @typedef {import('./types/index').ApplicationConfiguration} ApplicationConfiguration
@@ -22,6 +31,18 @@ const TelegramService = require('./services/telegramService');
 /** @type {ApplicationConfiguration|null} */
 let configuration = null;
 
+/**
+ * Extension commands that carry out reply action jobs.
+ * @type {Object<string, string>}
+ */
+const REPLY_ACTION_COMMANDS = Object.freeze({
+    [JOB_TYPES.REGENERATE]: COMMANDS.REGENERATE,
+    [JOB_TYPES.CONTINUE]: COMMANDS.CONTINUE,
+    [JOB_TYPES.DELETE_REPLY]: COMMANDS.DELETE_REPLY,
+    [JOB_TYPES.SWIPE]: COMMANDS.SWIPE,
+    [JOB_TYPES.SELECT_GREETING]: COMMANDS.SELECT_GREETING,
+});
+
 /**
  * Gets the message split character from configuration.
  * @returns {string} Split character or empty string.
@@ -49,6 +70,24 @@ function sanitizeBotMessage(text) {
     }
 }
 
+/**
+ * Gets the SillyTavern persona for the user of a job.
+ * A persona selected with /persona wins over the per-bot mapping, which wins over the global mapping;
+ * users without one get the per-bot or global defaultPersona.
+ * @param {QueueJob} job - The job.
+ * @returns {string|null} Persona name, or null to restore the persona active before the bridge switched it.
+ */
+function getUserPersona(job) {
+    const selectedPersona = PreferenceService.getInstance().get(job.managedBot.id, job.userId, USER_PREFERENCES.PERSONA);
+    if (selectedPersona) {
+        return selectedPersona;
+    }
+
+    const botConfiguration = configuration?.bots?.find((bot) => bot.token === job.managedBot.token);
+    return botConfiguration?.personas?.[job.userId] || configuration?.personas?.[job.userId] ||
+        botConfiguration?.defaultPersona || configuration?.defaultPersona || null;
+}
+
 /**
  * Processes a job through the queue system.
  * @param {QueueJob} job - The job to process.
@@ -60,21 +99,79 @@ async function processJob(job) {
     const telegramService = TelegramService.getInstance();
 
     try {
+        // Reply actions only apply while the reply is still the latest one
+        if (REPLY_ACTION_COMMANDS[job.type] &&
+            !webSocketService.isLastReplyMessage(job.managedBot.id, job.chatId, job.replyMessageId)) {
+            Logger.info(`Skipping ${job.type} for job ${job.id}: reply is no longer the latest`);
+            await telegramService.sendMessage(job.managedBot, job.chatId, 'That reply can no longer be changed.');
+            queueManager.releaseJob();
+            return;
+        }
+
+        // Decided once per job, so /voice takes effect from the next message
+        job.voiceReply = SpeechSynthesisService.getInstance().isVoiceReplyEnabled(job.managedBot, job.userId);
+
+        // Kept alive until the job is released (onJobReleased) or SillyTavern disconnects
+        if (job.triggerGeneration !== false) {
+            const action = job.voiceReply ? CHAT_ACTIONS.RECORD_VOICE : CHAT_ACTIONS.TYPING;
+            webSocketService.startChatAction(job.managedBot, job.chatId, action);
+        }
+
+        // With character batching, steps that would not change SillyTavern's known state are skipped
+        const knownState = configuration?.queue?.batchByCharacter
+            ? queueManager.getSillyTavernState()
+            : { character: null, chatFile: null, persona: null, connectionProfile: null };
+
         // Step 1: Switch character
-        Logger.info(`Requesting character switch to "${job.targetCharacter}"`);
-        webSocketService.sendToSillyTavern({
-            type: EVENTS.EXECUTE_COMMAND,
-            command: COMMANDS.SWITCH_CHARACTER,
-            args: [job.targetCharacter],
-            chatId: job.chatId,
-            botId: job.managedBot.id,
-            isQueuedSwitch: true,
-        });
+        if (knownState.character === job.targetCharacter) {
+            Logger.info(`SillyTavern is already on "${job.targetCharacter}", skipping character switch`);
+        } else {
+            Logger.info(`Requesting character switch to "${job.targetCharacter}"`);
+            webSocketService.sendToSillyTavern({
+                type: EVENTS.EXECUTE_COMMAND,
+                command: COMMANDS.SWITCH_CHARACTER,
+                args: [job.targetCharacter],
+                chatId: job.chatId,
+                botId: job.managedBot.id,
+                isQueuedSwitch: true,
+            });
 
-        await queueManager.waitForCharacterSwitch(30000);
+            await queueManager.waitForCharacterSwitch(30000);
+            knownState.chatFile = null;
+            queueManager.updateSillyTavernState({ character: job.targetCharacter, chatFile: null });
+        }
 
-        // Step 2: Switch model if configured
-        if (job.managedBot.connectionProfile) {
+        // Step 2: Open the chat file bound to this Telegram chat (/new starts its own chat, /start binds a fresh one)
+        if (job.command === COMMANDS.START) {
+            await openBoundChat(job, webSocketService, true);
+        } else if (configuration?.behavior?.bindChatFiles && job.command !== COMMANDS.NEW) {
+            await openBoundChat(job, webSocketService, false, knownState.chatFile);
+        }
+
+        // Step 3: Switch to the user's persona. Users without one get the persona that was active
+        // before the bridge switched it (the extension remembers it), never the previous user's
+        const personaName = getUserPersona(job);
+        if (personaName && knownState.persona === personaName) {
+            Logger.info(`Persona "${personaName}" is already active, skipping persona switch`);
+        } else {
+            Logger.info(personaName ? `Requesting persona switch to "${personaName}"` : 'Requesting the persona active before the bridge switched it');
+            webSocketService.sendToSillyTavern({
+                type: EVENTS.EXECUTE_COMMAND,
+                command: COMMANDS.SET_PERSONA,
+                args: personaName ? [personaName] : [],
+                chatId: job.chatId,
+                botId: job.managedBot.id,
+                isQueuedSwitch: true,
+            });
+
+            await queueManager.waitForCharacterSwitch(15000);
+            queueManager.updateSillyTavernState({ persona: personaName });
+        }
+
+        // Step 4: Switch model if configured
+        if (job.managedBot.connectionProfile && knownState.connectionProfile === job.managedBot.connectionProfile) {
+            Logger.info(`Connection profile "${job.managedBot.connectionProfile}" is already active, skipping model switch`);
+        } else if (job.managedBot.connectionProfile) {
             Logger.info(`Requesting model switch to "${job.managedBot.connectionProfile}"`);
             webSocketService.sendToSillyTavern({
                 type: EVENTS.EXECUTE_COMMAND,
@@ -86,21 +183,73 @@ async function processJob(job) {
             });
 
             await queueManager.waitForCharacterSwitch(15000);
+            queueManager.updateSillyTavernState({ connectionProfile: job.managedBot.connectionProfile });
         }
 
-        // Step 3: Process the request
+        // Commands may open another chat or change the persona, so the next job sets both up again
+        if (job.type === JOB_TYPES.COMMAND) {
+            queueManager.updateSillyTavernState({ chatFile: null, persona: null });
+        }
+
+        // Step 5: Process the request
         if (job.type === JOB_TYPES.MESSAGE) {
             await sendUserMessage(job, telegramService, webSocketService);
         } else if (job.type === JOB_TYPES.COMMAND) {
             await executeCommand(job, webSocketService);
+        } else if (REPLY_ACTION_COMMANDS[job.type]) {
+            await executeReplyAction(job, webSocketService);
+        } else if (job.type === JOB_TYPES.EDIT_MESSAGE) {
+            await executeEditMessage(job, webSocketService);
         }
     } catch (error) {
         throw error;
     }
 }
 
+/**
+ * Opens the chat file bound to the job's Telegram chat, starting a new chat for first-time users.
+ * @param {QueueJob} job - The job.
+ * @param {WebSocketService} webSocketService - WebSocket service.
+ * @param {boolean} [startNew=false] - Start and bind a new chat even if one is bound.
+ * @param {string|null} [openChatFile=null] - Chat file known to be open; no request is sent if it is the bound one.
+ * @returns {Promise<void>}
+ */
+async function openBoundChat(job, webSocketService, startNew = false, openChatFile = null) {
+    const chatBindingService = ChatBindingService.getInstance();
+    const queueManager = QueueManager.getInstance();
+    const chatFile = startNew ? null : chatBindingService.getChatFile(job.managedBot.id, job.chatId, job.targetCharacter);
+
+    if (chatFile && chatFile === openChatFile) {
+        Logger.info(`Bound chat "${chatFile}" is already open, skipping chat switch`);
+        return;
+    }
+
+    if (chatFile) {
+        Logger.info(`Requesting bound chat "${chatFile}"`);
+    } else {
+        Logger.info(startNew ? `Requesting a new chat for chat ${job.chatId}` : `No chat bound to chat ${job.chatId} yet, requesting a new one`);
+    }
+    webSocketService.sendToSillyTavern({
+        type: EVENTS.EXECUTE_COMMAND,
+        command: COMMANDS.BIND_CHAT,
+        args: chatFile ? [chatFile] : [],
+        chatId: job.chatId,
+        botId: job.managedBot.id,
+        characterName: job.targetCharacter,
+        isQueuedSwitch: true,
+    });
+
+    const result = await queueManager.waitForCharacterSwitch(30000);
+    if (result?.chatFile) {
+        chatBindingService.setChatFile(job.managedBot.id, job.chatId, job.targetCharacter, result.chatFile);
+    }
+    queueManager.updateSillyTavernState({ chatFile: result?.chatFile || null });
+}
+
 /**
  * Sends user message to SillyTavern.
+ * When a job is retried after a restart, messages SillyTavern had already added (journaled with the job)
+ * are sent as references only, so the extension generates the reply without adding them again.
  * @param {QueueJob} job - The job.
  * @param {TelegramService} telegramService - Telegram service.
  * @param {WebSocketService} webSocketService - WebSocket service.
@@ -109,30 +258,63 @@ async function processJob(job) {
 async function sendUserMessage(job, telegramService, webSocketService) {
     Logger.info(`Sending user message to SillyTavern for job ${job.id}`);
 
-    job.managedBot.instance.sendChatAction(job.chatId, 'typing')
-        .catch((error) => Logger.error('Failed to send typing action:', error.message));
-
     const payloadMessages = [];
     const sourceMessages = job.messages || [{ text: job.text, files: job.files }];
 
-    for (const message of sourceMessages) {
+    const transcriptionService = TranscriptionService.getInstance();
+    const queueManager = QueueManager.getInstance();
+
+    for (const [messageIndex, message] of sourceMessages.entries()) {
+        const stored = queueManager.getStoredMessage(job, message.messageId);
+        if (stored) {
+            Logger.info(`Message ${message.messageId} was added before the restart, not adding it again`);
+            payloadMessages.push({
+                telegramMessageId: message.messageId,
+                stored: { chatFile: stored.chatFile, mesId: stored.mesId },
+            });
+            continue;
+        }
+
         let fileAttachments;
+        const transcripts = [];
 
         if (message.files && message.files.length > 0) {
             Logger.info(`Downloading ${message.files.length} file(s) from Telegram...`);
             fileAttachments = [];
 
-            for (const file of message.files) {
-                const downloaded = await telegramService.downloadFile(
-                    job.managedBot.instance,
-                    file.fileId,
-                    file.fileName,
-                    file.mimeType
-                );
+            for (const [fileIndex, file] of message.files.entries()) {
+                // Kept until the job is released, so a job retried after a restart does not download again
+                const fileKey = `${messageIndex}_${fileIndex}`;
+                let downloaded = queueManager.getDownloadedFile(job.id, fileKey);
+                if (downloaded) {
+                    Logger.info(`Using ${file.fileName} downloaded before the restart`);
+                } else {
+                    downloaded = await telegramService.downloadFile(
+                        job.managedBot.instance,
+                        file.fileId,
+                        file.fileName,
+                        file.mimeType
+                    );
+                    if (downloaded) {
+                        queueManager.saveDownloadedFile(job.id, fileKey, downloaded);
+                    }
+                }
 
                 if (downloaded) {
-                    fileAttachments.push(downloaded);
                     Logger.info(`Successfully downloaded: ${file.fileName}`);
+
+                    // Voice and video notes are sent as text; the audio stays attached if transcription fails
+                    if (file.kind === FILE_KINDS.VOICE && transcriptionService.isEnabled()) {
+                        const transcript = await transcriptionService.transcribe(downloaded);
+                        if (transcript) {
+                            transcripts.push(transcript);
+                            if (!transcriptionService.keepsAudio()) {
+                                continue;
+                            }
+                        }
+                    }
+
+                    fileAttachments.push(downloaded);
                 } else {
                     Logger.error(`Failed to download: ${file.fileName}`);
                 }
@@ -143,9 +325,15 @@ async function sendUserMessage(job, telegramService, webSocketService) {
             }
         }
 
+        let text = message.text;
+        if (transcripts.length > 0) {
+            text = [text?.trimEnd(), ...transcripts].filter(Boolean).join(' ');
+        }
+
         payloadMessages.push({
-            text: message.text,
+            text: text,
             files: fileAttachments,
+            telegramMessageId: message.messageId,
         });
     }
 
@@ -155,6 +343,7 @@ async function sendUserMessage(job, telegramService, webSocketService) {
         botId: job.managedBot.id,
         characterName: job.targetCharacter,
         messages: payloadMessages,
+        triggerGeneration: job.triggerGeneration !== false,
     });
 
     Logger.info(`Sent to SillyTavern: ${payloadMessages.length} messages`);
@@ -169,9 +358,6 @@ async function sendUserMessage(job, telegramService, webSocketService) {
 async function executeCommand(job, webSocketService) {
     Logger.info(`Executing command /${job.command} for job ${job.id}`);
 
-    job.managedBot.instance.sendChatAction(job.chatId, 'typing')
-        .catch((error) => Logger.error('Failed to send typing action:', error.message));
-
     const payload = {
         type: EVENTS.EXECUTE_COMMAND,
         command: job.command,
@@ -181,6 +367,13 @@ async function executeCommand(job, webSocketService) {
         characterName: job.targetCharacter,
     };
 
+    // With bound chats, only the chat files of this Telegram chat can be listed and opened
+    if (configuration?.behavior?.bindChatFiles &&
+        (job.command === COMMANDS.LIST_CHATS || /^switchchat(_\d+)?$/.test(job.command))) {
+        payload.allowedChatFiles = ChatBindingService.getInstance()
+            .getOwnedChatFiles(job.managedBot.id, job.chatId, job.targetCharacter);
+    }
+
     // Include summarization config for summarize command
     if (job.command === COMMANDS.SUMMARIZE) {
         payload.summarizationConfig = {
@@ -193,6 +386,54 @@ async function executeCommand(job, webSocketService) {
     webSocketService.sendToSillyTavern(payload);
 }
 
+/**
+ * Executes a reply action (regenerate, continue, swipe or delete) on the latest reply.
+ * Regenerate, continue and swipe are released by the resulting reply, delete by its command result.
+ * @param {QueueJob} job - The job.
+ * @param {WebSocketService} webSocketService - WebSocket service.
+ * @returns {Promise<void>}
+ */
+async function executeReplyAction(job, webSocketService) {
+    const command = REPLY_ACTION_COMMANDS[job.type];
+    Logger.info(`Executing reply action "${command}" for job ${job.id}`);
+
+    webSocketService.sendToSillyTavern({
+        type: EVENTS.EXECUTE_COMMAND,
+        command: command,
+        args: job.arguments || [],
+        chatId: job.chatId,
+        botId: job.managedBot.id,
+        characterName: job.targetCharacter,
+    });
+}
+
+/**
+ * Applies an edited Telegram message to the SillyTavern chat.
+ * Released by the command result, or by the reply if the extension regenerates.
+ * @param {QueueJob} job - The job.
+ * @param {WebSocketService} webSocketService - WebSocket service.
+ * @returns {Promise<void>}
+ */
+async function executeEditMessage(job, webSocketService) {
+    Logger.info(`Applying message edit for job ${job.id}`);
+
+    // Only update the reply in place if it is still the latest one
+    if (job.replyMessageId &&
+        !webSocketService.isLastReplyMessage(job.managedBot.id, job.chatId, job.replyMessageId)) {
+        job.replyMessageId = undefined;
+    }
+
+    webSocketService.sendToSillyTavern({
+        type: EVENTS.EXECUTE_COMMAND,
+        command: COMMANDS.EDIT_MESSAGE,
+        args: [],
+        edit: job.edit,
+        chatId: job.chatId,
+        botId: job.managedBot.id,
+        characterName: job.targetCharacter,
+    });
+}
+
 /**
  * Handles system commands.
  * @param {string} command - Command name.
@@ -225,16 +466,17 @@ async function handleReload(chatId, managedBot) {
         const newConfiguration = reloadConfiguration();
 
         if (!newConfiguration) {
-            await managedBot.instance.sendMessage(chatId, 'Configuration reload failed: Invalid configuration.');
+            await TelegramService.getInstance().sendMessage(managedBot, chatId, 'Configuration reload failed: Invalid configuration.');
             return;
         }
 
         Object.assign(configuration, newConfiguration);
         Logger.info('Configuration reloaded successfully');
-        await managedBot.instance.sendMessage(chatId, 'Configuration reloaded successfully.');
+        await TelegramService.getInstance().publishCommandMenus();
+        await TelegramService.getInstance().sendMessage(managedBot, chatId, 'Configuration reloaded successfully.');
     } catch (error) {
         Logger.error('Error reloading configuration:', error.message);
-        await managedBot.instance.sendMessage(chatId, 'Error reloading configuration: ' + error.message);
+        await TelegramService.getInstance().sendMessage(managedBot, chatId, 'Error reloading configuration: ' + error.message);
     }
 }
 
@@ -246,21 +488,31 @@ async function handleReload(chatId, managedBot) {
 async function handleRestart(chatId, managedBot) {
     Logger.info('Restarting server...');
 
-    await managedBot.instance.sendMessage(chatId, 'Restarting server...');
-
     const telegramService = TelegramService.getInstance();
+    await telegramService.sendMessage(managedBot, chatId, 'Restarting server...');
+
     await telegramService.stopAll();
+    QueueManager.getInstance().stop();
 
     const webSocketService = WebSocketService.getInstance();
     await webSocketService.close();
 
+    MessageMapService.getInstance().flush();
+    ChatBindingService.getInstance().flush();
+    PreferenceService.getInstance().flush();
+    AccessService.getInstance().flush();
+    QuotaService.getInstance().flush();
+    QueueManager.getInstance().flush();
+
     Logger.info('Services stopped, spawning new process...');
 
     setTimeout(() => {
         const serverPath = path.join(__dirname, 'server.js');
+        // Environment overrides are passed on, so the new process uses the same settings and data
         const cleanEnvironment = {
             PATH: process.env.PATH,
             NODE_PATH: process.env.NODE_PATH,
+            ...getEnvironmentOverrides(),
             TELEGRAM_CLEAR_UPDATES: '1',
             RESTART_NOTIFY_CHATID: chatId.toString(),
             RESTART_NOTIFY_BOT_TOKEN: managedBot.token,
@@ -288,10 +540,18 @@ async function handleExit() {
 
     const telegramService = TelegramService.getInstance();
     await telegramService.stopAll();
+    QueueManager.getInstance().stop();
 
     const webSocketService = WebSocketService.getInstance();
     await webSocketService.close();
 
+    MessageMapService.getInstance().flush();
+    ChatBindingService.getInstance().flush();
+    PreferenceService.getInstance().flush();
+    AccessService.getInstance().flush();
+    QuotaService.getInstance().flush();
+    QueueManager.getInstance().flush();
+
     clearTimeout(forceExitTimeout);
     Logger.info('Server shut down successfully');
     process.exit(0);
@@ -314,7 +574,7 @@ async function sendRestartNotification() {
 
     if (!isNaN(chatId) && managedBot) {
         setTimeout(() => {
-            managedBot.instance.sendMessage(chatId, 'Server successfully restarted and ready.')
+            OutboundDispatcher.getInstance().send(managedBot, chatId, (bot) => bot.sendMessage(chatId, 'Server successfully restarted and ready.'))
                 .catch((error) => Logger.error('Failed to send restart notification:', error.message))
                 .finally(() => {
                     delete process.env.RESTART_NOTIFY_CHATID;
@@ -324,6 +584,32 @@ async function sendRestartNotification() {
     }
 }
 
+/**
+ * Restores the queue journal and tells the affected chats that their requests are still being processed.
+ * @returns {Promise<void>}
+ */
+async function restoreQueue() {
+    const telegramService = TelegramService.getInstance();
+    const restored = QueueManager.getInstance().restore((botId) => telegramService.getBot(botId));
+
+    for (const { managedBot, chatId } of restored.chats) {
+        await telegramService.sendMessage(managedBot, chatId, 'The server was restarted. Your messages were kept and are still being processed.');
+    }
+    for (const job of restored.abandonedJobs) {
+        await telegramService.sendMessage(job.managedBot, job.chatId, 'Your last request was interrupted twice and was not completed. Please send it again.');
+    }
+}
+
+/**
+ * Syncs bot profiles from character cards if enabled. Runs once per bot per server start,
+ * as soon as SillyTavern is connected and the bot is initialized.
+ */
+function syncProfilesOnStartup() {
+    const managedBots = [...TelegramService.getInstance().getAllBots().values()];
+    ProfileSyncService.getInstance().syncOnStartup(managedBots)
+        .catch((error) => Logger.error('Startup profile sync failed:', error.message));
+}
+
 /**
  * Main entry point.
  * @returns {Promise<void>}
@@ -338,11 +624,27 @@ async function main() {
         process.exit(1);
     }
 
+    // Load persisted state
+    const dataDirectory = path.resolve(__dirname, '..', configuration.dataDirectory);
+    MessageMapService.getInstance().initialize(dataDirectory);
+    ChatBindingService.getInstance().initialize(dataDirectory);
+    PreferenceService.getInstance().initialize(dataDirectory);
+    AccessService.getInstance().initialize(dataDirectory);
+    QuotaService.getInstance().initialize(dataDirectory);
+    QueueManager.getInstance().initialize(dataDirectory);
+
     // Initialize services
     const queueManager = QueueManager.getInstance();
     const webSocketService = WebSocketService.getInstance();
     const telegramService = TelegramService.getInstance();
 
+    OutboundDispatcher.getInstance().configure(configuration);
+    TranscriptionService.getInstance().configure(configuration);
+    const relay = (payload, timeoutMs) => webSocketService.requestFromSillyTavern(payload, timeoutMs);
+    SpeechSynthesisService.getInstance().configure(configuration, relay);
+    ProfileSyncService.getInstance().configure(configuration, relay);
+    QuotaService.getInstance().configure(configuration);
+
     // Configure QueueManager
     queueManager.configure({
         debounceSeconds: configuration.behavior.debounceSeconds,
@@ -356,6 +658,8 @@ async function main() {
                 webSocketService.clearChatAction(activeJob.job.managedBot.id, activeJob.job.chatId);
             }
         },
+        configuration: configuration,
+        weightResolver: (job) => telegramService.getAdminUserIds(job.managedBot).includes(job.userId) ? configuration.queue.adminWeight : 1,
     });
 
     // Configure WebSocketService
@@ -365,10 +669,19 @@ async function main() {
             await telegramService.sendMessage(managedBot, chatId, text);
         },
         imageSender: async (managedBot, chatId, images) => {
-            await telegramService.sendImages(managedBot, chatId, images);
+            return telegramService.sendImages(managedBot, chatId, images);
+        },
+        voiceSender: async (managedBot, chatId, text) => {
+            const clips = await SpeechSynthesisService.getInstance().synthesizeReply(managedBot, text);
+            return clips ? telegramService.sendVoices(managedBot, chatId, clips) : [];
         },
+        adminChecker: (managedBot, chatId) => telegramService.mayHaveAdmin(managedBot, chatId),
         messageSplitter: getMessageSplitCharacter,
         messageSanitizer: sanitizeBotMessage,
+        onConnect: () => {
+            syncProfilesOnStartup();
+            queueManager.resume();
+        },
     });
 
     // Set up system command handler
@@ -382,6 +695,15 @@ async function main() {
 
     Logger.info('All bots initialized and ready');
 
+    // Pick up requests that were waiting when the server stopped
+    await restoreQueue();
+
+    // SillyTavern may have connected before the bots were ready
+    if (webSocketService.isConnected()) {
+        syncProfilesOnStartup();
+        queueManager.resume();
+    }
+
     // Send restart notification
     await sendRestartNotification();
 
@@ -0,0 +1,322 @@
+/**
+ * @fileoverview Access singleton for the runtime allowlist.
+ * Keeps the users admins allowed with /allow or an approved access request, the users who
+ * joined or were allowed for one bot, the requests waiting for a decision, the users who were
+ * denied (for all bots or one), and the invite codes with their redemptions. The allowedUserIds in
+ * config.js stay the static base; TelegramService checks both lists.
+ * @module services/accessService
+ */
+
+const path = require('path');
+const crypto = require('crypto');
+const Logger = require('../utils/logger');
+const JsonStore = require('../utils/jsonStore');
+const { DEFAULTS, INVITE_STATUS } = require('../constants/system');
+
+/**
+ * @typedef {import('../types/index').AllowedUser} AllowedUser
+ * @typedef {import('../types/index').AccessRequest} AccessRequest
+ * @typedef {import('../types/index').Invite} Invite
+ */
+
+/**
+ * Singleton service for runtime access management.
+ * @class
+ */
+class AccessService {
+    /**
+     * Singleton instance.
+     * @type {AccessService|null}
+     * @private
+     */
+    static _instance = null;
+
+    /**
+     * Gets the singleton instance.
+     * @returns {AccessService}
+     */
+    static getInstance() {
+        if (!AccessService._instance) {
+            AccessService._instance = new AccessService();
+        }
+        return AccessService._instance;
+    }
+
+    /**
+     * Creates a new AccessService instance.
+     * @private
+     */
+    constructor() {
+        /** @type {JsonStore|null} */
+        this._store = null;
+    }
+
+    /**
+     * Loads the persisted allowlist and requests.
+     * @param {string} dataDirectory - Directory holding persisted state.
+     */
+    initialize(dataDirectory) {
+        this._store = new JsonStore(path.join(dataDirectory, 'access.json'), {
+            allowedUsers: {},
+            botUsers: {},
+            pendingRequests: {},
+            deniedUsers: {},
+            botDeniedUsers: {},
+            invites: {},
+        });
+        this._store.load();
+        Logger.info(`Loaded ${Object.keys(this._store.data.allowedUsers).length} allowed user(s) and ${this.getPendingRequests().length} pending access request(s)`);
+    }
+
+    /**
+     * Checks whether a user is on the runtime allowlist, for all bots or the given one.
+     * @param {number} userId - Telegram user ID.
+     * @param {string} botId - Bot identifier.
+     * @returns {boolean} True if allowed at runtime.
+     */
+    isAllowed(userId, botId) {
+        return Boolean(this._store?.data.allowedUsers[userId] || this._store?.data.botUsers[botId]?.[userId]);
+    }
+
+    /**
+     * Checks whether a user is on the runtime allowlist of all bots.
+     * @param {number} userId - Telegram user ID.
+     * @returns {boolean} True if allowed for all bots at runtime.
+     */
+    isAllowedForAllBots(userId) {
+        return Boolean(this._store?.data.allowedUsers[userId]);
+    }
+
+    /**
+     * Gets the users on the runtime allowlist of a bot: those allowed for all bots, then those allowed for this bot only.
+     * @param {string} botId - Bot identifier.
+     * @returns {AllowedUser[]} Allowed users, oldest first within each group.
+     */
+    getAllowedUsers(botId) {
+        const byAddedAt = (a, b) => a.addedAt - b.addedAt;
+        return [
+            ...Object.values(this._store?.data.allowedUsers || {}).sort(byAddedAt),
+            ...Object.values(this._store?.data.botUsers[botId] || {}).sort(byAddedAt),
+        ];
+    }
+
+    /**
+     * Adds a user to the runtime allowlist, resolving their pending requests and clearing a denial.
+     * For one bot, only the request made through that bot and that bot's denial are cleared.
+     * @param {number} userId - Telegram user ID.
+     * @param {number} addedBy - Admin who allowed the user.
+     * @param {string} [name] - Display name, taken from the pending request if omitted.
+     * @param {string} [botId] - Bot to allow the user for; all bots if omitted.
+     * @returns {boolean} False if the user was already allowed.
+     */
+    allow(userId, addedBy, name, botId) {
+        if (!this._store || (botId ? this.isAllowed(userId, botId) : this._store.data.allowedUsers[userId])) {
+            return false;
+        }
+
+        const data = this._store.data;
+        /** @type {AllowedUser} */
+        const entry = {
+            userId: userId,
+            name: name || this.getRequests(userId, botId)[0]?.name || '',
+            addedBy: addedBy,
+            addedAt: Date.now(),
+        };
+
+        if (botId) {
+            data.botUsers[botId] = { ...data.botUsers[botId], [userId]: { ...entry, botId: botId } };
+            delete data.pendingRequests[botId]?.[userId];
+            delete data.botDeniedUsers[botId]?.[userId];
+        } else {
+            data.allowedUsers[userId] = entry;
+            for (const users of Object.values(data.botUsers)) {
+                delete users[userId];
+            }
+            for (const users of Object.values(data.botDeniedUsers)) {
+                delete users[userId];
+            }
+            for (const requests of Object.values(data.pendingRequests)) {
+                delete requests[userId];
+            }
+            delete data.deniedUsers[userId];
+        }
+        this._store.save();
+        return true;
+    }
+
+    /**
+     * Removes a user from the runtime allowlist and denies their pending requests, for every bot or one.
+     * For one bot, only the user's entry for that bot and the request made through it are affected;
+     * users allowed for all bots stay allowed.
+     * Denied users cannot request access again until an admin allows them.
+     * @param {number} userId - Telegram user ID.
+     * @param {string} [botId] - Bot to deny the user for; all bots if omitted.
+     * @returns {{removed: boolean, requests: AccessRequest[]}} Whether the user was on a list, and the denied requests.
+     */
+    deny(userId, botId) {
+        if (!this._store) {
+            return { removed: false, requests: [] };
+        }
+
+        const data = this._store.data;
+        const requests = this.getRequests(userId, botId);
+        let removed;
+
+        if (botId) {
+            removed = Boolean(data.botUsers[botId]?.[userId]);
+            delete data.botUsers[botId]?.[userId];
+            data.botDeniedUsers[botId] = { ...data.botDeniedUsers[botId], [userId]: { deniedAt: Date.now() } };
+        } else {
+            removed = Boolean(data.allowedUsers[userId]);
+            delete data.allowedUsers[userId];
+            for (const users of Object.values(data.botUsers)) {
+                removed = removed || Boolean(users[userId]);
+                delete users[userId];
+            }
+            data.deniedUsers[userId] = { deniedAt: Date.now() };
+        }
+        for (const request of requests) {
+            delete data.pendingRequests[request.botId][userId];
+        }
+        this._store.save();
+        return { removed: removed, requests: requests };
+    }
+
+    /**
+     * Creates a single-use invite code for a bot.
+     * @param {string} botId - Bot the code gives access to.
+     * @param {number} createdBy - Admin who created the code.
+     * @param {number} expiresAt - Time the code expires.
+     * @returns {Invite} The invite.
+     */
+    createInvite(botId, createdBy, expiresAt) {
+        /** @type {Invite} */
+        const invite = {
+            code: crypto.randomBytes(DEFAULTS.INVITE_CODE_BYTES).toString('base64url'),
+            botId: botId,
+            createdBy: createdBy,
+            createdAt: Date.now(),
+            expiresAt: expiresAt,
+            redeemedBy: null,
+            redeemedName: '',
+            redeemedAt: null,
+        };
+
+        if (this._store) {
+            this._store.data.invites[invite.code] = invite;
+            this._store.save();
+        }
+        return invite;
+    }
+
+    /**
+     * Redeems an invite code, allowing the user for the code's bot.
+     * Codes of other bots are treated as unknown.
+     * @param {string} code - Invite code.
+     * @param {string} botId - Bot the code was sent to.
+     * @param {number} userId - Telegram user ID redeeming the code.
+     * @param {string} name - Display name of the user.
+     * @returns {{status: string, invite: Invite|null}} Outcome (INVITE_STATUS) and the invite.
+     */
+    redeemInvite(code, botId, userId, name) {
+        const invite = this._store?.data.invites[code];
+        if (!invite || invite.botId !== botId) {
+            return { status: INVITE_STATUS.UNKNOWN, invite: null };
+        }
+        if (invite.redeemedBy !== null) {
+            return { status: INVITE_STATUS.USED, invite: invite };
+        }
+        if (Date.now() >= invite.expiresAt) {
+            return { status: INVITE_STATUS.EXPIRED, invite: invite };
+        }
+
+        invite.redeemedBy = userId;
+        invite.redeemedName = name;
+        invite.redeemedAt = Date.now();
+        this.allow(userId, invite.createdBy, name, botId);
+        this._store.save();
+        return { status: INVITE_STATUS.REDEEMED, invite: invite };
+    }
+
+    /**
+     * Gets the invite codes of a bot.
+     * @param {string} botId - Bot identifier.
+     * @returns {Invite[]} Invites, newest first.
+     */
+    getInvites(botId) {
+        return Object.values(this._store?.data.invites || {})
+            .filter((invite) => invite.botId === botId)
+            .sort((a, b) => b.createdAt - a.createdAt);
+    }
+
+    /**
+     * Checks whether a user was denied for all bots or the given one.
+     * @param {number} userId - Telegram user ID.
+     * @param {string} botId - Bot identifier.
+     * @returns {boolean} True if denied.
+     */
+    isDenied(userId, botId) {
+        return Boolean(this._store?.data.deniedUsers[userId] || this._store?.data.botDeniedUsers[botId]?.[userId]);
+    }
+
+    /**
+     * Gets the pending request a user made through a bot.
+     * @param {number} userId - Telegram user ID.
+     * @param {string} botId - Bot identifier.
+     * @returns {AccessRequest|null} The request, or null if there is none.
+     */
+    getRequest(userId, botId) {
+        return this._store?.data.pendingRequests[botId]?.[userId] || null;
+    }
+
+    /**
+     * Gets the pending requests of a user.
+     * @param {number} userId - Telegram user ID.
+     * @param {string} [botId] - Only return the request made through this bot.
+     * @returns {AccessRequest[]} Requests, oldest first.
+     */
+    getRequests(userId, botId) {
+        return this.getPendingRequests(botId).filter((request) => request.userId === userId);
+    }
+
+    /**
+     * Gets the requests waiting for a decision.
+     * @param {string} [botId] - Only return requests made through this bot.
+     * @returns {AccessRequest[]} Requests, oldest first.
+     */
+    getPendingRequests(botId) {
+        const pendingRequests = this._store?.data.pendingRequests || {};
+        const requestsByBot = botId ? [pendingRequests[botId] || {}] : Object.values(pendingRequests);
+        return requestsByBot.flatMap((requests) => Object.values(requests))
+            .sort((a, b) => a.requestedAt - b.requestedAt);
+    }
+
+    /**
+     * Records an access request, next to requests the user made through other bots.
+     * @param {AccessRequest} request - The request.
+     */
+    addRequest(request) {
+        if (!this._store) {
+            return;
+        }
+        const data = this._store.data;
+        data.pendingRequests[request.botId] = { ...data.pendingRequests[request.botId], [request.userId]: request };
+        this._store.save();
+    }
+
+    /**
+     * Writes pending changes to disk.
+     */
+    flush() {
+        this._store?.flush();
+    }
+
+    /**
+     * Resets the singleton instance (for testing).
+     */
+    static resetInstance() {
+        AccessService._instance = null;
+    }
+}
+
+module.exports = AccessService;
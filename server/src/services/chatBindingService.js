@@ -0,0 +1,164 @@
+/**
+ * @fileoverview Chat Binding singleton for per-Telegram-chat SillyTavern chat files.
+ * Remembers which chat file belongs to each (bot, Telegram chat) pair so users don't share a conversation,
+ * and which Telegram chat every bound chat file belongs to, so users can only reopen their own.
+ * @module services/chatBindingService
+ */
+
+const path = require('path');
+const Logger = require('../utils/logger');
+const JsonStore = require('../utils/jsonStore');
+
+/**
+ * Stored binding entry.
+ * @typedef {Object} ChatBinding
+ * @property {string} characterName - Character the chat file belongs to.
+ * @property {string} chatFile - SillyTavern chat file name.
+ * @property {number} updatedAt - Time the binding was last changed.
+ */
+
+/**
+ * Singleton service for chat file bindings.
+ * @class
+ */
+class ChatBindingService {
+    /**
+     * Singleton instance.
+     * @type {ChatBindingService|null}
+     * @private
+     */
+    static _instance = null;
+
+    /**
+     * Gets the singleton instance.
+     * @returns {ChatBindingService}
+     */
+    static getInstance() {
+        if (!ChatBindingService._instance) {
+            ChatBindingService._instance = new ChatBindingService();
+        }
+        return ChatBindingService._instance;
+    }
+
+    /**
+     * Creates a new ChatBindingService instance.
+     * @private
+     */
+    constructor() {
+        /** @type {JsonStore|null} */
+        this._store = null;
+    }
+
+    /**
+     * Loads the persisted bindings.
+     * @param {string} dataDirectory - Directory holding persisted state.
+     */
+    initialize(dataDirectory) {
+        this._store = new JsonStore(path.join(dataDirectory, 'chat-bindings.json'), { bindings: {}, owners: {} });
+        this._store.load();
+
+        // Bindings made before chat files had owners belong to their Telegram chat
+        for (const [bindingKey, binding] of Object.entries(this._store.data.bindings)) {
+            this._setOwner(binding.characterName, binding.chatFile, bindingKey);
+        }
+        Logger.info(`Loaded ${Object.keys(this._store.data.bindings).length} chat binding(s)`);
+    }
+
+    /**
+     * Gets the binding key for a bot and chat.
+     * @param {string} botId - Bot identifier.
+     * @param {number} chatId - Telegram chat ID.
+     * @returns {string} Binding key.
+     * @private
+     */
+    _getBindingKey(botId, chatId) {
+        return `${botId}_${chatId}`;
+    }
+
+    /**
+     * Records the Telegram chat a chat file belongs to, unless it already has an owner.
+     * @param {string} characterName - Character the chat file belongs to.
+     * @param {string} chatFile - SillyTavern chat file name.
+     * @param {string} bindingKey - Binding key of the Telegram chat.
+     * @private
+     */
+    _setOwner(characterName, chatFile, bindingKey) {
+        const owners = this._store.data.owners;
+        owners[characterName] = owners[characterName] || {};
+        owners[characterName][chatFile] = owners[characterName][chatFile] || bindingKey;
+    }
+
+    /**
+     * Gets the chat files that have been bound to a Telegram chat.
+     * @param {string} botId - Bot identifier.
+     * @param {number} chatId - Telegram chat ID.
+     * @param {string} characterName - Character the bot currently represents.
+     * @returns {string[]} Chat file names.
+     */
+    getOwnedChatFiles(botId, chatId, characterName) {
+        const bindingKey = this._getBindingKey(botId, chatId);
+        return Object.entries(this._store?.data.owners[characterName] || {})
+            .filter(([, owner]) => owner === bindingKey)
+            .map(([chatFile]) => chatFile);
+    }
+
+    /**
+     * Gets the chat file bound to a Telegram chat.
+     * Bindings made for another character (e.g. after the bot's character was changed) are ignored.
+     * @param {string} botId - Bot identifier.
+     * @param {number} chatId - Telegram chat ID.
+     * @param {string} characterName - Character the bot currently represents.
+     * @returns {string|null} Chat file name, or null if the chat is not bound yet.
+     */
+    getChatFile(botId, chatId, characterName) {
+        const binding = this._store?.data.bindings[this._getBindingKey(botId, chatId)];
+        if (!binding || binding.characterName !== characterName) {
+            return null;
+        }
+        return binding.chatFile;
+    }
+
+    /**
+     * Binds a Telegram chat to a chat file.
+     * @param {string} botId - Bot identifier.
+     * @param {number} chatId - Telegram chat ID.
+     * @param {string} characterName - Character the chat file belongs to.
+     * @param {string} chatFile - SillyTavern chat file name.
+     */
+    setChatFile(botId, chatId, characterName, chatFile) {
+        if (!this._store || !chatFile) {
+            return;
+        }
+
+        const bindingKey = this._getBindingKey(botId, chatId);
+        const binding = this._store.data.bindings[bindingKey];
+        if (binding && binding.characterName === characterName && binding.chatFile === chatFile) {
+            return;
+        }
+
+        this._store.data.bindings[bindingKey] = {
+            characterName: characterName,
+            chatFile: chatFile,
+            updatedAt: Date.now(),
+        };
+        this._setOwner(characterName, chatFile, bindingKey);
+        this._store.save();
+        Logger.info(`Bound chat ${chatId} of bot ${botId} to "${chatFile}"`);
+    }
+
+    /**
+     * Writes pending changes to disk.
+     */
+    flush() {
+        this._store?.flush();
+    }
+
+    /**
+     * Resets the singleton instance (for testing).
+     */
+    static resetInstance() {
+        ChatBindingService._instance = null;
+    }
+}
+
+module.exports = ChatBindingService;
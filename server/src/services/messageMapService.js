@@ -0,0 +1,328 @@
+/**
+ * @fileoverview Message Map singleton linking Telegram messages to SillyTavern chat messages.
+ * Persists (botId, chatId, telegramMessageId) <-> (character, chat file, mesid) pairs to disk,
+ * along with the latest reply of each chat, so its buttons keep working after a restart.
+ * @module services/messageMapService
+ */
+
+const path = require('path');
+const Logger = require('../utils/logger');
+const JsonStore = require('../utils/jsonStore');
+const { DEFAULTS } = require('../constants/system');
+
+/**
+ * @typedef {import('../types/index').ChatMessageReference} ChatMessageReference
+ * @typedef {import('../types/index').DeliveredReply} DeliveredReply
+ */
+
+/**
+ * Stored mapping entry.
+ * @typedef {Object} MessageMapEntry
+ * @property {string} botId - Bot identifier.
+ * @property {number} chatId - Telegram chat ID.
+ * @property {number} telegramMessageId - Telegram message ID.
+ * @property {string} characterName - Character the chat belongs to.
+ * @property {string} chatFile - SillyTavern chat file name.
+ * @property {number} mesId - Index of the message in the chat.
+ * @property {boolean} isUser - Whether the message was sent by the user.
+ * @property {number} timestamp - Time the mapping was recorded.
+ */
+
+/**
+ * Singleton service for Telegram <-> SillyTavern message lookups.
+ * @class
+ */
+class MessageMapService {
+    /**
+     * Singleton instance.
+     * @type {MessageMapService|null}
+     * @private
+     */
+    static _instance = null;
+
+    /**
+     * Gets the singleton instance.
+     * @returns {MessageMapService}
+     */
+    static getInstance() {
+        if (!MessageMapService._instance) {
+            MessageMapService._instance = new MessageMapService();
+        }
+        return MessageMapService._instance;
+    }
+
+    /**
+     * Creates a new MessageMapService instance.
+     * @private
+     */
+    constructor() {
+        /** @type {JsonStore|null} */
+        this._store = null;
+
+        /**
+         * Reverse index: chat message key -> Telegram message keys.
+         * @type {Map<string, Set<string>>}
+         */
+        this._chatMessageIndex = new Map();
+
+        /** @type {number} */
+        this._maxEntries = DEFAULTS.MESSAGE_MAP_MAX_ENTRIES;
+
+        /**
+         * Number of stored entries, so the map is only scanned when it has to be pruned.
+         * @type {number}
+         */
+        this._entryCount = 0;
+    }
+
+    /**
+     * Loads the persisted map.
+     * @param {string} dataDirectory - Directory holding persisted state.
+     */
+    initialize(dataDirectory) {
+        this._store = new JsonStore(path.join(dataDirectory, 'message-map.json'), { entries: {}, lastReplies: {} });
+        this._store.load();
+
+        this._chatMessageIndex.clear();
+        this._entryCount = 0;
+        for (const [telegramKey, entry] of Object.entries(this._store.data.entries)) {
+            this._addToIndex(telegramKey, entry);
+            this._entryCount++;
+        }
+
+        Logger.info(`Message map loaded with ${this._chatMessageIndex.size} chat message(s)`);
+    }
+
+    /**
+     * Gets the key of a Telegram message.
+     * @param {string} botId - Bot identifier.
+     * @param {number} chatId - Telegram chat ID.
+     * @param {number} telegramMessageId - Telegram message ID.
+     * @returns {string} Key.
+     * @private
+     */
+    _getTelegramKey(botId, chatId, telegramMessageId) {
+        return `${botId}_${chatId}_${telegramMessageId}`;
+    }
+
+    /**
+     * Gets the key of a SillyTavern chat message as seen from one Telegram chat.
+     * @param {string} botId - Bot identifier.
+     * @param {number} chatId - Telegram chat ID.
+     * @param {string} chatFile - SillyTavern chat file name.
+     * @param {number} mesId - Message index.
+     * @returns {string} Key.
+     * @private
+     */
+    _getChatMessageKey(botId, chatId, chatFile, mesId) {
+        return `${botId}_${chatId}_${chatFile}_${mesId}`;
+    }
+
+    /**
+     * Adds an entry to the reverse index.
+     * @param {string} telegramKey - Telegram message key.
+     * @param {MessageMapEntry} entry - Stored entry.
+     * @private
+     */
+    _addToIndex(telegramKey, entry) {
+        const chatMessageKey = this._getChatMessageKey(entry.botId, entry.chatId, entry.chatFile, entry.mesId);
+        let telegramKeys = this._chatMessageIndex.get(chatMessageKey);
+        if (!telegramKeys) {
+            telegramKeys = new Set();
+            this._chatMessageIndex.set(chatMessageKey, telegramKeys);
+        }
+        telegramKeys.add(telegramKey);
+    }
+
+    /**
+     * Removes a Telegram message from the map and the reverse index.
+     * @param {string} telegramKey - Telegram message key.
+     * @private
+     */
+    _removeEntry(telegramKey) {
+        const entry = this._store.data.entries[telegramKey];
+        if (!entry) {
+            return;
+        }
+
+        delete this._store.data.entries[telegramKey];
+        this._entryCount--;
+
+        const chatMessageKey = this._getChatMessageKey(entry.botId, entry.chatId, entry.chatFile, entry.mesId);
+        const telegramKeys = this._chatMessageIndex.get(chatMessageKey);
+        if (telegramKeys) {
+            telegramKeys.delete(telegramKey);
+            if (telegramKeys.size === 0) {
+                this._chatMessageIndex.delete(chatMessageKey);
+            }
+        }
+    }
+
+    /**
+     * Drops the oldest entries once the map grows past its limit.
+     * Entries are kept in insertion order, so the first keys are the oldest. A tenth of the limit
+     * is dropped beyond the excess, so the map is scanned once per that many new entries, not on each.
+     * @private
+     */
+    _prune() {
+        if (this._entryCount <= this._maxEntries) {
+            return;
+        }
+
+        const telegramKeys = Object.keys(this._store.data.entries);
+        const excess = this._entryCount - this._maxEntries + Math.floor(this._maxEntries / 10);
+        for (let i = 0; i < excess; i++) {
+            this._removeEntry(telegramKeys[i]);
+        }
+    }
+
+    /**
+     * Records the Telegram messages that show a SillyTavern chat message.
+     * Replaces any earlier mapping of the same chat message, since indices are reused after deletions.
+     * @param {string} botId - Bot identifier.
+     * @param {number} chatId - Telegram chat ID.
+     * @param {ChatMessageReference} reference - The SillyTavern chat message.
+     * @param {number[]} telegramMessageIds - Telegram messages showing it.
+     */
+    recordChatMessage(botId, chatId, reference, telegramMessageIds) {
+        if (!this._store || !reference.chatFile || !Number.isInteger(reference.mesId)) {
+            return;
+        }
+
+        const chatMessageKey = this._getChatMessageKey(botId, chatId, reference.chatFile, reference.mesId);
+        for (const telegramKey of [...(this._chatMessageIndex.get(chatMessageKey) || [])]) {
+            this._removeEntry(telegramKey);
+        }
+
+        for (const telegramMessageId of telegramMessageIds) {
+            const telegramKey = this._getTelegramKey(botId, chatId, telegramMessageId);
+            this._removeEntry(telegramKey);
+
+            /** @type {MessageMapEntry} */
+            const entry = {
+                botId,
+                chatId,
+                telegramMessageId,
+                characterName: reference.characterName,
+                chatFile: reference.chatFile,
+                mesId: reference.mesId,
+                isUser: reference.isUser,
+                timestamp: Date.now(),
+            };
+            this._store.data.entries[telegramKey] = entry;
+            this._entryCount++;
+            this._addToIndex(telegramKey, entry);
+        }
+
+        Logger.debug(`Mapped ${telegramMessageIds.length} Telegram message(s) to ${reference.chatFile}#${reference.mesId}`);
+        this._prune();
+        this._store.save();
+    }
+
+    /**
+     * Looks up the SillyTavern chat message shown by a Telegram message.
+     * @param {string} botId - Bot identifier.
+     * @param {number} chatId - Telegram chat ID.
+     * @param {number} telegramMessageId - Telegram message ID.
+     * @returns {ChatMessageReference|null} The chat message, or null if unknown.
+     */
+    lookup(botId, chatId, telegramMessageId) {
+        const entry = this._store?.data.entries[this._getTelegramKey(botId, chatId, telegramMessageId)];
+        if (!entry) {
+            return null;
+        }
+        return {
+            characterName: entry.characterName,
+            chatFile: entry.chatFile,
+            mesId: entry.mesId,
+            isUser: entry.isUser,
+        };
+    }
+
+    /**
+     * Finds the Telegram messages that show a SillyTavern chat message.
+     * @param {string} botId - Bot identifier.
+     * @param {number} chatId - Telegram chat ID.
+     * @param {string} chatFile - SillyTavern chat file name.
+     * @param {number} mesId - Message index.
+     * @returns {number[]} Telegram message IDs in ascending order.
+     */
+    findTelegramMessages(botId, chatId, chatFile, mesId) {
+        const telegramKeys = this._chatMessageIndex.get(this._getChatMessageKey(botId, chatId, chatFile, mesId));
+        if (!telegramKeys) {
+            return [];
+        }
+        return [...telegramKeys]
+            .map((telegramKey) => this._store.data.entries[telegramKey].telegramMessageId)
+            .sort((a, b) => a - b);
+    }
+
+    /**
+     * Forgets Telegram messages, e.g. after they were deleted.
+     * @param {string} botId - Bot identifier.
+     * @param {number} chatId - Telegram chat ID.
+     * @param {number[]} telegramMessageIds - Telegram message IDs.
+     */
+    forgetTelegramMessages(botId, chatId, telegramMessageIds) {
+        if (!this._store) {
+            return;
+        }
+        for (const telegramMessageId of telegramMessageIds) {
+            this._removeEntry(this._getTelegramKey(botId, chatId, telegramMessageId));
+        }
+        this._store.save();
+    }
+
+    /**
+     * Gets the latest reply delivered in a chat, the one whose buttons can still be used.
+     * @param {string} botId - Bot identifier.
+     * @param {number} chatId - Telegram chat ID.
+     * @returns {DeliveredReply|undefined} The reply, if any.
+     */
+    getLastReply(botId, chatId) {
+        return this._store?.data.lastReplies[`${botId}_${chatId}`];
+    }
+
+    /**
+     * Records the latest reply delivered in a chat.
+     * @param {string} botId - Bot identifier.
+     * @param {number} chatId - Telegram chat ID.
+     * @param {DeliveredReply} reply - The reply.
+     */
+    setLastReply(botId, chatId, reply) {
+        if (!this._store) {
+            return;
+        }
+        this._store.data.lastReplies[`${botId}_${chatId}`] = reply;
+        this._store.save();
+    }
+
+    /**
+     * Forgets the latest reply of a chat, so it can no longer be acted on.
+     * @param {string} botId - Bot identifier.
+     * @param {number} chatId - Telegram chat ID.
+     */
+    forgetLastReply(botId, chatId) {
+        if (!this._store) {
+            return;
+        }
+        delete this._store.data.lastReplies[`${botId}_${chatId}`];
+        this._store.save();
+    }
+
+    /**
+     * Writes pending changes to disk.
+     */
+    flush() {
+        this._store?.flush();
+    }
+
+    /**
+     * Resets the singleton instance (for testing).
+     */
+    static resetInstance() {
+        MessageMapService._instance = null;
+    }
+}
+
+module.exports = MessageMapService;
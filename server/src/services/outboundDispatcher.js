@@ -0,0 +1,418 @@
+/**
+ * @fileoverview Outbound dispatcher singleton for Telegram Bot API calls.
+ * Every call to a chat goes through a per-chat lane, so messages keep their order,
+ * and waits for per-chat and per-bot token buckets so Telegram's flood limits are not hit.
+ * Rate-limited calls honour retry_after, which holds back every chat of the bot, and network and server
+ * errors are retried with backoff.
+ * Calls that post something are only retried when they cannot have reached Telegram, so nothing is posted twice.
+ * @module services/outboundDispatcher
+ */
+
+const Logger = require('../utils/logger');
+const { DEFAULTS } = require('../constants/system');
+
+/**
+ * @typedef {import('../types/index').ApplicationConfiguration} ApplicationConfiguration
+ * @typedef {import('../types/index').ManagedBot} ManagedBot
+ * @typedef {import('../types/index').OutboundConfiguration} OutboundConfiguration
+ */
+
+/**
+ * A Bot API call, made with the bot's client.
+ * @callback OutboundRequest
+ * @param {import('node-telegram-bot-api')} botInstance - The bot's Telegram client.
+ * @returns {Promise<*>} Result of the call.
+ */
+
+/**
+ * A queued call.
+ * @typedef {Object} OutboundEntry
+ * @property {OutboundRequest} request - The call.
+ * @property {boolean} isRateLimited - Whether the call takes a token from the buckets.
+ * @property {boolean} isIdempotent - Whether repeating the call after it reached Telegram is harmless.
+ * @property {number} attempts - Failed attempts so far.
+ * @property {function(*): void} resolve - Resolves the caller's promise.
+ * @property {function(Error): void} reject - Rejects the caller's promise.
+ */
+
+/**
+ * The queue and rate limit state of one chat. Idle lanes are kept until their bucket has refilled,
+ * so the chat's limit still applies to a call that follows shortly after.
+ * @typedef {Object} OutboundLane
+ * @property {ManagedBot} managedBot - The bot the chat belongs to.
+ * @property {number} chatId - The chat ID.
+ * @property {OutboundEntry[]} entries - Calls in order.
+ * @property {TokenBucket} bucket - The chat's token bucket.
+ * @property {number} blockedUntil - Timestamp before which nothing is sent (retry_after or backoff).
+ * @property {boolean} isDraining - Whether the lane's calls are being run.
+ * @property {number} idleSince - Timestamp the lane ran out of calls.
+ */
+
+/**
+ * Token bucket refilled continuously. The rate and capacity are passed on every call,
+ * so changed settings apply without recreating buckets.
+ * @class
+ */
+class TokenBucket {
+    /**
+     * Creates a full bucket.
+     */
+    constructor() {
+        /** @type {number|null} */
+        this._tokens = null;
+
+        /** @type {number} */
+        this._updatedAt = 0;
+    }
+
+    /**
+     * Gets how long to wait for a token.
+     * @param {number} now - Current timestamp.
+     * @param {number} ratePerMillisecond - Tokens added per millisecond.
+     * @param {number} capacity - Maximum tokens (the allowed burst).
+     * @returns {number} Milliseconds until a token is available, 0 if one is available now.
+     */
+    getWait(now, ratePerMillisecond, capacity) {
+        this._tokens = this._tokens === null
+            ? capacity
+            : Math.min(capacity, this._tokens + (now - this._updatedAt) * ratePerMillisecond);
+        this._updatedAt = now;
+        return this._tokens >= 1 ? 0 : Math.ceil((1 - this._tokens) / ratePerMillisecond);
+    }
+
+    /**
+     * Takes a token. Call only after getWait returned 0.
+     */
+    take() {
+        this._tokens -= 1;
+    }
+}
+
+/**
+ * Gets the retry_after Telegram sent with a 429 error.
+ * @param {Error} error - Error thrown by the Bot API client.
+ * @returns {number|null} Milliseconds to wait, or null if absent.
+ */
+function getRetryAfterMs(error) {
+    const retryAfter = error?.response?.body?.parameters?.retry_after;
+    return Number.isFinite(retryAfter) ? retryAfter * 1000 : null;
+}
+
+/**
+ * Network errors that are raised before a request is sent, so Telegram never saw the call.
+ * @type {RegExp}
+ */
+const PRE_SEND_ERROR_PATTERN = /\b(ECONNREFUSED|ENOTFOUND|EAI_AGAIN|ENETUNREACH|EHOSTUNREACH)\b/;
+
+/**
+ * Checks whether a failed call may succeed when repeated.
+ * Network failures surface as EFATAL; Telegram server errors and flood limits have a status code.
+ * A network failure after the request was sent (a reset or timeout) may still have posted the message,
+ * so non-idempotent calls are only retried on failures raised before sending.
+ * @param {Error} error - Error thrown by the Bot API client.
+ * @param {boolean} isIdempotent - Whether repeating the call is harmless.
+ * @returns {boolean} True if the call should be retried.
+ */
+function isTransientError(error, isIdempotent) {
+    if (error?.code === 'EFATAL') {
+        return isIdempotent || PRE_SEND_ERROR_PATTERN.test(error.message);
+    }
+    const statusCode = error?.response?.statusCode;
+    return statusCode === 429 || statusCode >= 500;
+}
+
+/**
+ * Waits for a duration.
+ * @param {number} milliseconds - Time to wait.
+ * @returns {Promise<void>}
+ */
+function sleep(milliseconds) {
+    return new Promise((resolve) => setTimeout(resolve, milliseconds));
+}
+
+/**
+ * Singleton dispatcher for outbound Telegram calls.
+ * @class
+ */
+class OutboundDispatcher {
+    /**
+     * Singleton instance.
+     * @type {OutboundDispatcher|null}
+     * @private
+     */
+    static _instance = null;
+
+    /**
+     * Gets the singleton instance.
+     * @returns {OutboundDispatcher}
+     */
+    static getInstance() {
+        if (!OutboundDispatcher._instance) {
+            OutboundDispatcher._instance = new OutboundDispatcher();
+        }
+        return OutboundDispatcher._instance;
+    }
+
+    /**
+     * Creates a new OutboundDispatcher instance.
+     * @private
+     */
+    constructor() {
+        /** @type {ApplicationConfiguration|null} */
+        this._configuration = null;
+
+        /**
+         * Lanes of the chats called so far, keyed by botId:chatId.
+         * @type {Map<string, OutboundLane>}
+         */
+        this._lanes = new Map();
+
+        /**
+         * Token buckets shared by all chats of a bot, keyed by bot ID.
+         * @type {Map<string, TokenBucket>}
+         */
+        this._botBuckets = new Map();
+
+        /**
+         * Timestamps before which nothing is sent through a bot, set from retry_after, keyed by bot ID.
+         * Telegram's flood limit covers the whole bot, so one chat's 429 holds back the other chats too.
+         * @type {Map<string, number>}
+         */
+        this._botBlockedUntil = new Map();
+    }
+
+    /**
+     * Sets the configuration. Settings are read on every call, so /reload applies.
+     * @param {ApplicationConfiguration} configuration - Application configuration.
+     */
+    configure(configuration) {
+        this._configuration = configuration;
+    }
+
+    /**
+     * Queues a call to a chat.
+     * Calls to the same chat run one at a time in the order they were queued.
+     * @param {ManagedBot} managedBot - The bot to call through.
+     * @param {number} chatId - The chat the call goes to.
+     * @param {OutboundRequest} request - The call.
+     * @param {Object} [options] - Options.
+     * @param {boolean} [options.rateLimited=true] - Whether the call counts against the flood limits.
+     *   Chat actions, callback answers and deletions do not.
+     * @param {boolean} [options.idempotent=false] - Whether the call may be repeated after a network failure
+     *   even if it reached Telegram. True for edits, deletions and chat actions; false for calls that post.
+     * @returns {Promise<*>} Result of the call, or the error of its last attempt.
+     */
+    send(managedBot, chatId, request, options = {}) {
+        const laneKey = `${managedBot.id}:${chatId}`;
+        let lane = this._lanes.get(laneKey);
+
+        if (!lane) {
+            lane = {
+                managedBot: managedBot,
+                chatId: chatId,
+                entries: [],
+                bucket: new TokenBucket(),
+                blockedUntil: 0,
+                isDraining: false,
+                idleSince: 0,
+            };
+            this._lanes.set(laneKey, lane);
+        }
+        // The bot is recreated on restart; use the current client
+        lane.managedBot = managedBot;
+
+        const promise = new Promise((resolve, reject) => {
+            lane.entries.push({
+                request: request,
+                isRateLimited: options.rateLimited !== false,
+                isIdempotent: options.idempotent === true,
+                attempts: 0,
+                resolve: resolve,
+                reject: reject,
+            });
+        });
+
+        if (!lane.isDraining) {
+            this._drainLane(lane);
+        }
+
+        return promise;
+    }
+
+    /**
+     * Gets the number of calls waiting to be sent.
+     * @returns {number} Queued calls over all chats.
+     */
+    getPendingCount() {
+        let count = 0;
+        for (const lane of this._lanes.values()) {
+            count += lane.entries.length;
+        }
+        return count;
+    }
+
+    /**
+     * Runs the calls of a lane in order until it is empty.
+     * @param {OutboundLane} lane - The lane.
+     * @returns {Promise<void>}
+     * @private
+     */
+    async _drainLane(lane) {
+        lane.isDraining = true;
+
+        while (lane.entries.length > 0) {
+            const entry = lane.entries[0];
+            await this._waitForTurn(lane, entry.isRateLimited);
+
+            try {
+                const result = await entry.request(lane.managedBot.instance);
+                lane.entries.shift();
+                entry.resolve(result);
+            } catch (error) {
+                const retryAfter = getRetryAfterMs(error);
+                if (retryAfter !== null) {
+                    const botId = lane.managedBot.id;
+                    this._botBlockedUntil.set(botId, Math.max(this._botBlockedUntil.get(botId) || 0, Date.now() + retryAfter));
+                }
+
+                const delay = this._getRetryDelay(error, entry.attempts, entry.isIdempotent);
+                if (delay === null) {
+                    lane.entries.shift();
+                    entry.reject(error);
+                    continue;
+                }
+
+                entry.attempts++;
+                lane.blockedUntil = Date.now() + delay;
+                Logger.warn(`Telegram call to chat ${lane.chatId} failed (${error.message}), retrying in ${delay}ms (attempt ${entry.attempts})`);
+            }
+        }
+
+        lane.isDraining = false;
+        lane.idleSince = Date.now();
+        this._evictIdleLanes();
+    }
+
+    /**
+     * Drops lanes that have been idle long enough for their bucket to refill,
+     * so lanes of chats that are no longer called do not pile up.
+     * @private
+     */
+    _evictIdleLanes() {
+        const settings = this._getSettings();
+        const now = Date.now();
+
+        for (const [laneKey, lane] of this._lanes) {
+            if (lane.isDraining || lane.entries.length > 0) {
+                continue;
+            }
+
+            const chatRate = lane.chatId < 0
+                ? settings.groupMessagesPerMinute / 60000
+                : settings.chatMessagesPerSecond / 1000;
+            const refillMs = settings.chatBurst / chatRate;
+            if (now - lane.idleSince >= refillMs && now >= lane.blockedUntil) {
+                this._lanes.delete(laneKey);
+            }
+        }
+    }
+
+    /**
+     * Waits until the lane may send, then takes its tokens.
+     * @param {OutboundLane} lane - The lane.
+     * @param {boolean} isRateLimited - Whether the call takes tokens.
+     * @returns {Promise<void>}
+     * @private
+     */
+    async _waitForTurn(lane, isRateLimited) {
+        for (;;) {
+            const now = Date.now();
+            let wait = Math.max(lane.blockedUntil, this._botBlockedUntil.get(lane.managedBot.id) || 0) - now;
+
+            if (isRateLimited) {
+                const settings = this._getSettings();
+                const botBucket = this._getBotBucket(lane.managedBot.id);
+                const isGroup = lane.chatId < 0;
+                const chatRate = isGroup
+                    ? settings.groupMessagesPerMinute / 60000
+                    : settings.chatMessagesPerSecond / 1000;
+
+                wait = Math.max(
+                    wait,
+                    lane.bucket.getWait(now, chatRate, settings.chatBurst),
+                    botBucket.getWait(now, settings.botMessagesPerSecond / 1000, Math.max(1, settings.botMessagesPerSecond))
+                );
+
+                if (wait <= 0) {
+                    lane.bucket.take();
+                    botBucket.take();
+                    return;
+                }
+            } else if (wait <= 0) {
+                return;
+            }
+
+            await sleep(wait);
+        }
+    }
+
+    /**
+     * Gets how long to wait before retrying a failed call.
+     * @param {Error} error - Error of the failed attempt.
+     * @param {number} attempts - Failed attempts before this one.
+     * @param {boolean} isIdempotent - Whether repeating the call is harmless.
+     * @returns {number|null} Milliseconds to wait, or null if the call is not retried.
+     * @private
+     */
+    _getRetryDelay(error, attempts, isIdempotent) {
+        const settings = this._getSettings();
+        if (attempts >= settings.maxRetries || !isTransientError(error, isIdempotent)) {
+            return null;
+        }
+
+        const retryAfter = getRetryAfterMs(error);
+        if (retryAfter !== null) {
+            return retryAfter;
+        }
+
+        return Math.min(settings.retryBaseDelayMs * 2 ** attempts, DEFAULTS.OUTBOUND_RETRY_MAX_DELAY_MS);
+    }
+
+    /**
+     * Gets the token bucket of a bot.
+     * @param {string} botId - Bot identifier.
+     * @returns {TokenBucket} The bucket.
+     * @private
+     */
+    _getBotBucket(botId) {
+        if (!this._botBuckets.has(botId)) {
+            this._botBuckets.set(botId, new TokenBucket());
+        }
+        return this._botBuckets.get(botId);
+    }
+
+    /**
+     * Gets the current outbound settings.
+     * @returns {OutboundConfiguration} Settings, with defaults if not configured.
+     * @private
+     */
+    _getSettings() {
+        return this._configuration?.outbound || {
+            botMessagesPerSecond: DEFAULTS.OUTBOUND_BOT_MESSAGES_PER_SECOND,
+            chatMessagesPerSecond: DEFAULTS.OUTBOUND_CHAT_MESSAGES_PER_SECOND,
+            groupMessagesPerMinute: DEFAULTS.OUTBOUND_GROUP_MESSAGES_PER_MINUTE,
+            chatBurst: DEFAULTS.OUTBOUND_CHAT_BURST,
+            maxRetries: DEFAULTS.OUTBOUND_MAX_RETRIES,
+            retryBaseDelayMs: DEFAULTS.OUTBOUND_RETRY_BASE_DELAY_MS,
+        };
+    }
+
+    /**
+     * Resets the singleton instance (for testing).
+     */
+    static resetInstance() {
+        OutboundDispatcher._instance = null;
+    }
+}
+
+module.exports = OutboundDispatcher;
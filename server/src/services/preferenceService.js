@@ -0,0 +1,129 @@
+/**
+ * @fileoverview Preference singleton for per-user settings chosen via bot commands.
+ * Preferences are stored per (bot, Telegram user) pair and persisted to disk.
+ * @module services/preferenceService
+ */
+
+const path = require('path');
+const Logger = require('../utils/logger');
+const JsonStore = require('../utils/jsonStore');
+
+/**
+ * Singleton service for user preferences.
+ * @class
+ */
+class PreferenceService {
+    /**
+     * Singleton instance.
+     * @type {PreferenceService|null}
+     * @private
+     */
+    static _instance = null;
+
+    /**
+     * Gets the singleton instance.
+     * @returns {PreferenceService}
+     */
+    static getInstance() {
+        if (!PreferenceService._instance) {
+            PreferenceService._instance = new PreferenceService();
+        }
+        return PreferenceService._instance;
+    }
+
+    /**
+     * Creates a new PreferenceService instance.
+     * @private
+     */
+    constructor() {
+        /** @type {JsonStore|null} */
+        this._store = null;
+    }
+
+    /**
+     * Loads the persisted preferences.
+     * @param {string} dataDirectory - Directory holding persisted state.
+     */
+    initialize(dataDirectory) {
+        this._store = new JsonStore(path.join(dataDirectory, 'preferences.json'), { users: {} });
+        this._store.load();
+        Logger.info(`Loaded preferences for ${Object.keys(this._store.data.users).length} user(s)`);
+    }
+
+    /**
+     * Gets the preference key for a bot and user.
+     * @param {string} botId - Bot identifier.
+     * @param {number} userId - Telegram user ID.
+     * @returns {string} Preference key.
+     * @private
+     */
+    _getUserKey(botId, userId) {
+        return `${botId}_${userId}`;
+    }
+
+    /**
+     * Gets a preference value.
+     * @param {string} botId - Bot identifier.
+     * @param {number} userId - Telegram user ID.
+     * @param {string} name - Preference name.
+     * @returns {*} The value, or undefined if not set.
+     */
+    get(botId, userId, name) {
+        return this._store?.data.users[this._getUserKey(botId, userId)]?.[name];
+    }
+
+    /**
+     * Sets a preference value.
+     * @param {string} botId - Bot identifier.
+     * @param {number} userId - Telegram user ID.
+     * @param {string} name - Preference name.
+     * @param {*} value - Value to store.
+     */
+    set(botId, userId, name, value) {
+        if (!this._store) {
+            return;
+        }
+
+        const userKey = this._getUserKey(botId, userId);
+        this._store.data.users[userKey] = {
+            ...this._store.data.users[userKey],
+            [name]: value,
+        };
+        this._store.save();
+    }
+
+    /**
+     * Removes a preference, falling back to the configured default.
+     * @param {string} botId - Bot identifier.
+     * @param {number} userId - Telegram user ID.
+     * @param {string} name - Preference name.
+     */
+    clear(botId, userId, name) {
+        const preferences = this._store?.data.users[this._getUserKey(botId, userId)];
+        if (!preferences || !(name in preferences)) {
+            return;
+        }
+
+        delete preferences[name];
+        if (Object.keys(preferences).length === 0) {
+            delete this._store.data.users[this._getUserKey(botId, userId)];
+        }
+        this._store.save();
+    }
+
+    /**
+     * Writes pending changes to disk.
+     */
+    flush() {
+        this._store?.flush();
+    }
+
+    /**
+     * Resets the singleton instance (for testing).
+     */
+    static resetInstance() {
+        PreferenceService._instance = null;
+    }
+}
+
+module.exports = PreferenceService;
@@ -0,0 +1,287 @@
+/**
+ * @fileoverview Profile sync singleton mirroring character cards into Telegram bot profiles.
+ * Asks the extension for the card of a bot's character and applies its name, creator notes
+ * and short description with setMyName, setMyDescription and setMyShortDescription.
+ * @module services/profileSyncService
+ */
+
+const Logger = require('../utils/logger');
+const { DEFAULTS, EVENTS, PROFILE_FIELD_STATUS } = require('../constants/system');
+
+/**
+ * @typedef {import('../types/index').ApplicationConfiguration} ApplicationConfiguration
+ * @typedef {import('../types/index').ManagedBot} ManagedBot
+ * @typedef {import('../types/index').CharacterProfile} CharacterProfile
+ * @typedef {import('../types/index').ProfileFieldResult} ProfileFieldResult
+ * @typedef {import('../adapters/tts/sillyTavernAdapter').SillyTavernRelay} SillyTavernRelay
+ */
+
+/**
+ * Telegram profile fields in the order they are applied.
+ * `source` is the CharacterProfile property, `parameter` the Bot API field read and written.
+ * @type {ReadonlyArray<{label: string, source: string, parameter: string, maxLength: number, getter: string, setter: string}>}
+ */
+const PROFILE_FIELDS = Object.freeze([
+    {
+        label: 'Name',
+        source: 'name',
+        parameter: 'name',
+        maxLength: DEFAULTS.BOT_NAME_MAX_LENGTH,
+        getter: 'getMyName',
+        setter: 'setMyName',
+    },
+    {
+        label: 'Description',
+        source: 'creatorNotes',
+        parameter: 'description',
+        maxLength: DEFAULTS.BOT_DESCRIPTION_MAX_LENGTH,
+        getter: 'getMyDescription',
+        setter: 'setMyDescription',
+    },
+    {
+        label: 'Short description',
+        source: 'shortDescription',
+        parameter: 'short_description',
+        maxLength: DEFAULTS.BOT_SHORT_DESCRIPTION_MAX_LENGTH,
+        getter: 'getMyShortDescription',
+        setter: 'setMyShortDescription',
+    },
+]);
+
+/**
+ * Gets the short description for a card: its dedicated short description, or else the first
+ * sentence (or line) of the creator notes. The card description is never used, as it holds the prompt.
+ * @param {CharacterProfile} profile - The card.
+ * @returns {string} Short description, empty if the card has none.
+ */
+function getShortDescription(profile) {
+    const shortDescription = (profile.shortDescription || '').trim();
+    if (shortDescription) {
+        return shortDescription;
+    }
+    const firstSentence = (profile.creatorNotes || '').trim().match(/^[^\n]*?(?:[.!?](?=\s|$)|(?=\n|$))/);
+    return firstSentence ? firstSentence[0] : '';
+}
+
+/**
+ * Checks whether Telegram rejected a value for its length.
+ * @param {Error} error - Error thrown by the Bot API client.
+ * @returns {boolean} True if the value was too long.
+ */
+function isTooLongError(error) {
+    return /too long/i.test(error?.response?.body?.description || error?.message || '');
+}
+
+/**
+ * Singleton service for syncing bot profiles.
+ * @class
+ */
+class ProfileSyncService {
+    /**
+     * Singleton instance.
+     * @type {ProfileSyncService|null}
+     * @private
+     */
+    static _instance = null;
+
+    /**
+     * Gets the singleton instance.
+     * @returns {ProfileSyncService}
+     */
+    static getInstance() {
+        if (!ProfileSyncService._instance) {
+            ProfileSyncService._instance = new ProfileSyncService();
+        }
+        return ProfileSyncService._instance;
+    }
+
+    /**
+     * Creates a new ProfileSyncService instance.
+     * @private
+     */
+    constructor() {
+        /** @type {ApplicationConfiguration|null} */
+        this._configuration = null;
+
+        /** @type {SillyTavernRelay|null} */
+        this._relay = null;
+
+        /**
+         * Bots synced since the server started, by bot ID.
+         * @type {Set<string>}
+         */
+        this._syncedOnStartup = new Set();
+    }
+
+    /**
+     * Sets the configuration. Settings are read on every call, so /reload applies.
+     * @param {ApplicationConfiguration} configuration - Application configuration.
+     * @param {SillyTavernRelay} [relay] - Request/response channel to the extension.
+     */
+    configure(configuration, relay) {
+        this._configuration = configuration;
+        if (relay) {
+            this._relay = relay;
+        }
+    }
+
+    /**
+     * Syncs a bot's Telegram profile from its character card.
+     * Empty card fields leave the profile field as it is, and unchanged fields are not written again.
+     * @param {ManagedBot} managedBot - The bot.
+     * @returns {Promise<ProfileFieldResult[]>} Outcome per profile field.
+     * @throws {Error} If the extension is not connected, fails or times out.
+     */
+    async syncBot(managedBot) {
+        const profile = await this._requestProfile(managedBot.characterName);
+        profile.shortDescription = getShortDescription(profile);
+        const results = [];
+
+        for (const field of PROFILE_FIELDS) {
+            results.push(await this._applyField(managedBot, field, (profile[field.source] || '').trim()));
+        }
+
+        const updated = results.filter((result) => result.status === PROFILE_FIELD_STATUS.UPDATED).length;
+        Logger.info(`Synced profile of bot "${managedBot.characterName}": ${updated} field(s) updated`);
+        return results;
+    }
+
+    /**
+     * Syncs the bots with startup sync enabled, once per server start.
+     * Called whenever the extension connects; bots synced before are skipped.
+     * @param {ManagedBot[]} managedBots - All bots.
+     * @returns {Promise<void>}
+     */
+    async syncOnStartup(managedBots) {
+        for (const managedBot of managedBots) {
+            if (this._syncedOnStartup.has(managedBot.id) || !this._isStartupSyncEnabled(managedBot)) {
+                continue;
+            }
+            this._syncedOnStartup.add(managedBot.id);
+
+            try {
+                const results = await this.syncBot(managedBot);
+                for (const result of results) {
+                    if (result.status === PROFILE_FIELD_STATUS.TOO_LONG || result.status === PROFILE_FIELD_STATUS.FAILED) {
+                        Logger.warn(`Profile sync of bot "${managedBot.characterName}": ${result.label} ${this._describeResult(result)}`);
+                    }
+                }
+            } catch (error) {
+                Logger.warn(`Failed to sync profile of bot "${managedBot.characterName}":`, error.message);
+            }
+        }
+    }
+
+    /**
+     * Formats sync results as a chat reply.
+     * @param {ManagedBot} managedBot - The bot.
+     * @param {ProfileFieldResult[]} results - Results of syncBot.
+     * @returns {string} Reply text.
+     */
+    formatReport(managedBot, results) {
+        const lines = results.map((result) => `${result.label}: ${this._describeResult(result)}`);
+        return `Profile synced from "${managedBot.characterName}":\n${lines.join('\n')}`;
+    }
+
+    /**
+     * Applies one profile field.
+     * @param {ManagedBot} managedBot - The bot.
+     * @param {typeof PROFILE_FIELDS[number]} field - The field.
+     * @param {string} value - New value from the character card.
+     * @returns {Promise<ProfileFieldResult>} Outcome.
+     * @private
+     */
+    async _applyField(managedBot, field, value) {
+        const result = { label: field.label, status: PROFILE_FIELD_STATUS.UPDATED, length: value.length, maxLength: field.maxLength };
+
+        if (!value) {
+            return { ...result, status: PROFILE_FIELD_STATUS.EMPTY };
+        }
+        if (value.length > field.maxLength) {
+            return { ...result, status: PROFILE_FIELD_STATUS.TOO_LONG };
+        }
+
+        try {
+            const current = await managedBot.instance[field.getter]();
+            if (current?.[field.parameter] === value) {
+                return { ...result, status: PROFILE_FIELD_STATUS.UNCHANGED };
+            }
+
+            await managedBot.instance[field.setter]({ [field.parameter]: value });
+            return result;
+        } catch (error) {
+            if (isTooLongError(error)) {
+                return { ...result, status: PROFILE_FIELD_STATUS.TOO_LONG };
+            }
+            return { ...result, status: PROFILE_FIELD_STATUS.FAILED, error: error.message };
+        }
+    }
+
+    /**
+     * Describes the outcome of one field.
+     * @param {ProfileFieldResult} result - The outcome.
+     * @returns {string} Description.
+     * @private
+     */
+    _describeResult(result) {
+        switch (result.status) {
+            case PROFILE_FIELD_STATUS.UPDATED:
+                return 'updated';
+            case PROFILE_FIELD_STATUS.UNCHANGED:
+                return 'unchanged';
+            case PROFILE_FIELD_STATUS.EMPTY:
+                return 'empty in the character card, left as it is';
+            case PROFILE_FIELD_STATUS.TOO_LONG:
+                return `rejected, ${result.length} characters (Telegram allows ${result.maxLength})`;
+            default:
+                return `failed (${result.error})`;
+        }
+    }
+
+    /**
+     * Asks the extension for a character card.
+     * @param {string} characterName - SillyTavern character name.
+     * @returns {Promise<CharacterProfile>} The card fields.
+     * @throws {Error} If the extension is not connected, fails or times out.
+     * @private
+     */
+    async _requestProfile(characterName) {
+        if (!this._relay) {
+            throw new Error('No connection to SillyTavern configured');
+        }
+
+        const response = await this._relay({
+            type: EVENTS.PROFILE_REQUEST,
+            characterName: characterName,
+        }, DEFAULTS.PROFILE_REQUEST_TIMEOUT_MS);
+
+        if (response.error) {
+            throw new Error(response.error);
+        }
+        return response.profile;
+    }
+
+    /**
+     * Checks whether a bot's profile is synced when the server starts.
+     * The per-bot setting wins over the global one.
+     * @param {ManagedBot} managedBot - The bot.
+     * @returns {boolean} True if startup sync is enabled.
+     * @private
+     */
+    _isStartupSyncEnabled(managedBot) {
+        const botConfiguration = this._configuration?.bots?.find((bot) => bot.token === managedBot.token);
+        if (typeof botConfiguration?.syncProfileOnStartup === 'boolean') {
+            return botConfiguration.syncProfileOnStartup;
+        }
+        return Boolean(this._configuration?.syncProfileOnStartup);
+    }
+
+    /**
+     * Resets the singleton instance (for testing).
+     */
+    static resetInstance() {
+        ProfileSyncService._instance = null;
+    }
+}
+
+module.exports = ProfileSyncService;
@@ -1,30 +1,72 @@
 /**
- * @fileoverview Queue Manager singleton for FIFO job processing with mutex.
+ * @fileoverview Queue Manager singleton for fair job processing with mutex.
  * Handles message batching, debouncing, and serialized job execution.
+ * Jobs wait in one lane per user; lanes are served round-robin (or strictly by arrival with the FIFO policy).
+ * With character batching, jobs for the character SillyTavern is on may run ahead of their turn within a bounded window.
+ * Waiting jobs, open message batches and the active job are journaled to disk and restored after a restart.
  * @module services/queueManager
  */
 
+const fs = require('fs');
+const path = require('path');
 const Logger = require('../utils/logger');
-const { JOB_TYPES, DEFAULTS } = require('../constants/system');
+const JsonStore = require('../utils/jsonStore');
+const { JOB_TYPES, QUEUE_POLICIES, DEFAULTS } = require('../constants/system');
 
 /**
  * @typedef {import('../types/index').QueueJob} QueueJob
  * @typedef {import('../types/index').ActiveJob} ActiveJob
  * @typedef {import('../types/index').ManagedBot} ManagedBot
  * @typedef {import('../types/index').FileAttachment} FileAttachment
+ * @typedef {import('../types/index').ApplicationConfiguration} ApplicationConfiguration
+ * @typedef {import('../types/index').QueueStatus} QueueStatus
+ * @typedef {import('../types/index').SillyTavernState} SillyTavernState
+ * @typedef {import('../types/index').DownloadedFile} DownloadedFile
+ * @typedef {import('../types/index').RestoredQueue} RestoredQueue
+ * @typedef {import('../types/index').StoredUserMessage} StoredUserMessage
+ */
+
+/**
+ * Jobs of one user waiting to be processed.
+ * @typedef {Object} QueueLane
+ * @property {QueueJob[]} jobs - Waiting jobs in arrival order.
+ * @property {number} served - Jobs served in the lane's current turn.
  */
 
 /**
  * Message buffer entry for debouncing.
  * @typedef {Object} MessageBuffer
  * @property {NodeJS.Timeout} timer - Debounce timer.
- * @property {Array<{text: string, files: FileAttachment[]}>} messages - Buffered messages.
+ * @property {Array<{text: string, files: FileAttachment[], messageId: number, triggersGeneration: boolean}>} messages - Buffered messages.
  * @property {ManagedBot} managedBot - Bot handling these messages.
  * @property {number} chatId - Chat ID.
  * @property {number} userId - User ID.
  * @property {string} targetCharacter - Target character name.
  */
 
+/**
+ * A job as stored in the journal: the bot is kept by ID.
+ * @typedef {Object} JournaledJob
+ * @property {string} botId - Bot identifier.
+ */
+
+/**
+ * A message buffer as stored in the journal.
+ * @typedef {Object} JournaledBuffer
+ * @property {string} botId - Bot identifier.
+ * @property {number} chatId - Chat ID.
+ * @property {number} userId - User ID.
+ * @property {string} targetCharacter - Target character name.
+ * @property {Array<{text: string, files: FileAttachment[], messageId: number, triggersGeneration: boolean}>} messages - Buffered messages.
+ */
+
+/**
+ * Callback type for bot lookup when restoring the journal.
+ * @callback BotLookup
+ * @param {string} botId - Bot identifier.
+ * @returns {ManagedBot|undefined} The bot, or undefined if it is no longer configured.
+ */
+
 /**
  * Callback type for job processor.
  * @callback JobProcessor
@@ -38,6 +80,13 @@ const { JOB_TYPES, DEFAULTS } = require('../constants/system');
  * @returns {boolean}
  */
 
+/**
+ * Callback type for lane weights.
+ * @callback WeightResolver
+ * @param {QueueJob} job - Job at the head of a lane.
+ * @returns {number} Jobs the lane may run per round-robin turn.
+ */
+
 /**
  * Callback type for disconnect notification.
  * @callback DisconnectNotifier
@@ -74,8 +123,47 @@ class QueueManager {
      * @private
      */
     constructor() {
-        /** @type {QueueJob[]} */
-        this._queue = [];
+        /**
+         * Waiting jobs by lane key (one lane per user).
+         * @type {Map<string, QueueLane>}
+         */
+        this._lanes = new Map();
+
+        /**
+         * Lane keys in round-robin order; the first lane is served next.
+         * @type {string[]}
+         */
+        this._laneOrder = [];
+
+        /**
+         * Arrival counter, orders jobs across lanes for the FIFO policy.
+         * @type {number}
+         */
+        this._sequence = 0;
+
+        /**
+         * Character and connection profile of the last dequeued job, for character batching.
+         * @type {string|null}
+         */
+        this._lastBatchKey = null;
+
+        /**
+         * Jobs run ahead of their turn in a row, bounded by queue.batchWindow.
+         * @type {number}
+         */
+        this._batchedAhead = 0;
+
+        /**
+         * SillyTavern state established by the switch steps of earlier jobs.
+         * @type {SillyTavernState}
+         */
+        this._sillyTavernState = this._createUnknownState();
+
+        /** @type {ApplicationConfiguration|null} */
+        this._configuration = null;
+
+        /** @type {WeightResolver|null} */
+        this._weightResolver = null;
 
         /** @type {ActiveJob|null} */
         this._activeJob = null;
@@ -100,6 +188,280 @@ class QueueManager {
 
         /** @type {Function|null} */
         this._onJobReleased = null;
+
+        /**
+         * Journal of waiting jobs, message batches and the active job.
+         * @type {JsonStore|null}
+         */
+        this._store = null;
+
+        /**
+         * Directory holding files downloaded for the active job, so a retried job does not fetch them again.
+         * @type {string|null}
+         */
+        this._filesDirectory = null;
+
+        /**
+         * Whether the journal has been restored; until then it is not overwritten.
+         * @type {boolean}
+         */
+        this._isRestored = false;
+
+        /**
+         * Whether restored jobs are waiting for SillyTavern to connect instead of being dropped.
+         * @type {boolean}
+         */
+        this._isAwaitingConnection = false;
+
+        /** @type {NodeJS.Timeout|null} */
+        this._connectionWaitTimer = null;
+
+        /**
+         * Whether the server is shutting down; no further jobs are started.
+         * @type {boolean}
+         */
+        this._isStopped = false;
+    }
+
+    /**
+     * Loads the queue journal. Jobs are restored with restore() once the bots are running.
+     * @param {string} dataDirectory - Directory holding persisted state.
+     */
+    initialize(dataDirectory) {
+        this._store = new JsonStore(path.join(dataDirectory, 'queue.json'), {
+            activeJob: null,
+            jobs: [],
+            buffers: [],
+        });
+        this._store.load();
+        this._filesDirectory = path.join(dataDirectory, 'queue-files');
+    }
+
+    /**
+     * Restores the journaled queue. The active job at the time of the restart runs first, unless it
+     * has already been retried, and restored jobs wait up to QUEUE_RESTORE_WAIT_MS for SillyTavern to connect.
+     * @param {BotLookup} botLookup - Function resolving bot IDs; jobs of bots no longer configured are dropped.
+     * @returns {RestoredQueue} Chats with restored requests, and jobs given up on.
+     */
+    restore(botLookup) {
+        /** @type {RestoredQueue} */
+        const restored = { chats: [], abandonedJobs: [] };
+        if (!this._store || this._isRestored) {
+            return restored;
+        }
+
+        const journal = this._store.data;
+        const restoreJob = (journaledJob) => {
+            const { botId, ...job } = journaledJob;
+            const managedBot = botLookup(botId);
+            if (!managedBot) {
+                Logger.warn(`Dropping restored job ${job.id}: bot ${botId} is no longer configured`);
+                return null;
+            }
+            return { ...job, managedBot: managedBot };
+        };
+
+        /** @type {QueueJob[]} */
+        const jobs = [];
+        const activeJob = journal.activeJob ? restoreJob(journal.activeJob) : null;
+        if (activeJob && activeJob.attempts >= DEFAULTS.QUEUE_JOB_MAX_ATTEMPTS) {
+            Logger.warn(`Giving up on job ${activeJob.id}: it was interrupted ${activeJob.attempts} times`);
+            restored.abandonedJobs.push(activeJob);
+        } else if (activeJob) {
+            Logger.info(`Job ${activeJob.id} was interrupted, retrying it first`);
+            jobs.push(activeJob);
+        }
+        jobs.push(...journal.jobs.map(restoreJob).filter(Boolean));
+
+        // Restored lanes go ahead of anything queued since the start, keeping their order
+        const currentOrder = this._laneOrder.splice(0);
+        const currentLanes = new Map(this._lanes);
+        this._lanes.clear();
+        for (const job of jobs) {
+            this._addToLane(job);
+            this._sequence = Math.max(this._sequence, job.sequence || 0);
+        }
+        for (const laneKey of currentOrder) {
+            for (const job of currentLanes.get(laneKey).jobs) {
+                this._addToLane(job);
+            }
+        }
+
+        let bufferCount = 0;
+        for (const journaledBuffer of journal.buffers) {
+            const { botId, ...buffer } = journaledBuffer;
+            const managedBot = botLookup(botId);
+            if (!managedBot) {
+                continue;
+            }
+
+            // Messages sent since the start join the restored batch
+            const bufferKey = this._getBufferKey(botId, buffer.chatId, buffer.userId);
+            const currentBuffer = this._messageBuffers.get(bufferKey);
+            if (currentBuffer) {
+                currentBuffer.messages.unshift(...buffer.messages);
+                bufferCount++;
+                continue;
+            }
+            this._messageBuffers.set(bufferKey, {
+                ...buffer,
+                managedBot: managedBot,
+                timer: setTimeout(() => this._flushMessageBuffer(bufferKey), this._debounceMilliseconds),
+            });
+            bufferCount++;
+        }
+
+        const chats = new Map();
+        for (const entry of [...jobs, ...this._messageBuffers.values()]) {
+            chats.set(`${entry.managedBot.id}_${entry.chatId}`, { managedBot: entry.managedBot, chatId: entry.chatId });
+        }
+        restored.chats = [...chats.values()];
+
+        this._isRestored = true;
+        this._removeStaleDownloads(jobs);
+        this._saveJournal();
+
+        if (jobs.length > 0 || bufferCount > 0) {
+            Logger.info(`Restored ${jobs.length} queued job(s) and ${bufferCount} message batch(es)`);
+            this._isAwaitingConnection = true;
+            this._connectionWaitTimer = setTimeout(() => this.resume(), DEFAULTS.QUEUE_RESTORE_WAIT_MS);
+        }
+        return restored;
+    }
+
+    /**
+     * Starts processing waiting jobs, e.g. once SillyTavern has connected.
+     * Ends the wait for the connection after a restore.
+     */
+    resume() {
+        this._isAwaitingConnection = false;
+        clearTimeout(this._connectionWaitTimer);
+        this._connectionWaitTimer = null;
+        this._processNext();
+    }
+
+    /**
+     * Stops starting jobs and flushing message batches before a shutdown, and writes the journal.
+     * The running job stays journaled as active and is retried by the next start.
+     */
+    stop() {
+        this._isStopped = true;
+        clearTimeout(this._connectionWaitTimer);
+        for (const buffer of this._messageBuffers.values()) {
+            clearTimeout(buffer.timer);
+        }
+        this._saveJournal();
+        this.flush();
+    }
+
+    /**
+     * Writes pending journal changes to disk.
+     */
+    flush() {
+        this._store?.flush();
+    }
+
+    /**
+     * Gets a file downloaded for a job before a restart.
+     * @param {string} jobId - Job identifier.
+     * @param {string} fileKey - Key of the file within the job.
+     * @returns {DownloadedFile|null} The file, or null if it was not downloaded yet.
+     */
+    getDownloadedFile(jobId, fileKey) {
+        if (!this._filesDirectory) {
+            return null;
+        }
+        try {
+            return JSON.parse(fs.readFileSync(path.join(this._filesDirectory, `${jobId}_${fileKey}.json`), 'utf8'));
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                Logger.error(`Failed to read downloaded file ${fileKey} of job ${jobId}:`, error.message);
+            }
+            return null;
+        }
+    }
+
+    /**
+     * Keeps a file downloaded for a job until the job is released.
+     * @param {string} jobId - Job identifier.
+     * @param {string} fileKey - Key of the file within the job.
+     * @param {DownloadedFile} file - The downloaded file.
+     */
+    saveDownloadedFile(jobId, fileKey, file) {
+        if (!this._filesDirectory) {
+            return;
+        }
+        try {
+            fs.mkdirSync(this._filesDirectory, { recursive: true });
+            fs.writeFileSync(path.join(this._filesDirectory, `${jobId}_${fileKey}.json`), JSON.stringify(file));
+        } catch (error) {
+            Logger.error(`Failed to keep downloaded file ${fileKey} of job ${jobId}:`, error.message);
+        }
+    }
+
+    /**
+     * Deletes the files downloaded for a job.
+     * @param {string} jobId - Job identifier.
+     * @private
+     */
+    _removeDownloads(jobId) {
+        this._removeDownloadsWhere((fileName) => fileName.startsWith(`${jobId}_`));
+    }
+
+    /**
+     * Deletes downloaded files of jobs that are no longer waiting.
+     * @param {QueueJob[]} jobs - Restored jobs.
+     * @private
+     */
+    _removeStaleDownloads(jobs) {
+        this._removeDownloadsWhere((fileName) => !jobs.some((job) => fileName.startsWith(`${job.id}_`)));
+    }
+
+    /**
+     * Deletes downloaded files matching a condition.
+     * @param {function(string): boolean} predicate - Tests a file name.
+     * @private
+     */
+    _removeDownloadsWhere(predicate) {
+        if (!this._filesDirectory) {
+            return;
+        }
+        let fileNames;
+        try {
+            fileNames = fs.readdirSync(this._filesDirectory);
+        } catch (error) {
+            return;
+        }
+        for (const fileName of fileNames.filter(predicate)) {
+            try {
+                fs.unlinkSync(path.join(this._filesDirectory, fileName));
+            } catch (error) {
+                Logger.error(`Failed to delete ${fileName}:`, error.message);
+            }
+        }
+    }
+
+    /**
+     * Writes the waiting jobs, message batches and active job to the journal.
+     * @param {boolean} [immediately=false] - Write now instead of debounced (used when a job starts).
+     * @private
+     */
+    _saveJournal(immediately = false) {
+        if (!this._store || !this._isRestored) {
+            return;
+        }
+
+        const journalJob = ({ managedBot, ...job }) => ({ ...job, botId: managedBot.id });
+        this._store.data = {
+            activeJob: this._activeJob ? journalJob(this._activeJob.job) : null,
+            jobs: this._getQueuedJobs().map(journalJob),
+            buffers: [...this._messageBuffers.values()]
+                .map(({ timer, managedBot, ...buffer }) => ({ ...buffer, botId: managedBot.id })),
+        };
+        this._store.save();
+        if (immediately) {
+            this._store.flush();
+        }
     }
 
     /**
@@ -110,6 +472,8 @@ class QueueManager {
      * @param {ConnectionChecker} [options.connectionChecker] - Function to check connection.
      * @param {DisconnectNotifier} [options.disconnectNotifier] - Function to notify on disconnect.
      * @param {Function} [options.onJobReleased] - Callback when job is released.
+     * @param {ApplicationConfiguration} [options.configuration] - Configuration holding the scheduling settings, read on every dequeue.
+     * @param {WeightResolver} [options.weightResolver] - Function giving a lane's weight from its head job.
      */
     configure(options) {
         if (options.debounceSeconds !== undefined) {
@@ -127,6 +491,12 @@ class QueueManager {
         if (options.onJobReleased) {
             this._onJobReleased = options.onJobReleased;
         }
+        if (options.configuration) {
+            this._configuration = options.configuration;
+        }
+        if (options.weightResolver) {
+            this._weightResolver = options.weightResolver;
+        }
     }
 
     /**
@@ -143,7 +513,81 @@ class QueueManager {
      * @returns {number} Number of jobs in queue.
      */
     getQueueLength() {
-        return this._queue.length;
+        return this._getQueuedJobs().length;
+    }
+
+    /**
+     * Gets the scheduling state for status displays.
+     * @returns {QueueStatus} Policy, waiting jobs and lanes.
+     */
+    getStatus() {
+        const queue = this._configuration?.queue;
+        return {
+            policy: queue?.policy || QUEUE_POLICIES.ROUND_ROBIN,
+            adminWeight: queue?.adminWeight ?? DEFAULTS.QUEUE_ADMIN_WEIGHT,
+            batchByCharacter: Boolean(queue?.batchByCharacter),
+            batchWindow: queue?.batchWindow ?? DEFAULTS.QUEUE_BATCH_WINDOW,
+            pending: this.getQueueLength(),
+            lanes: this._lanes.size,
+            processing: this._isProcessing,
+        };
+    }
+
+    /**
+     * Gets the SillyTavern state the queue has set up, so switch steps that would not change anything can be skipped.
+     * Only trusted while character batching is enabled; changes made in the SillyTavern UI are not seen.
+     * @returns {SillyTavernState} Known state (copy).
+     */
+    getSillyTavernState() {
+        return { ...this._sillyTavernState };
+    }
+
+    /**
+     * Records SillyTavern state changed by a switch step or command.
+     * @param {Partial<SillyTavernState>} changes - Changed fields; null marks a field unknown.
+     */
+    updateSillyTavernState(changes) {
+        Object.assign(this._sillyTavernState, changes);
+    }
+
+    /**
+     * Forgets the known SillyTavern state, so the next job runs every switch step.
+     */
+    resetSillyTavernState() {
+        this._sillyTavernState = this._createUnknownState();
+    }
+
+    /**
+     * Creates a SillyTavern state with every field unknown.
+     * @returns {SillyTavernState} Unknown state.
+     * @private
+     */
+    _createUnknownState() {
+        return { character: null, chatFile: null, persona: null, connectionProfile: null };
+    }
+
+    /**
+     * Counts the jobs a user has waiting: queued jobs plus open message batches.
+     * @param {string} botId - Bot identifier.
+     * @param {number} userId - Telegram user ID.
+     * @returns {number} Number of waiting jobs.
+     */
+    getQueuedJobCount(botId, userId) {
+        const isUsers = (entry) => entry.managedBot.id === botId && entry.userId === userId;
+        return this._getQueuedJobs().filter(isUsers).length + [...this._messageBuffers.values()].filter(isUsers).length;
+    }
+
+    /**
+     * Checks whether a user has messages waiting in a chat's debounce buffer.
+     * @param {string} botId - Bot identifier.
+     * @param {number} chatId - Telegram chat ID.
+     * @param {number} userId - Telegram user ID.
+     * @param {boolean} [triggeringOnly=false] - Only count messages that ask for a reply.
+     * @returns {boolean} True if a new message would join an existing batch.
+     */
+    hasBufferedMessages(botId, chatId, userId, triggeringOnly = false) {
+        const buffer = this._messageBuffers.get(this._getBufferKey(botId, chatId, userId));
+        return Boolean(buffer?.messages.some((message) => !triggeringOnly || message.triggersGeneration));
     }
 
     /**
@@ -154,6 +598,37 @@ class QueueManager {
         return this._activeJob;
     }
 
+    /**
+     * Records user messages of the active job that SillyTavern has added to its chat.
+     * They are journaled at once, unless the job is not retried after another interruption,
+     * so a retry only generates the reply instead of adding them again.
+     * @param {string} botId - Bot the messages were sent through.
+     * @param {number} chatId - Telegram chat ID.
+     * @param {StoredUserMessage[]} storedMessages - The added messages.
+     */
+    recordStoredMessages(botId, chatId, storedMessages) {
+        const job = this._activeJob?.job;
+        if (!job || job.type !== JOB_TYPES.MESSAGE || job.managedBot.id !== botId || job.chatId !== chatId) {
+            return;
+        }
+
+        job.storedMessages = [...job.storedMessages || [], ...storedMessages];
+        this._saveJournal((job.attempts || 0) < DEFAULTS.QUEUE_JOB_MAX_ATTEMPTS);
+    }
+
+    /**
+     * Gets a user message of a retried job that SillyTavern added before the restart.
+     * @param {QueueJob} job - The job.
+     * @param {number} telegramMessageId - Telegram message ID of the user message.
+     * @returns {StoredUserMessage|null} The stored message, or null if it must be sent again.
+     */
+    getStoredMessage(job, telegramMessageId) {
+        if (!(job.attempts > 1) || !telegramMessageId) {
+            return null;
+        }
+        return (job.storedMessages || []).find((stored) => stored.telegramMessageId === telegramMessageId) || null;
+    }
+
     /**
      * Checks if currently processing a job.
      * @returns {boolean} True if processing.
@@ -163,14 +638,16 @@ class QueueManager {
     }
 
     /**
-     * Gets a unique buffer key for a chat and bot combination.
+     * Gets a unique buffer key for a bot, chat and sender.
+     * Group members get separate batches, so each job is attributed to the user who sent it.
      * @param {string} botId - Bot identifier.
      * @param {number} chatId - Telegram chat ID.
+     * @param {number} userId - Telegram user ID of the sender.
      * @returns {string} Buffer key.
      * @private
      */
-    _getBufferKey(botId, chatId) {
-        return `${botId}_${chatId}`;
+    _getBufferKey(botId, chatId, userId) {
+        return `${botId}_${chatId}_${userId}`;
     }
 
     /**
@@ -180,9 +657,11 @@ class QueueManager {
      * @param {number} userId - Telegram user ID.
      * @param {string} text - Message text.
      * @param {FileAttachment[]} [files] - File attachments.
+     * @param {number} [messageId] - Telegram message ID the text came from.
+     * @param {boolean} [triggersGeneration=true] - Whether the message asks for a reply (false for group context).
      */
-    debounceMessage(managedBot, chatId, userId, text, files) {
-        const bufferKey = this._getBufferKey(managedBot.id, chatId);
+    debounceMessage(managedBot, chatId, userId, text, files, messageId, triggersGeneration = true) {
+        const bufferKey = this._getBufferKey(managedBot.id, chatId, userId);
         let buffer = this._messageBuffers.get(bufferKey);
 
         if (buffer) {
@@ -202,6 +681,8 @@ class QueueManager {
             buffer.messages.push({
                 text: text,
                 files: files,
+                messageId: messageId,
+                triggersGeneration: triggersGeneration,
             });
             Logger.debug(`Buffered message for bot ${managedBot.id} chat ${chatId} (buffer size: ${buffer.messages.length})`);
         }
@@ -209,6 +690,29 @@ class QueueManager {
         buffer.timer = setTimeout(() => {
             this._flushMessageBuffer(bufferKey);
         }, this._debounceMilliseconds);
+        this._saveJournal();
+    }
+
+    /**
+     * Replaces the text of a message that is still waiting in the debounce buffer.
+     * @param {string} botId - Bot identifier.
+     * @param {number} chatId - Telegram chat ID.
+     * @param {number} userId - Telegram user ID of the sender.
+     * @param {number} messageId - Telegram message ID of the edited message.
+     * @param {string} text - New message text.
+     * @returns {boolean} True if the message was buffered and has been updated.
+     */
+    updateBufferedMessage(botId, chatId, userId, messageId, text) {
+        const buffer = this._messageBuffers.get(this._getBufferKey(botId, chatId, userId));
+        const bufferedMessage = buffer?.messages.find((message) => message.messageId === messageId);
+        if (!bufferedMessage) {
+            return false;
+        }
+
+        bufferedMessage.text = text;
+        Logger.debug(`Updated buffered message ${messageId} for bot ${botId} chat ${chatId}`);
+        this._saveJournal();
+        return true;
     }
 
     /**
@@ -225,6 +729,7 @@ class QueueManager {
         this._messageBuffers.delete(bufferKey);
 
         if (buffer.messages.length === 0) {
+            this._saveJournal();
             return;
         }
 
@@ -242,6 +747,7 @@ class QueueManager {
             targetCharacter: buffer.targetCharacter,
             type: JOB_TYPES.MESSAGE,
             messages: buffer.messages,
+            triggerGeneration: buffer.messages.some((message) => message.triggersGeneration),
             files: undefined,
             timestamp: 0,
         };
@@ -256,11 +762,116 @@ class QueueManager {
     enqueueJob(job) {
         job.id = this._generateJobId();
         job.timestamp = Date.now();
-        this._queue.push(job);
-        Logger.info(`Job ${job.id} enqueued for character "${job.targetCharacter}" (queue size: ${this._queue.length})`);
+        job.sequence = ++this._sequence;
+
+        const lane = this._addToLane(job);
+        this._saveJournal();
+
+        Logger.info(`Job ${job.id} enqueued for character "${job.targetCharacter}" (queue size: ${this.getQueueLength()}, user ${job.userId}: ${lane.jobs.length})`);
         this._processNext();
     }
 
+    /**
+     * Appends a job to its user's lane, opening the lane at the back of the round-robin order if needed.
+     * @param {QueueJob} job - The job.
+     * @returns {QueueLane} The lane.
+     * @private
+     */
+    _addToLane(job) {
+        const laneKey = String(job.userId);
+        let lane = this._lanes.get(laneKey);
+        if (!lane) {
+            lane = { jobs: [], served: 0 };
+            this._lanes.set(laneKey, lane);
+            this._laneOrder.push(laneKey);
+        }
+        lane.jobs.push(job);
+        return lane;
+    }
+
+    /**
+     * Gets all waiting jobs, lane by lane in round-robin order.
+     * @returns {QueueJob[]} Waiting jobs.
+     * @private
+     */
+    _getQueuedJobs() {
+        return this._laneOrder.flatMap((laneKey) => this._lanes.get(laneKey).jobs);
+    }
+
+    /**
+     * Removes all waiting jobs.
+     * @returns {QueueJob[]} The removed jobs.
+     * @private
+     */
+    _drainLanes() {
+        const jobs = this._getQueuedJobs();
+        this._lanes.clear();
+        this._laneOrder.length = 0;
+        this._saveJournal();
+        return jobs;
+    }
+
+    /**
+     * Gets the batching key of a job: jobs with the same key need no character or profile switch between them.
+     * @param {QueueJob} job - The job.
+     * @returns {string} Batch key.
+     * @private
+     */
+    _getBatchKey(job) {
+        return `${job.targetCharacter}\u0000${job.managedBot.connectionProfile || ''}`;
+    }
+
+    /**
+     * Takes the next job according to the scheduling policy.
+     * Round-robin serves the first lane for up to its weight in jobs, then moves it to the back;
+     * FIFO takes the oldest job of all lanes. With character batching, a lane whose next job
+     * matches the previous job's character and profile goes first, at most batchWindow times in a row.
+     * Only lane heads are considered, so each user's jobs keep their order.
+     * @returns {QueueJob|undefined} The job, or undefined if nothing is waiting.
+     * @private
+     */
+    _dequeueJob() {
+        if (this._laneOrder.length === 0) {
+            return undefined;
+        }
+
+        const status = this.getStatus();
+        let laneKey = this._laneOrder[0];
+        if (status.policy === QUEUE_POLICIES.FIFO) {
+            laneKey = this._laneOrder.reduce((oldest, key) =>
+                this._lanes.get(key).jobs[0].sequence < this._lanes.get(oldest).jobs[0].sequence ? key : oldest);
+        }
+
+        const isBatchable = (key) => this._getBatchKey(this._lanes.get(key).jobs[0]) === this._lastBatchKey;
+        const batchLaneKey = status.batchByCharacter && !isBatchable(laneKey) && this._batchedAhead < status.batchWindow
+            ? this._laneOrder.find(isBatchable)
+            : undefined;
+        if (batchLaneKey) {
+            laneKey = batchLaneKey;
+            this._batchedAhead++;
+            Logger.debug(`Running a job for "${this._lanes.get(laneKey).jobs[0].targetCharacter}" ahead of its turn (${this._batchedAhead}/${status.batchWindow})`);
+        } else {
+            this._batchedAhead = 0;
+        }
+
+        const lane = this._lanes.get(laneKey);
+        const job = lane.jobs.shift();
+        this._lastBatchKey = this._getBatchKey(job);
+        const weight = Math.max(1, this._weightResolver ? this._weightResolver(job) : 1);
+        lane.served++;
+
+        const position = this._laneOrder.indexOf(laneKey);
+        if (lane.jobs.length === 0) {
+            this._lanes.delete(laneKey);
+            this._laneOrder.splice(position, 1);
+        } else if (lane.served >= weight) {
+            lane.served = 0;
+            this._laneOrder.splice(position, 1);
+            this._laneOrder.push(laneKey);
+        }
+        return job;
+    }
+
     /**
      * Processes the next job in the queue if not already processing.
      * Implements the mutex lock pattern.
@@ -268,20 +879,25 @@ class QueueManager {
      */
     async _processNext() {
         // Mutex check - if already processing, exit
-        if (this._isProcessing) {
+        if (this._isProcessing || this._isStopped) {
             return;
         }
 
         // Check if there are jobs to process
-        if (this._queue.length === 0) {
+        if (this._lanes.size === 0) {
             return;
         }
 
         // Check if SillyTavern is connected
         if (this._connectionChecker && !this._connectionChecker()) {
+            if (this._isAwaitingConnection) {
+                Logger.info('Waiting for SillyTavern to connect before processing restored jobs');
+                return;
+            }
+
             Logger.warn('Cannot process queue: SillyTavern not connected');
             // Notify all queued users
-            for (const job of this._queue) {
+            for (const job of this._drainLanes()) {
                 if (this._disconnectNotifier) {
                     await this._disconnectNotifier(
                         job,
@@ -289,7 +905,6 @@ class QueueManager {
                     );
                 }
             }
-            this._queue.length = 0; // Clear queue
             return;
         }
 
@@ -297,7 +912,7 @@ class QueueManager {
         this._isProcessing = true;
 
         // Dequeue the next job
-        const job = this._queue.shift();
+        const job = this._dequeueJob();
         this._activeJob = {
             job: job,
             characterSwitched: false,
@@ -306,6 +921,10 @@ class QueueManager {
             switchReject: null,
         };
 
+        // Written at once, so a job that brings the server down is only retried once
+        job.attempts = (job.attempts || 0) + 1;
+        this._saveJournal(true);
+
         Logger.info(`Processing job ${job.id} for bot "${job.targetCharacter}"`);
 
         try {
@@ -314,6 +933,7 @@ class QueueManager {
             }
         } catch (error) {
             Logger.error(`Error processing job ${job.id}:`, error.message);
+            this.resetSillyTavernState();
             if (this._disconnectNotifier) {
                 await this._disconnectNotifier(job, `An error occurred: ${error.message}`);
             }
@@ -342,13 +962,15 @@ class QueueManager {
         if (!this._activeJob || !this._activeJob.switchReject) {
             return;
         }
+        this.resetSillyTavernState();
         this._activeJob.switchReject(error);
     }
 
     /**
      * Creates a promise that resolves when character switch is confirmed.
+     * Also used for the other queued switch steps, which resolve with their command result.
      * @param {number} [timeoutMilliseconds=30000] - Timeout in milliseconds.
-     * @returns {Promise<void>}
+     * @returns {Promise<Object|undefined>} The command result, if the step provided one.
      */
     waitForCharacterSwitch(timeoutMilliseconds = 30000) {
         return new Promise((resolve, reject) => {
@@ -361,10 +983,10 @@ class QueueManager {
                 reject(new Error('Character switch timed out'));
             }, timeoutMilliseconds);
 
-            this._activeJob.switchResolve = () => {
+            this._activeJob.switchResolve = (result) => {
                 clearTimeout(timeout);
                 this._activeJob.characterSwitched = true;
-                resolve();
+                resolve(result);
             };
 
             this._activeJob.switchReject = (error) => {
@@ -385,10 +1007,12 @@ class QueueManager {
             if (this._onJobReleased) {
                 this._onJobReleased(this._activeJob);
             }
+            this._removeDownloads(this._activeJob.job.id);
         }
 
         this._activeJob = null;
         this._isProcessing = false;
+        this._saveJournal();
 
         // Process next job in queue
         setImmediate(() => this._processNext());
@@ -398,6 +1022,12 @@ class QueueManager {
      * Handles disconnection mid-generation by notifying users and releasing lock.
      */
     async handleDisconnect() {
+        // Jobs stay journaled for the next start
+        if (this._isStopped) {
+            return;
+        }
+        this.resetSillyTavernState();
+
         if (this._activeJob) {
             const job = this._activeJob.job;
             if (this._disconnectNotifier) {
@@ -414,7 +1044,7 @@ class QueueManager {
         }
 
         // Clear all pending jobs
-        for (const job of this._queue) {
+        for (const job of this._drainLanes()) {
             if (this._disconnectNotifier) {
                 await this._disconnectNotifier(
                     job,
@@ -422,26 +1052,31 @@ class QueueManager {
                 );
             }
         }
-        this._queue.length = 0;
 
         // Notify about released job
         if (this._activeJob && this._onJobReleased) {
             this._onJobReleased(this._activeJob);
         }
+        if (this._activeJob) {
+            this._removeDownloads(this._activeJob.job.id);
+        }
 
         // Release lock
         this._activeJob = null;
         this._isProcessing = false;
+        this._saveJournal();
     }
 
     /**
      * Clears all queued jobs and resets state.
      */
     clearQueue() {
-        this._queue.length = 0;
+        this._drainLanes();
         this._messageBuffers.clear();
+        this.resetSillyTavernState();
         this._activeJob = null;
         this._isProcessing = false;
+        this._saveJournal();
         Logger.info('Queue cleared');
     }
 
@@ -0,0 +1,230 @@
+/**
+ * @fileoverview Quota singleton for per-user rate limits and daily generation quotas.
+ * Counts each user's requests per bot so one user cannot monopolise the shared SillyTavern queue.
+ * Limits come from the global `limits` settings with per-bot overrides; counters are persisted.
+ * @module services/quotaService
+ */
+
+const path = require('path');
+const Logger = require('../utils/logger');
+const JsonStore = require('../utils/jsonStore');
+const { DEFAULTS, LIMIT_TYPES } = require('../constants/system');
+
+/**
+ * @typedef {import('../types/index').ApplicationConfiguration} ApplicationConfiguration
+ * @typedef {import('../types/index').LimitConfiguration} LimitConfiguration
+ * @typedef {import('../types/index').ManagedBot} ManagedBot
+ * @typedef {import('../types/index').LimitViolation} LimitViolation
+ * @typedef {import('../types/index').QuotaUsage} QuotaUsage
+ */
+
+/**
+ * Stored counters of one user on one bot.
+ * @typedef {Object} UserCounters
+ * @property {number[]} messageTimestamps - Times of the requests in the last minute.
+ * @property {string} day - Local date the generation count belongs to (YYYY-MM-DD).
+ * @property {number} generations - Generations requested on that day.
+ */
+
+/**
+ * Gets the local date of a time as YYYY-MM-DD.
+ * @param {Date} date - The time.
+ * @returns {string} Date key.
+ */
+function getDayKey(date) {
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${date.getFullYear()}-${month}-${day}`;
+}
+
+/**
+ * Singleton service for usage limits.
+ * @class
+ */
+class QuotaService {
+    /**
+     * Singleton instance.
+     * @type {QuotaService|null}
+     * @private
+     */
+    static _instance = null;
+
+    /**
+     * Gets the singleton instance.
+     * @returns {QuotaService}
+     */
+    static getInstance() {
+        if (!QuotaService._instance) {
+            QuotaService._instance = new QuotaService();
+        }
+        return QuotaService._instance;
+    }
+
+    /**
+     * Creates a new QuotaService instance.
+     * @private
+     */
+    constructor() {
+        /** @type {ApplicationConfiguration|null} */
+        this._configuration = null;
+
+        /** @type {JsonStore|null} */
+        this._store = null;
+    }
+
+    /**
+     * Sets the configuration. Limits are read on every call, so /reload applies.
+     * @param {ApplicationConfiguration} configuration - Application configuration.
+     */
+    configure(configuration) {
+        this._configuration = configuration;
+    }
+
+    /**
+     * Loads the persisted counters, dropping those of earlier days.
+     * @param {string} dataDirectory - Directory holding persisted state.
+     */
+    initialize(dataDirectory) {
+        this._store = new JsonStore(path.join(dataDirectory, 'quotas.json'), { users: {} });
+        this._store.load();
+
+        const today = getDayKey(new Date());
+        const users = this._store.data.users;
+        for (const [userKey, counters] of Object.entries(users)) {
+            if (counters.day !== today && this._getRecentTimestamps(counters, Date.now()).length === 0) {
+                delete users[userKey];
+            }
+        }
+        Logger.info(`Loaded usage counters for ${Object.keys(users).length} user(s)`);
+    }
+
+    /**
+     * Gets the limits of a bot (global limits with per-bot overrides). 0 means unlimited.
+     * @param {ManagedBot} managedBot - The bot.
+     * @returns {LimitConfiguration} Limits.
+     */
+    getLimits(managedBot) {
+        const botConfiguration = this._configuration?.bots?.find((bot) => bot.token === managedBot.token);
+        return {
+            ...this._configuration?.limits,
+            ...botConfiguration?.limits,
+        };
+    }
+
+    /**
+     * Checks a request against the user's limits and counts it if it passes.
+     * @param {ManagedBot} managedBot - The bot.
+     * @param {number} userId - Telegram user ID.
+     * @param {Object} request - What the request needs.
+     * @param {boolean} request.generates - Whether it starts a generation.
+     * @param {boolean} request.addsJob - Whether it adds a job to the queue (messages joining a batch do not).
+     * @param {number} request.queuedJobs - Jobs of the user already waiting.
+     * @returns {LimitViolation|null} The limit that was hit, or null if the request was counted.
+     */
+    consume(managedBot, userId, request) {
+        const limits = this.getLimits(managedBot);
+        const now = Date.now();
+        const counters = this._getCounters(managedBot.id, userId, now);
+        const recent = this._getRecentTimestamps(counters, now);
+
+        if (limits.messagesPerMinute > 0 && recent.length >= limits.messagesPerMinute) {
+            return {
+                type: LIMIT_TYPES.MESSAGES_PER_MINUTE,
+                max: limits.messagesPerMinute,
+                retryAfterSeconds: Math.ceil((recent[0] + DEFAULTS.RATE_LIMIT_WINDOW_MS - now) / 1000),
+            };
+        }
+        if (request.addsJob && limits.maxQueuedJobs > 0 && request.queuedJobs >= limits.maxQueuedJobs) {
+            return { type: LIMIT_TYPES.MAX_QUEUED_JOBS, max: limits.maxQueuedJobs };
+        }
+        if (request.generates && limits.generationsPerDay > 0 && counters.generations >= limits.generationsPerDay) {
+            return { type: LIMIT_TYPES.GENERATIONS_PER_DAY, max: limits.generationsPerDay };
+        }
+
+        counters.messageTimestamps = [...recent, now];
+        if (request.generates) {
+            counters.generations++;
+        }
+        if (this._store) {
+            this._store.data.users[this._getUserKey(managedBot.id, userId)] = counters;
+            this._store.save();
+        }
+        return null;
+    }
+
+    /**
+     * Gets a user's usage and limits on a bot.
+     * @param {ManagedBot} managedBot - The bot.
+     * @param {number} userId - Telegram user ID.
+     * @returns {QuotaUsage} Usage.
+     */
+    getUsage(managedBot, userId) {
+        const now = Date.now();
+        const counters = this._getCounters(managedBot.id, userId, now);
+        return {
+            limits: this.getLimits(managedBot),
+            messagesLastMinute: this._getRecentTimestamps(counters, now).length,
+            generationsToday: counters.generations,
+        };
+    }
+
+    /**
+     * Gets the counter key for a bot and user.
+     * @param {string} botId - Bot identifier.
+     * @param {number} userId - Telegram user ID.
+     * @returns {string} Counter key.
+     * @private
+     */
+    _getUserKey(botId, userId) {
+        return `${botId}_${userId}`;
+    }
+
+    /**
+     * Gets the counters of a user, starting a new day's count when the date changed.
+     * @param {string} botId - Bot identifier.
+     * @param {number} userId - Telegram user ID.
+     * @param {number} now - Current time.
+     * @returns {UserCounters} Counters (new ones are not stored until a request is counted).
+     * @private
+     */
+    _getCounters(botId, userId, now) {
+        const today = getDayKey(new Date(now));
+        const counters = this._store?.data.users[this._getUserKey(botId, userId)];
+
+        if (!counters) {
+            return { messageTimestamps: [], day: today, generations: 0 };
+        }
+        if (counters.day !== today) {
+            counters.day = today;
+            counters.generations = 0;
+        }
+        return counters;
+    }
+
+    /**
+     * Gets the request times within the rate window.
+     * @param {UserCounters} counters - The counters.
+     * @param {number} now - Current time.
+     * @returns {number[]} Times, oldest first.
+     * @private
+     */
+    _getRecentTimestamps(counters, now) {
+        return (counters.messageTimestamps || []).filter((timestamp) => timestamp > now - DEFAULTS.RATE_LIMIT_WINDOW_MS);
+    }
+
+    /**
+     * Writes pending changes to disk.
+     */
+    flush() {
+        this._store?.flush();
+    }
+
+    /**
+     * Resets the singleton instance (for testing).
+     */
+    static resetInstance() {
+        QuotaService._instance = null;
+    }
+}
+
+module.exports = QuotaService;
@@ -0,0 +1,158 @@
+/**
+ * @fileoverview Speech synthesis singleton turning replies into voice notes.
+ * Delegates to the text-to-speech adapter selected in the configuration and
+ * decides per bot and user whether replies are spoken.
+ * @module services/speechSynthesisService
+ */
+
+const Logger = require('../utils/logger');
+const { DEFAULTS, USER_PREFERENCES } = require('../constants/system');
+const { createTextToSpeechAdapter } = require('../adapters/tts');
+const { splitText } = require('../utils/textSplitter');
+const PreferenceService = require('./preferenceService');
+
+/**
+ * @typedef {import('../types/index').ApplicationConfiguration} ApplicationConfiguration
+ * @typedef {import('../types/index').ManagedBot} ManagedBot
+ * @typedef {import('../types/index').SpeechAudio} SpeechAudio
+ * @typedef {import('../adapters/tts/sillyTavernAdapter').SillyTavernRelay} SillyTavernRelay
+ */
+
+/**
+ * Singleton service for text-to-speech.
+ * @class
+ */
+class SpeechSynthesisService {
+    /**
+     * Singleton instance.
+     * @type {SpeechSynthesisService|null}
+     * @private
+     */
+    static _instance = null;
+
+    /**
+     * Gets the singleton instance.
+     * @returns {SpeechSynthesisService}
+     */
+    static getInstance() {
+        if (!SpeechSynthesisService._instance) {
+            SpeechSynthesisService._instance = new SpeechSynthesisService();
+        }
+        return SpeechSynthesisService._instance;
+    }
+
+    /**
+     * Creates a new SpeechSynthesisService instance.
+     * @private
+     */
+    constructor() {
+        /** @type {ApplicationConfiguration|null} */
+        this._configuration = null;
+
+        /** @type {SillyTavernRelay|null} */
+        this._relay = null;
+    }
+
+    /**
+     * Sets the configuration. Settings are read on every call, so /reload applies.
+     * @param {ApplicationConfiguration} configuration - Application configuration.
+     * @param {SillyTavernRelay} [relay] - Request/response channel to the extension.
+     */
+    configure(configuration, relay) {
+        this._configuration = configuration;
+        if (relay) {
+            this._relay = relay;
+        }
+    }
+
+    /**
+     * Checks whether a text-to-speech provider is configured.
+     * @returns {boolean} True if replies can be spoken.
+     */
+    isEnabled() {
+        return this._createAdapter() !== null;
+    }
+
+    /**
+     * Checks whether replies to a user are delivered as voice notes.
+     * The user's /voice choice wins over the per-bot setting, which wins over the global default.
+     * @param {ManagedBot} managedBot - The bot.
+     * @param {number} userId - Telegram user ID.
+     * @returns {boolean} True if replies are spoken.
+     */
+    isVoiceReplyEnabled(managedBot, userId) {
+        if (!this.isEnabled()) {
+            return false;
+        }
+
+        const selected = PreferenceService.getInstance().get(managedBot.id, userId, USER_PREFERENCES.VOICE_REPLIES);
+        if (typeof selected === 'boolean') {
+            return selected;
+        }
+
+        const botConfiguration = this._getBotConfiguration(managedBot);
+        if (typeof botConfiguration?.voiceReplies === 'boolean') {
+            return botConfiguration.voiceReplies;
+        }
+
+        return Boolean(this._configuration?.textToSpeech?.voiceReplies);
+    }
+
+    /**
+     * Synthesizes a reply, one clip per chunk.
+     * @param {ManagedBot} managedBot - The bot whose voice is used.
+     * @param {string} text - Reply text.
+     * @returns {Promise<SpeechAudio[]|null>} Clips in order, or null if disabled or any chunk failed.
+     */
+    async synthesizeReply(managedBot, text) {
+        const adapter = this._createAdapter();
+        if (!adapter) {
+            return null;
+        }
+
+        const maxCharacters = this._configuration.textToSpeech.maxChunkCharacters || DEFAULTS.TTS_MAX_CHUNK_CHARACTERS;
+        const chunks = splitText(text, maxCharacters);
+        const voice = this._getBotConfiguration(managedBot)?.ttsVoice;
+        const clips = [];
+
+        try {
+            const startTime = Date.now();
+            for (const chunk of chunks) {
+                clips.push(await adapter.synthesize(chunk, voice));
+            }
+            Logger.info(`Synthesized ${clips.length} voice clip(s) in ${Date.now() - startTime}ms (${text.length} chars)`);
+            return clips.length > 0 ? clips : null;
+        } catch (error) {
+            Logger.error('Failed to synthesize voice reply:', error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Creates the adapter for the current settings.
+     * @returns {Object|null} Adapter, or null if disabled.
+     * @private
+     */
+    _createAdapter() {
+        return createTextToSpeechAdapter(this._configuration?.textToSpeech, this._relay);
+    }
+
+    /**
+     * Finds the configuration entry of a bot.
+     * @param {ManagedBot} managedBot - The bot.
+     * @returns {import('../types/index').BotConfiguration|undefined} Bot configuration.
+     * @private
+     */
+    _getBotConfiguration(managedBot) {
+        return this._configuration?.bots?.find((bot) => bot.token === managedBot.token);
+    }
+
+    /**
+     * Resets the singleton instance (for testing).
+     */
+    static resetInstance() {
+        SpeechSynthesisService._instance = null;
+    }
+}
+
+module.exports = SpeechSynthesisService;
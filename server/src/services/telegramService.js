@@ -1,14 +1,40 @@
 /**
  * @fileoverview Telegram Service for managing bot instances and message handling.
- * Handles bot polling, message processing, commands, and media groups.
+ * Handles bot polling or webhooks, message processing, commands, and media groups.
  * @module services/telegramService
  */
 
+const http = require('http');
+const crypto = require('crypto');
 const TelegramBot = require('node-telegram-bot-api');
 const Logger = require('../utils/logger');
-const { COMMANDS, JOB_TYPES, DEFAULTS } = require('../constants/system');
+const { splitText } = require('../utils/textSplitter');
+const { findCommand, buildHelpText, buildCommandMenu } = require('../utils/commandRegistry');
+const {
+    COMMANDS,
+    COMMAND_HANDLERS,
+    JOB_TYPES,
+    CALLBACK_ACTIONS,
+    SWIPE_DIRECTIONS,
+    START_PAYLOADS,
+    DEFAULTS,
+    UPDATE_MODES,
+    CHAT_TYPES,
+    USER_PREFERENCES,
+    FILE_KINDS,
+    INVITE_STATUS,
+    LIMIT_TYPES,
+    QUEUE_POLICIES,
+} = require('../constants/system');
 const QueueManager = require('./queueManager');
 const WebSocketService = require('./webSocketService');
+const MessageMapService = require('./messageMapService');
+const PreferenceService = require('./preferenceService');
+const OutboundDispatcher = require('./outboundDispatcher');
+const SpeechSynthesisService = require('./speechSynthesisService');
+const ProfileSyncService = require('./profileSyncService');
+const AccessService = require('./accessService');
+const QuotaService = require('./quotaService');
 
 /**
  * @typedef {import('../types/index').ManagedBot} ManagedBot
@@ -16,8 +42,32 @@ const WebSocketService = require('./webSocketService');
  * @typedef {import('../types/index').ApplicationConfiguration} ApplicationConfiguration
  * @typedef {import('../types/index').FileAttachment} FileAttachment
  * @typedef {import('../types/index').QueueJob} QueueJob
+ * @typedef {import('../types/index').GroupConfiguration} GroupConfiguration
+ * @typedef {import('../types/index').SpeechAudio} SpeechAudio
+ * @typedef {import('../types/index').AccessRequest} AccessRequest
+ * @typedef {import('../types/index').AllowedUser} AllowedUser
+ * @typedef {import('../types/index').Invite} Invite
  */
 
+/**
+ * Escapes a string for literal use in a regular expression.
+ * @param {string} value - String to escape.
+ * @returns {string} Escaped string.
+ */
+function escapeRegExp(value) {
+    return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Gets a display name for a Telegram user.
+ * @param {Object} from - Telegram user object.
+ * @returns {string} Full name, @username, or the user ID.
+ */
+function formatUserName(from) {
+    return [from.first_name, from.last_name].filter(Boolean).join(' ') ||
+        (from.username ? `@${from.username}` : `User ${from.id}`);
+}
+
 /**
  * Media group buffer entry.
  * @typedef {Object} MediaGroupBuffer
@@ -70,6 +120,27 @@ class TelegramService {
 
         /** @type {Function|null} */
         this._onSystemCommand = null;
+
+        /**
+         * Managed bots seen in each group chat, to tell whether an unaddressed command is ambiguous.
+         * @type {Map<number, Set<string>>}
+         */
+        this._groupBots = new Map();
+
+        /**
+         * Admins given a chat-scoped command menu, by bot ID.
+         * @type {Map<string, number[]>}
+         */
+        this._adminMenuChats = new Map();
+
+        /**
+         * Time of the last limit notice, by bot, chat and user.
+         * @type {Map<string, number>}
+         */
+        this._limitNotices = new Map();
+
+        /** @type {http.Server|null} */
+        this._webhookServer = null;
     }
 
     /**
@@ -159,6 +230,7 @@ class TelegramService {
                 fileId: message.voice.file_id,
                 fileName: 'voice.ogg',
                 mimeType: message.voice.mime_type || 'audio/ogg',
+                kind: FILE_KINDS.VOICE,
             });
         }
 
@@ -167,6 +239,7 @@ class TelegramService {
                 fileId: message.video_note.file_id,
                 fileName: 'video_note.mp4',
                 mimeType: 'video/mp4',
+                kind: FILE_KINDS.VOICE,
             });
         }
 
@@ -222,7 +295,7 @@ class TelegramService {
      * @param {ManagedBot} managedBot - The bot to send through.
      * @param {number} chatId - The chat ID.
      * @param {Array<{base64: string, mimeType: string}>} images - Images to send.
-     * @returns {Promise<void>}
+     * @returns {Promise<number[]>} IDs of the sent messages.
      */
     async sendImages(managedBot, chatId, images) {
         const extensionMap = {
@@ -232,6 +305,7 @@ class TelegramService {
             'image/gif': 'gif',
             'image/webp': 'webp',
         };
+        const messageIds = [];
 
         for (const image of images) {
             try {
@@ -240,20 +314,72 @@ class TelegramService {
 
                 Logger.debug(`Sending image to Telegram: ${image.mimeType}, ${imageBuffer.length} bytes`);
 
-                await managedBot.instance.sendPhoto(chatId, imageBuffer, {}, {
+                const sentMessage = await OutboundDispatcher.getInstance().send(managedBot, chatId, (bot) => bot.sendPhoto(chatId, imageBuffer, {}, {
                     filename: `image.${extension}`,
                     contentType: image.mimeType,
-                });
+                }));
+                messageIds.push(sentMessage.message_id);
 
                 Logger.debug('Image sent successfully');
             } catch (error) {
                 Logger.error(`Failed to send image: ${error.message}`);
             }
         }
+
+        return messageIds;
+    }
+
+    /**
+     * Sends voice notes to a Telegram chat.
+     * Telegram only shows OGG/Opus, MP3 and M4A as voice notes, so other formats (WAV, FLAC, ...)
+     * are sent as audio files instead.
+     * @param {ManagedBot} managedBot - The bot to send through.
+     * @param {number} chatId - The chat ID.
+     * @param {SpeechAudio[]} clips - Audio clips to send, in order.
+     * @returns {Promise<number[]>} IDs of the sent messages.
+     */
+    async sendVoices(managedBot, chatId, clips) {
+        const extensionMap = {
+            'audio/ogg': 'ogg',
+            'audio/opus': 'ogg',
+            'audio/mpeg': 'mp3',
+            'audio/mp3': 'mp3',
+            'audio/mp4': 'm4a',
+            'audio/x-m4a': 'm4a',
+            'audio/aac': 'aac',
+            'audio/wav': 'wav',
+            'audio/x-wav': 'wav',
+            'audio/wave': 'wav',
+            'audio/flac': 'flac',
+            'audio/x-flac': 'flac',
+        };
+        const voiceExtensions = ['ogg', 'mp3', 'm4a'];
+        const messageIds = [];
+
+        for (const clip of clips) {
+            try {
+                const mimeType = (clip.mimeType || '').split(';')[0].trim().toLowerCase();
+                const extension = extensionMap[mimeType] || 'ogg';
+                const fileOptions = { filename: `voice.${extension}`, contentType: mimeType || 'audio/ogg' };
+                const asVoice = voiceExtensions.includes(extension);
+
+                Logger.debug(`Sending ${asVoice ? 'voice note' : 'audio file'} to Telegram: ${mimeType}, ${clip.buffer.length} bytes`);
+
+                const sentMessage = await OutboundDispatcher.getInstance().send(managedBot, chatId, (bot) => asVoice
+                    ? bot.sendVoice(chatId, clip.buffer, {}, fileOptions)
+                    : bot.sendAudio(chatId, clip.buffer, {}, fileOptions));
+                messageIds.push(sentMessage.message_id);
+            } catch (error) {
+                Logger.error(`Failed to send voice note: ${error.message}`);
+                break;
+            }
+        }
+
+        return messageIds;
     }
 
     /**
-     * Sends a message to a Telegram chat.
+     * Sends a message to a Telegram chat, split into several if it exceeds Telegram's length limit.
      * @param {ManagedBot} managedBot - The bot to send through.
      * @param {number} chatId - The chat ID.
      * @param {string} text - The message text.
@@ -261,7 +387,9 @@ class TelegramService {
      */
     async sendMessage(managedBot, chatId, text) {
         try {
-            await managedBot.instance.sendMessage(chatId, text);
+            for (const piece of splitText(text, DEFAULTS.TELEGRAM_MESSAGE_MAX_LENGTH)) {
+                await OutboundDispatcher.getInstance().send(managedBot, chatId, (bot) => bot.sendMessage(chatId, piece));
+            }
         } catch (error) {
             Logger.error('Failed to send message:', error.message);
         }
@@ -290,6 +418,10 @@ class TelegramService {
             if (!caption && message.caption) {
                 caption = message.caption;
 
+                if (this._isGroupChat(message.chat)) {
+                    caption = this._formatGroupText(group.managedBot, message, caption);
+                }
+
                 if (this._configuration?.behavior?.userMessageFormat) {
                     const dateString = this._formatTimestamp(message.date);
                     const timestampPrefix = this._configuration.behavior.userMessageFormat.replace('{{date}}', dateString);
@@ -298,10 +430,32 @@ class TelegramService {
             }
         }
 
+        const firstMessage = group.messages[0];
+        const isGroup = this._isGroupChat(firstMessage.chat);
+
+        // Without a caption, the sender name still tells the character who sent the media
+        if (!caption && isGroup) {
+            caption = this._formatGroupText(group.managedBot, firstMessage, '');
+        }
+
         if (!caption && this._configuration?.behavior?.userMessageFormat && group.messages.length > 0) {
-            const firstMessage = group.messages[0];
             const dateString = this._formatTimestamp(firstMessage.date);
-            caption = this._configuration.behavior.userMessageFormat.replace('{{date}}', dateString);
+            caption = this._configuration.behavior.userMessageFormat.replace('{{date}}', dateString) + caption;
+        }
+
+        const triggersGeneration = !isGroup ||
+            group.messages.some((message) => this._isGroupTrigger(group.managedBot, message));
+        if (!triggersGeneration && !this._getGroupSettings(group.managedBot).appendUntriggered) {
+            Logger.debug(`Ignoring untriggered media group in group chat ${group.chatId}`);
+            return;
+        }
+
+        if (triggersGeneration) {
+            const limitMessage = this._checkMessageLimits(group.managedBot, group.chatId, group.userId);
+            if (limitMessage) {
+                this._sendLimitNotice(group.managedBot, group.chatId, group.userId, limitMessage);
+                return;
+            }
         }
 
         Logger.info(`Processing media group: ${group.messages.length} messages, ${allFiles.length} files`);
@@ -311,10 +465,164 @@ class TelegramService {
             group.chatId,
             group.userId,
             caption,
-            allFiles.length > 0 ? allFiles : undefined
+            allFiles.length > 0 ? allFiles : undefined,
+            firstMessage.message_id,
+            triggersGeneration
         );
     }
 
+    /**
+     * Checks whether a bot has an allowlist: allowedUserIds in config.js or users allowed at runtime.
+     * @param {ManagedBot} managedBot - The bot.
+     * @returns {boolean} False if everyone may use the bot.
+     * @private
+     */
+    _hasAllowlist(managedBot) {
+        return this._configuration?.allowedUserIds?.length > 0 ||
+            AccessService.getInstance().getAllowedUsers(managedBot.id).length > 0;
+    }
+
+    /**
+     * Checks whether a user is on the whitelist: allowedUserIds from config.js plus the users allowed at runtime,
+     * for all bots or for this one. Configured admins of the bot are always allowed.
+     * @param {ManagedBot} managedBot - The bot.
+     * @param {number} userId - Telegram user ID.
+     * @returns {boolean} True if allowed (or both lists are empty).
+     * @private
+     */
+    _isUserAllowed(managedBot, userId) {
+        if (!this._hasAllowlist(managedBot)) {
+            return true;
+        }
+        return (this._configuration?.allowedUserIds || []).includes(userId) ||
+            AccessService.getInstance().isAllowed(userId, managedBot.id) ||
+            this.getAdminUserIds(managedBot).includes(userId);
+    }
+
+    /**
+     * Checks whether a chat is a group or supergroup.
+     * @param {Object} chat - Telegram chat object.
+     * @returns {boolean} True for group chats.
+     * @private
+     */
+    _isGroupChat(chat) {
+        return chat.type === CHAT_TYPES.GROUP || chat.type === CHAT_TYPES.SUPERGROUP;
+    }
+
+    /**
+     * Gets the group settings for a bot (global settings with per-bot overrides).
+     * Read from the live configuration so /reload applies.
+     * @param {ManagedBot} managedBot - The bot.
+     * @returns {GroupConfiguration} Group settings.
+     * @private
+     */
+    _getGroupSettings(managedBot) {
+        const botConfiguration = this._configuration?.bots?.find((bot) => bot.token === managedBot.token);
+        return {
+            ...this._configuration?.groups,
+            ...botConfiguration?.groups,
+        };
+    }
+
+    /**
+     * Checks whether a message may be handled in its chat.
+     * Group chats use the group allowlist when one is configured, otherwise the sender must be whitelisted.
+     * @param {ManagedBot} managedBot - The bot.
+     * @param {Object} chat - Telegram chat object.
+     * @param {number} userId - Telegram user ID of the sender.
+     * @returns {boolean} True if allowed.
+     * @private
+     */
+    _isChatAllowed(managedBot, chat, userId) {
+        if (this._isGroupChat(chat)) {
+            const allowedChatIds = this._getGroupSettings(managedBot).allowedChatIds;
+            if (allowedChatIds?.length > 0) {
+                return allowedChatIds.includes(chat.id);
+            }
+        }
+        return this._isUserAllowed(managedBot, userId);
+    }
+
+    /**
+     * Records that a bot receives messages from a group chat.
+     * @param {ManagedBot} managedBot - The bot.
+     * @param {number} chatId - Group chat ID.
+     * @private
+     */
+    _recordGroupBot(managedBot, chatId) {
+        let botIds = this._groupBots.get(chatId);
+        if (!botIds) {
+            botIds = new Set();
+            this._groupBots.set(chatId, botIds);
+        }
+        botIds.add(managedBot.id);
+    }
+
+    /**
+     * Checks whether other managed bots have been seen in a group chat.
+     * @param {ManagedBot} managedBot - The bot.
+     * @param {number} chatId - Group chat ID.
+     * @returns {boolean} True if another of our bots is in the group.
+     * @private
+     */
+    _isSharedGroup(managedBot, chatId) {
+        return [...(this._groupBots.get(chatId) || [])].some((botId) => botId !== managedBot.id);
+    }
+
+    /**
+     * Checks whether a group message addresses the bot: an @mention, a reply to the bot, or a trigger keyword.
+     * @param {ManagedBot} managedBot - The bot.
+     * @param {Object} message - Telegram message object.
+     * @returns {boolean} True if the bot should respond.
+     * @private
+     */
+    _isGroupTrigger(managedBot, message) {
+        if (message.reply_to_message?.from && String(message.reply_to_message.from.id) === managedBot.id) {
+            return true;
+        }
+
+        const text = message.text || message.caption || '';
+        const entities = message.entities || message.caption_entities || [];
+
+        for (const entity of entities) {
+            if (entity.type === 'text_mention' && String(entity.user?.id) === managedBot.id) {
+                return true;
+            }
+            if (entity.type === 'mention' && managedBot.username) {
+                const mention = text.substring(entity.offset, entity.offset + entity.length);
+                if (mention.toLowerCase() === `@${managedBot.username.toLowerCase()}`) {
+                    return true;
+                }
+            }
+        }
+
+        const keywords = this._getGroupSettings(managedBot).triggerKeywords || [];
+        return keywords.some((keyword) => keyword &&
+            new RegExp(`(^|[^\\p{L}\\p{N}_])${escapeRegExp(keyword)}($|[^\\p{L}\\p{N}_])`, 'iu').test(text));
+    }
+
+    /**
+     * Formats a group message for SillyTavern: removes the bot's @mention and adds the sender's name.
+     * @param {ManagedBot} managedBot - The bot.
+     * @param {Object} message - Telegram message object.
+     * @param {string} text - Message text.
+     * @returns {string} Formatted text.
+     * @private
+     */
+    _formatGroupText(managedBot, message, text) {
+        let cleanText = text;
+        if (managedBot.username) {
+            cleanText = cleanText.replace(new RegExp(`@${escapeRegExp(managedBot.username)}\\b`, 'gi'), '').trim();
+        }
+
+        const senderName = formatUserName(message.from || {});
+        const format = this._getGroupSettings(managedBot).senderNameFormat || '{message}';
+
+        return format
+            .replace('{name}', () => senderName)
+            .replace('{message}', () => cleanText);
+    }
+
     /**
      * Handles incoming message for a bot.
      * @param {ManagedBot} managedBot - The bot that received the message.
@@ -325,15 +633,26 @@ class TelegramService {
         const chatId = message.chat.id;
         const userId = message.from.id;
         const username = message.from.username || 'N/A';
+        const isGroup = this._isGroupChat(message.chat);
+
+        if (isGroup) {
+            this._recordGroupBot(managedBot, chatId);
+        }
 
-        // Check whitelist
-        if (this._configuration?.allowedUserIds?.length > 0) {
-            if (!this._configuration.allowedUserIds.includes(userId)) {
-                Logger.info(`Rejected access from non-whitelisted user (Bot: ${managedBot.characterName}):\n  - User ID: ${userId}\n  - Username: @${username}`);
-                managedBot.instance.sendMessage(chatId, 'Sorry, you are not authorized to use this bot.')
-                    .catch((error) => Logger.error('Failed to send rejection message:', error.message));
+        // Check whitelist (group chats are ignored silently to avoid noise)
+        if (!this._isChatAllowed(managedBot, message.chat, userId)) {
+            if (isGroup) {
+                Logger.debug(`Ignoring message from non-allowed group ${chatId} or user ${userId} (Bot: ${managedBot.characterName})`);
+                return;
+            }
+            const inviteCode = this._getInviteCode(message);
+            if (inviteCode) {
+                this._redeemInvite(managedBot, message, inviteCode);
                 return;
             }
+            Logger.info(`Rejected access from non-whitelisted user (Bot: ${managedBot.characterName}):\n  - User ID: ${userId}\n  - Username: @${username}`);
+            this._sendRejection(managedBot, chatId, userId);
+            return;
         }
 
         // Handle media groups
@@ -383,6 +702,17 @@ class TelegramService {
             return;
         }
 
+        // In groups, only messages addressed to the bot trigger a reply
+        let triggersGeneration = true;
+        if (isGroup) {
+            triggersGeneration = this._isGroupTrigger(managedBot, message);
+            if (!triggersGeneration && !this._getGroupSettings(managedBot).appendUntriggered) {
+                Logger.debug(`Ignoring untriggered message in group ${chatId}`);
+                return;
+            }
+            text = this._formatGroupText(managedBot, message, text);
+        }
+
         // Apply timestamp (only for regular messages, not commands)
         if (this._configuration?.behavior?.userMessageFormat) {
             const dateString = this._formatTimestamp(message.date);
@@ -393,235 +723,1447 @@ class TelegramService {
             }
         }
 
+        // Group messages that only add context are not counted against the sender's limits
+        if (triggersGeneration) {
+            const limitMessage = this._checkMessageLimits(managedBot, chatId, userId);
+            if (limitMessage) {
+                this._sendLimitNotice(managedBot, chatId, userId, limitMessage);
+                return;
+            }
+        }
+
         // Regular messages
         QueueManager.getInstance().debounceMessage(
             managedBot,
             chatId,
             userId,
             text,
-            files.length > 0 ? files : undefined
+            files.length > 0 ? files : undefined,
+            message.message_id,
+            triggersGeneration
         );
     }
 
     /**
-     * Handles bot commands.
-     * @param {ManagedBot} managedBot - The bot.
-     * @param {Object} message - Telegram message.
+     * Handles an edited user message.
+     * Buffered messages are updated in place; already sent ones are updated in the SillyTavern chat.
+     * @param {ManagedBot} managedBot - The bot that received the edit.
+     * @param {Object} message - Edited Telegram message object.
      * @private
      */
-    _handleCommand(managedBot, message) {
+    _handleEditedMessage(managedBot, message) {
         const chatId = message.chat.id;
-        const text = message.text;
-
-        const parts = text.slice(1).trim().split(/\s+/);
-        const command = parts[0].toLowerCase();
-        const commandArguments = parts.slice(1);
-
-        Logger.info(`Command received on bot "${managedBot.characterName}": /${command}`);
+        const userId = message.from.id;
 
-        // System commands
-        if ([COMMANDS.RELOAD, COMMANDS.RESTART, COMMANDS.EXIT, COMMANDS.PING].includes(command)) {
-            this._handleSystemCommand(command, chatId, managedBot);
+        if (!this._isChatAllowed(managedBot, message.chat, userId)) {
             return;
         }
 
-        // Help command
-        if (command === COMMANDS.HELP) {
-            this._sendHelpMessage(managedBot, chatId);
+        let text = message.text || message.caption || '';
+        if (!text || text.startsWith('/')) {
             return;
         }
 
-        // Queued commands
-        if ([COMMANDS.NEW, COMMANDS.LIST_CHATS, COMMANDS.HISTORY, COMMANDS.SUMMARIZE].includes(command) || command.match(/^switchchat_?\d*$/)) {
-            this._enqueueCommand(managedBot, message, command, commandArguments);
+        if (this._isGroupChat(message.chat)) {
+            text = this._formatGroupText(managedBot, message, text);
+        }
+
+        // Match the formatting of the original message (edits keep the original date)
+        if (this._configuration?.behavior?.userMessageFormat) {
+            const dateString = this._formatTimestamp(message.date);
+            text = this._configuration.behavior.userMessageFormat.replace('{{date}}', dateString) + text;
+        }
+
+        const queueManager = QueueManager.getInstance();
+        if (queueManager.updateBufferedMessage(managedBot.id, chatId, userId, message.message_id, text)) {
+            Logger.info(`Updated buffered message ${message.message_id} after edit (Bot: ${managedBot.characterName})`);
             return;
         }
 
-        // Delete command
-        if (command === COMMANDS.DELETE) {
-            const count = commandArguments.length > 0 ? parseInt(commandArguments[0]) : 1;
-            if (isNaN(count) || count < 1) {
-                managedBot.instance.sendMessage(chatId, 'Invalid number of messages to delete.')
-                    .catch((error) => Logger.error('Failed to send error message:', error.message));
-                return;
-            }
-            this._enqueueCommand(managedBot, message, 'delete_messages', [count]);
+        const reference = MessageMapService.getInstance().lookup(managedBot.id, chatId, message.message_id);
+        if (!reference || !reference.isUser) {
+            Logger.debug(`Ignoring edit of unmapped message ${message.message_id} (Bot: ${managedBot.characterName})`);
             return;
         }
 
-        // Trigger command
-        if (command === COMMANDS.TRIGGER) {
-            this._enqueueCommand(managedBot, message, 'trigger_generation', []);
+        const regenerate = Boolean(this._configuration?.behavior?.regenerateOnEdit);
+
+        // A regenerated reply replaces the latest reply in place if that reply answers the edited message
+        let replyMessageId;
+        const lastReply = WebSocketService.getInstance().getLastReply(managedBot.id, chatId);
+        if (regenerate && lastReply &&
+            lastReply.messages.every((replyMessage) => replyMessage.mesId > reference.mesId)) {
+            replyMessageId = lastReply.keyboardMessageId;
+        }
+
+        const limitMessage = this._checkLimits(managedBot, userId, regenerate, true);
+        if (limitMessage) {
+            this._sendLimitNotice(managedBot, chatId, userId, limitMessage);
             return;
         }
 
-        // Unknown command
-        managedBot.instance.sendMessage(chatId, `Unknown command: /${command}. Use /help to see available commands.`)
-            .catch((error) => Logger.error('Failed to send unknown command message:', error.message));
-    }
+        Logger.info(`Syncing edit of message ${message.message_id} to ${reference.chatFile}#${reference.mesId}`);
 
-    /**
-     * Enqueues a command job.
-     * @param {ManagedBot} managedBot - The bot.
-     * @param {Object} message - Telegram message.
-     * @param {string} command - Command name.
-     * @param {Array} commandArguments - Command arguments.
-     * @private
-     */
-    _enqueueCommand(managedBot, message, command, commandArguments) {
         /** @type {QueueJob} */
         const job = {
             id: '',
             managedBot: managedBot,
-            chatId: message.chat.id,
-            userId: message.from.id,
-            text: '',
+            chatId: chatId,
+            userId: userId,
+            text: text,
             targetCharacter: managedBot.characterName,
-            type: JOB_TYPES.COMMAND,
-            command: command,
-            arguments: commandArguments,
+            type: JOB_TYPES.EDIT_MESSAGE,
+            edit: {
+                chatFile: reference.chatFile,
+                mesId: reference.mesId,
+                text: text,
+                regenerate: regenerate,
+            },
+            replyMessageId: replyMessageId,
             timestamp: 0,
         };
 
-        QueueManager.getInstance().enqueueJob(job);
+        queueManager.enqueueJob(job);
     }
 
     /**
-     * Sends help message.
+     * Handles bot commands.
      * @param {ManagedBot} managedBot - The bot.
-     * @param {number} chatId - Chat ID.
+     * @param {Object} message - Telegram message.
      * @private
      */
-    _sendHelpMessage(managedBot, chatId) {
-        const helpText = `${managedBot.characterName} - Telegram Bridge Commands:
+    _handleCommand(managedBot, message) {
+        const chatId = message.chat.id;
+        const text = message.text;
+
+        const parts = text.slice(1).trim().split(/\s+/);
+        const [command, addressee] = parts[0].toLowerCase().split('@');
+        const commandArguments = parts.slice(1);
+
+        // In groups, /command@otherbot is meant for another bot
+        if (addressee && managedBot.username && addressee !== managedBot.username.toLowerCase()) {
+            Logger.debug(`Ignoring /${command} addressed to @${addressee}`);
+            return;
+        }
 
-Chat Management
-/new - Start a new chat with ${managedBot.characterName}
-/listchats - List all saved chat logs
-/switchchat <name> - Load a specific chat log
-/switchchat_<N> - Load chat log by number
-/delete [n] - Delete the last n messages (default 1)
-/trigger - Manually trigger a new AI response
-/history - Export current chat history as HTML file
+        // With several of our bots in a group, a plain /command only runs on the bot it replies to or mentions
+        if (!addressee && this._isGroupChat(message.chat) && this._isSharedGroup(managedBot, chatId) &&
+            !this._isGroupTrigger(managedBot, message)) {
+            Logger.debug(`Ignoring unaddressed /${command} in group ${chatId} shared with other bots`);
+            return;
+        }
 
-Memory & Summarization
-/summarize - Summarize conversation, save to lorebook, start new chat
+        Logger.info(`Command received on bot "${managedBot.characterName}": /${command}`);
 
-System Management
-/reload - Reload server configuration
-/restart - Restart server
-/exit - Shutdown server
-/ping - Check connection status
+        const definition = findCommand(command);
+        if (!definition) {
+            OutboundDispatcher.getInstance().send(managedBot, chatId, (bot) => bot.sendMessage(chatId, `Unknown command: /${command}. Use /help to see available commands.`))
+                .catch((error) => Logger.error('Failed to send unknown command message:', error.message));
+            return;
+        }
 
-Help
-/help - Show this help message`;
+        if (definition.adminOnly && !this._isAdmin(managedBot, message.from?.id)) {
+            Logger.warn(`Rejected admin command /${command} from user ${message.from?.id} in chat ${chatId} (Bot: ${managedBot.characterName})`);
+            OutboundDispatcher.getInstance().send(managedBot, chatId, (bot) => bot.sendMessage(chatId, `Sorry, /${definition.name} can only be used by admins.`))
+                .catch((error) => Logger.error('Failed to send permission message:', error.message));
+            return;
+        }
 
-        managedBot.instance.sendMessage(chatId, helpText)
-            .catch((error) => Logger.error('Failed to send help message:', error.message));
+        switch (definition.handler) {
+            case COMMAND_HANDLERS.SYSTEM:
+                this._handleSystemCommand(command, chatId, managedBot);
+                break;
+            case COMMAND_HANDLERS.HELP:
+                this._sendHelpMessage(managedBot, chatId, message.from?.id);
+                break;
+            case COMMAND_HANDLERS.QUEUED:
+                this._enqueueCommand(managedBot, message, command, commandArguments);
+                break;
+            case COMMAND_HANDLERS.PERSONA:
+                this._handlePersonaCommand(managedBot, message, commandArguments);
+                break;
+            case COMMAND_HANDLERS.VOICE:
+                this._handleVoiceCommand(managedBot, message, commandArguments);
+                break;
+            case COMMAND_HANDLERS.DELETE:
+                this._handleDeleteCommand(managedBot, message, commandArguments);
+                break;
+            case COMMAND_HANDLERS.TRIGGER:
+                this._enqueueCommand(managedBot, message, COMMANDS.TRIGGER_GENERATION, []);
+                break;
+            case COMMAND_HANDLERS.SYNC_PROFILE:
+                this._handleSyncProfileCommand(managedBot, chatId);
+                break;
+            case COMMAND_HANDLERS.START:
+                this._handleStartCommand(managedBot, message, commandArguments);
+                break;
+            case COMMAND_HANDLERS.ACCESS:
+                this._handleAccessCommand(managedBot, message, definition.name, commandArguments);
+                break;
+            case COMMAND_HANDLERS.QUOTA:
+                this._handleQuotaCommand(managedBot, message);
+                break;
+        }
     }
 
     /**
-     * Handles system commands.
-     * @param {string} command - Command name.
-     * @param {number} chatId - Chat ID.
+     * Handles /persona. Clearing is local; listing and selecting need SillyTavern.
      * @param {ManagedBot} managedBot - The bot.
+     * @param {Object} message - Telegram message.
+     * @param {string[]} commandArguments - 'clear', a persona name, or nothing.
      * @private
      */
-    _handleSystemCommand(command, chatId, managedBot) {
-        Logger.info(`Executing system command: ${command}`);
+    _handlePersonaCommand(managedBot, message, commandArguments) {
+        const chatId = message.chat.id;
 
-        if (command === COMMANDS.PING) {
-            const webSocketService = WebSocketService.getInstance();
-            const queueManager = QueueManager.getInstance();
+        if (commandArguments.length === 1 && commandArguments[0].toLowerCase() === 'clear') {
+            PreferenceService.getInstance().clear(managedBot.id, message.from.id, USER_PREFERENCES.PERSONA);
+            OutboundDispatcher.getInstance().send(managedBot, chatId, (bot) => bot.sendMessage(chatId, 'Persona selection cleared, the default persona will be used.'))
+                .catch((error) => Logger.error('Failed to send persona message:', error.message));
+            return;
+        }
+        this._enqueueCommand(managedBot, message, COMMANDS.PERSONA, commandArguments);
+    }
 
-            const bridgeStatus = 'Bridge status: Connected';
-            const sillyTavernStatus = webSocketService.isConnected()
-                ? 'SillyTavern status: Connected'
-                : 'SillyTavern status: Not connected';
-            const queueStatus = `Queue: ${queueManager.getQueueLength()} pending, ${queueManager.isProcessing() ? 'processing' : 'idle'}`;
-            const botsStatus = `Active bots: ${this._managedBots.size}`;
+    /**
+     * Handles /start [payload]. Starts a fresh chat with the greeting, or opens a chat file from a deep link.
+     * Payloads: greeting_<N> opens the chat with greeting N, chat_<base64url name> opens an existing chat file.
+     * Invite payloads are redeemed before the whitelist check, so users who get here already have access.
+     * @param {ManagedBot} managedBot - The bot.
+     * @param {Object} message - Telegram message.
+     * @param {string[]} commandArguments - Deep-link payload, if any.
+     * @private
+     */
+    _handleStartCommand(managedBot, message, commandArguments) {
+        const payload = commandArguments[0] || '';
 
-            managedBot.instance.sendMessage(chatId, `${bridgeStatus}\n${sillyTavernStatus}\n${queueStatus}\n${botsStatus}`)
-                .catch((error) => Logger.error('Failed to send ping response:', error.message));
+        if (payload.startsWith(START_PAYLOADS.CHAT)) {
+            const chatFile = Buffer.from(payload.slice(START_PAYLOADS.CHAT.length), 'base64url').toString('utf8');
+            this._enqueueCommand(managedBot, message, COMMANDS.SWITCH_CHAT, [chatFile]);
             return;
         }
 
-        if (this._onSystemCommand) {
-            this._onSystemCommand(command, chatId, managedBot);
+        const greetingNumber = payload.startsWith(START_PAYLOADS.GREETING)
+            ? parseInt(payload.slice(START_PAYLOADS.GREETING.length))
+            : NaN;
+        if (payload.startsWith(START_PAYLOADS.INVITE)) {
+            Logger.debug(`User ${message.from.id} already has access, invite code left unused`);
+        } else if (payload && isNaN(greetingNumber)) {
+            Logger.debug(`Ignoring unknown /start payload: ${payload}`);
         }
-    }
 
-    /**
-     * Sets the system command callback.
-     * @param {Function} callback - Callback function.
-     */
-    onSystemCommand(callback) {
-        this._onSystemCommand = callback;
+        this._enqueueCommand(managedBot, message, COMMANDS.START, greetingNumber >= 1 ? [greetingNumber - 1] : []);
     }
 
     /**
-     * Sets up message handlers for a bot.
+     * Handles /syncprofile. Reading the card does not touch the open chat, so it is not queued.
      * @param {ManagedBot} managedBot - The bot.
+     * @param {number} chatId - Chat ID.
      * @private
      */
-    _setupBotHandlers(managedBot) {
-        managedBot.instance.on('message', (message) => {
-            this._handleMessage(managedBot, message);
-        });
+    async _handleSyncProfileCommand(managedBot, chatId) {
+        const profileSyncService = ProfileSyncService.getInstance();
+        let reply;
+
+        try {
+            const results = await profileSyncService.syncBot(managedBot);
+            reply = profileSyncService.formatReport(managedBot, results);
+        } catch (error) {
+            Logger.error(`Failed to sync profile of bot "${managedBot.characterName}":`, error.message);
+            reply = `Failed to sync the profile: ${error.message}`;
+        }
+
+        await this.sendMessage(managedBot, chatId, reply);
     }
 
     /**
-     * Clears pending updates and starts polling.
-     * @returns {Promise<void>}
+     * Handles /allow, /deny, /users and /pending.
+     * Runtime changes extend allowedUserIds from config.js, which can only be changed there.
+     * Global admins allow and deny for all bots; a bot's own admins only for that bot, and only see its requests.
+     * @param {ManagedBot} managedBot - The bot.
+     * @param {Object} message - Telegram message.
+     * @param {string} command - Registered command name.
+     * @param {string[]} commandArguments - User ID for /allow and /deny.
      * @private
      */
-    async _clearAndStartPollingAll() {
-        const isRestart = process.env.TELEGRAM_CLEAR_UPDATES === '1';
-
-        for (const [botId, managedBot] of this._managedBots) {
-            try {
-                Logger.info(`Clearing message queue for bot "${managedBot.characterName}"...`);
-
-                if (isRestart) {
-                    let updates;
-                    let lastUpdateId = 0;
-
-                    do {
-                        updates = await managedBot.instance.getUpdates({
-                            offset: lastUpdateId,
-                            limit: 100,
-                            timeout: 0,
-                        });
-
-                        if (updates && updates.length > 0) {
-                            lastUpdateId = updates[updates.length - 1].update_id + 1;
-                        }
-                    } while (updates && updates.length > 0);
-                } else {
-                    const updates = await managedBot.instance.getUpdates({ limit: 100, timeout: 0 });
-                    if (updates && updates.length > 0) {
-                        const lastUpdateId = updates[updates.length - 1].update_id;
-                        await managedBot.instance.getUpdates({ offset: lastUpdateId + 1, limit: 1, timeout: 0 });
-                        Logger.info(`Cleared ${updates.length} pending messages for bot "${managedBot.characterName}"`);
-                    }
-                }
+    _handleAccessCommand(managedBot, message, command, commandArguments) {
+        const chatId = message.chat.id;
+        const accessService = AccessService.getInstance();
+        const staticUserIds = this._configuration?.allowedUserIds || [];
+        const scopeBotId = this._isGlobalAdmin(message.from.id) ? undefined : managedBot.id;
 
-                managedBot.instance.startPolling({ restart: true, clean: true });
-                Logger.info(`Bot "${managedBot.characterName}" polling started`);
-            } catch (error) {
-                Logger.error(`Error starting bot "${managedBot.characterName}":`, error.message);
-                managedBot.instance.startPolling({ restart: true, clean: true });
-            }
+        if (command === COMMANDS.USERS) {
+            this.sendMessage(managedBot, chatId, this._formatAllowedUsers(managedBot, staticUserIds, accessService.getAllowedUsers(managedBot.id)));
+            return;
+        }
+        if (command === COMMANDS.PENDING) {
+            this.sendMessage(managedBot, chatId, this._formatPendingRequests(accessService.getPendingRequests(scopeBotId)));
+            return;
+        }
+        if (command === COMMANDS.INVITE) {
+            this._createInvite(managedBot, message, commandArguments);
+            return;
+        }
+        if (command === COMMANDS.INVITES) {
+            this.sendMessage(managedBot, chatId, this._formatInvites(managedBot, accessService.getInvites(managedBot.id)));
+            return;
         }
 
-        if (isRestart) {
-            delete process.env.TELEGRAM_CLEAR_UPDATES;
+        const argument = commandArguments[0] || '';
+        if (!/^\d+$/.test(argument)) {
+            this.sendMessage(managedBot, chatId, `Usage: /${command} <user id>`);
+            return;
         }
-    }
+        const targetUserId = parseInt(argument);
 
-    /**
-     * Initializes the Telegram service.
-     * @param {ApplicationConfiguration} configuration - Configuration.
+        if (command === COMMANDS.ALLOW) {
+            const requests = accessService.getRequests(targetUserId, scopeBotId);
+            const wasOpen = !this._hasAllowlist(managedBot);
+            if (staticUserIds.includes(targetUserId) || !accessService.allow(targetUserId, message.from.id, undefined, scopeBotId)) {
+                this.sendMessage(managedBot, chatId, `User ${targetUserId} is already allowed.`);
+                return;
+            }
+            Logger.info(`User ${targetUserId} allowed ${scopeBotId ? `for bot "${managedBot.characterName}"` : 'for all bots'} by admin ${message.from.id}`);
+
+            const lines = [`User ${targetUserId} can now use ${scopeBotId ? managedBot.characterName : 'the bots'}.`];
+            if (wasOpen) {
+                lines.push('', 'Note: no allowlist was configured, so everyone could use this bot until now. From now on, only listed users can; use /deny to undo.');
+            }
+            this.sendMessage(managedBot, chatId, lines.join('\n'));
+            requests.forEach((request) => this._notifyRequester(request, true));
+            return;
+        }
+
+        if (staticUserIds.includes(targetUserId)) {
+            this.sendMessage(managedBot, chatId, `User ${targetUserId} is listed in allowedUserIds in config.js. Remove them there and use /reload.`);
+            return;
+        }
+        if (scopeBotId && accessService.isAllowedForAllBots(targetUserId)) {
+            this.sendMessage(managedBot, chatId, `User ${targetUserId} was allowed for all bots. Only a global admin can remove them.`);
+            return;
+        }
+
+        const { removed, requests } = accessService.deny(targetUserId, scopeBotId);
+        Logger.info(`User ${targetUserId} denied ${scopeBotId ? `for bot "${managedBot.characterName}"` : 'for all bots'} by admin ${message.from.id}`);
+        if (removed) {
+            this.sendMessage(managedBot, chatId, `User ${targetUserId} was removed from the allowlist.`);
+        } else if (requests.length > 0) {
+            this.sendMessage(managedBot, chatId, `Access request of ${requests[0].name} (${targetUserId}) denied.`);
+        } else {
+            this.sendMessage(managedBot, chatId, `User ${targetUserId} was not allowed and can no longer request access.`);
+        }
+        requests.forEach((request) => this._notifyRequester(request, false));
+    }
+
+    /**
+     * Formats the /users reply.
+     * @param {ManagedBot} managedBot - The bot.
+     * @param {number[]} staticUserIds - allowedUserIds from config.js.
+     * @param {AllowedUser[]} allowedUsers - Users allowed at runtime for all bots or this one.
+     * @returns {string} Reply text.
+     * @private
+     */
+    _formatAllowedUsers(managedBot, staticUserIds, allowedUsers) {
+        if (staticUserIds.length === 0 && allowedUsers.length === 0) {
+            return 'No allowlist is configured, everyone can use this bot.';
+        }
+
+        const formatUser = (user) => `${user.userId}${user.name ? ` - ${user.name}` : ''} (added by ${user.addedBy})`;
+        const globalUsers = allowedUsers.filter((user) => !user.botId);
+        const botUsers = allowedUsers.filter((user) => user.botId);
+
+        const sections = [];
+        if (staticUserIds.length > 0) {
+            sections.push(`From config.js:\n${staticUserIds.join('\n')}`);
+        }
+        if (globalUsers.length > 0) {
+            sections.push(`Allowed with /allow:\n${globalUsers.map(formatUser).join('\n')}`);
+        }
+        if (botUsers.length > 0) {
+            sections.push(`Allowed for ${managedBot.characterName} only:\n${botUsers.map(formatUser).join('\n')}`);
+        }
+        return sections.join('\n\n');
+    }
+
+    /**
+     * Handles /invite [hours]: creates a single-use invite code for the bot and replies with its link.
+     * @param {ManagedBot} managedBot - The bot.
+     * @param {Object} message - Telegram message.
+     * @param {string[]} commandArguments - Optional lifetime in hours.
+     * @private
+     */
+    _createInvite(managedBot, message, commandArguments) {
+        const chatId = message.chat.id;
+        const hours = commandArguments.length > 0
+            ? parseFloat(commandArguments[0])
+            : this._configuration?.inviteExpiryHours ?? DEFAULTS.INVITE_EXPIRY_HOURS;
+
+        if (!(hours > 0)) {
+            this.sendMessage(managedBot, chatId, 'Usage: /invite [hours]');
+            return;
+        }
+
+        const wasOpen = !this._hasAllowlist(managedBot);
+        const invite = AccessService.getInstance().createInvite(managedBot.id, message.from.id, Date.now() + hours * 3600 * 1000);
+        const startCommand = `/start ${START_PAYLOADS.INVITE}${invite.code}`;
+        Logger.info(`Invite code created for bot "${managedBot.characterName}" by admin ${message.from.id}, expires in ${hours} hour(s)`);
+
+        const lines = [`Single-use invite for ${managedBot.characterName}, valid until ${this._formatTimestamp(invite.expiresAt / 1000)}:`];
+        if (managedBot.username) {
+            lines.push(`https://t.me/${managedBot.username}?start=${START_PAYLOADS.INVITE}${invite.code}`);
+            lines.push('', `Or send ${startCommand} to @${managedBot.username}.`);
+        } else {
+            lines.push(startCommand);
+        }
+        if (wasOpen) {
+            lines.push('', 'Note: no allowlist is configured, so everyone can use this bot right now. Once the code is redeemed, only listed users can.');
+        }
+        this.sendMessage(managedBot, chatId, lines.join('\n'));
+    }
+
+    /**
+     * Formats the /invites reply.
+     * @param {ManagedBot} managedBot - The bot.
+     * @param {Invite[]} invites - The bot's invites, newest first.
+     * @returns {string} Reply text.
+     * @private
+     */
+    _formatInvites(managedBot, invites) {
+        if (invites.length === 0) {
+            return `No invite codes for ${managedBot.characterName} yet. Create one with /invite.`;
+        }
+
+        const now = Date.now();
+        const lines = invites.map((invite) => {
+            let state;
+            if (invite.redeemedBy !== null) {
+                state = `used by ${invite.redeemedName} (${invite.redeemedBy}) on ${this._formatTimestamp(invite.redeemedAt / 1000)}`;
+            } else if (now >= invite.expiresAt) {
+                state = `expired ${this._formatTimestamp(invite.expiresAt / 1000)}`;
+            } else {
+                state = `open until ${this._formatTimestamp(invite.expiresAt / 1000)}`;
+            }
+            return `${invite.code} - ${state}, created by ${invite.createdBy}`;
+        });
+        return `Invite codes for ${managedBot.characterName}:\n${lines.join('\n')}`;
+    }
+
+    /**
+     * Gets the invite code from a /start invite_<code> message.
+     * @param {Object} message - Telegram message.
+     * @returns {string|null} The code, or null if the message is not an invite.
+     * @private
+     */
+    _getInviteCode(message) {
+        const [command, payload] = (message.text || '').trim().split(/\s+/);
+        if (command.split('@')[0].toLowerCase() !== `/${COMMANDS.START}` || !payload?.startsWith(START_PAYLOADS.INVITE)) {
+            return null;
+        }
+        return payload.slice(START_PAYLOADS.INVITE.length);
+    }
+
+    /**
+     * Redeems an invite code sent by a user who has no access yet.
+     * On success the user is allowed for this bot, gets the greeting, and the admin who created the code is told.
+     * @param {ManagedBot} managedBot - The bot.
+     * @param {Object} message - The /start message.
+     * @param {string} code - Invite code.
+     * @private
+     */
+    _redeemInvite(managedBot, message, code) {
+        const chatId = message.chat.id;
+        const userId = message.from.id;
+        const name = formatUserName(message.from);
+        const { status, invite } = AccessService.getInstance().redeemInvite(code, managedBot.id, userId, name);
+
+        if (status !== INVITE_STATUS.REDEEMED) {
+            Logger.info(`Rejected invite code from user ${userId} (Bot: ${managedBot.characterName}): ${status}`);
+            const reasons = {
+                [INVITE_STATUS.USED]: 'This invite has already been used.',
+                [INVITE_STATUS.EXPIRED]: 'This invite has expired.',
+                [INVITE_STATUS.UNKNOWN]: 'This invite is not valid.',
+            };
+            this._sendRejection(managedBot, chatId, userId, reasons[status]);
+            return;
+        }
+
+        Logger.info(`User ${userId} joined bot "${managedBot.characterName}" with an invite from admin ${invite.createdBy}`);
+        this.sendMessage(managedBot, chatId, 'Welcome! Your invite was accepted.');
+        this._enqueueCommand(managedBot, message, COMMANDS.START, []);
+
+        const username = message.from.username ? ` (@${message.from.username})` : '';
+        OutboundDispatcher.getInstance().send(managedBot, invite.createdBy, (bot) => bot.sendMessage(invite.createdBy, `${name}${username}, ID ${userId}, joined ${managedBot.characterName} with invite ${invite.code}.`))
+            .catch((error) => Logger.debug(`Failed to tell admin ${invite.createdBy} about a redeemed invite:`, error.message));
+    }
+
+    /**
+     * Formats the /pending reply.
+     * @param {AccessRequest[]} requests - Pending requests.
+     * @returns {string} Reply text.
+     * @private
+     */
+    _formatPendingRequests(requests) {
+        if (requests.length === 0) {
+            return 'No pending access requests.';
+        }
+
+        const lines = requests.map((request) => {
+            const botName = this._managedBots.get(request.botId)?.characterName || request.botId;
+            const username = request.username ? ` @${request.username}` : '';
+            return `${request.userId} - ${request.name}${username} (via ${botName})`;
+        });
+        return `Pending access requests:\n${lines.join('\n')}\n\nUse /allow <user id> or /deny <user id>.`;
+    }
+
+    /**
+     * Tells a rejected user they are not authorized.
+     * Private chats get a Request access button unless a request is pending or was denied.
+     * @param {ManagedBot} managedBot - The bot.
+     * @param {number} chatId - Chat ID.
+     * @param {number} userId - Telegram user ID.
+     * @param {string} [reason] - Sentence shown before the rejection.
+     * @private
+     */
+    _sendRejection(managedBot, chatId, userId, reason) {
+        const accessService = AccessService.getInstance();
+        let text = `${reason ? `${reason} ` : ''}Sorry, you are not authorized to use this bot.`;
+        let options = {};
+
+        if (accessService.getRequest(userId, managedBot.id)) {
+            text += ' Your access request is waiting for an admin.';
+        } else if (!accessService.isDenied(userId, managedBot.id)) {
+            options = {
+                reply_markup: {
+                    inline_keyboard: [[{ text: 'Request access', callback_data: CALLBACK_ACTIONS.ACCESS_REQUEST }]],
+                },
+            };
+        }
+
+        OutboundDispatcher.getInstance().send(managedBot, chatId, (bot) => bot.sendMessage(chatId, text, options))
+            .catch((error) => Logger.error('Failed to send rejection message:', error.message));
+    }
+
+    /**
+     * Handles a Request access button press: records the request and asks the admins.
+     * @param {ManagedBot} managedBot - The bot.
+     * @param {Object} callbackQuery - Telegram callback query.
+     * @returns {string} Text for the callback answer.
+     * @private
+     */
+    _requestAccess(managedBot, callbackQuery) {
+        const from = callbackQuery.from;
+        const message = callbackQuery.message;
+        const accessService = AccessService.getInstance();
+
+        if (this._isUserAllowed(managedBot, from.id)) {
+            return 'You already have access.';
+        }
+        if (accessService.isDenied(from.id, managedBot.id)) {
+            return 'Your access request was declined.';
+        }
+        if (accessService.getRequest(from.id, managedBot.id)) {
+            return 'Your request is already waiting for an admin.';
+        }
+
+        /** @type {AccessRequest} */
+        const request = {
+            userId: from.id,
+            name: formatUserName(from),
+            username: from.username,
+            botId: managedBot.id,
+            chatId: message.chat.id,
+            requestedAt: Date.now(),
+        };
+        accessService.addRequest(request);
+        Logger.info(`Access requested by user ${from.id} (Bot: ${managedBot.characterName})`);
+
+        OutboundDispatcher.getInstance().send(managedBot, message.chat.id, (bot) => bot.editMessageReplyMarkup({ inline_keyboard: [] }, {
+            chat_id: message.chat.id,
+            message_id: message.message_id,
+        }), { idempotent: true }).catch((error) => Logger.debug('Failed to remove Request access button:', error.message));
+
+        this._notifyAdminsOfRequest(managedBot, request);
+        return 'Access requested. You will get a message when an admin decides.';
+    }
+
+    /**
+     * Sends an access request to the admins of the bot it was made through, with Approve and Deny buttons.
+     * Without configured admins the request only shows up in /pending.
+     * @param {ManagedBot} managedBot - The bot.
+     * @param {AccessRequest} request - The request.
+     * @private
+     */
+    _notifyAdminsOfRequest(managedBot, request) {
+        const adminUserIds = this.getAdminUserIds(managedBot);
+        if (adminUserIds.length === 0) {
+            Logger.warn(`No admins configured to review the access request of user ${request.userId}, see /pending`);
+            return;
+        }
+
+        const username = request.username ? ` (@${request.username})` : '';
+        const text = `${request.name}${username}, ID ${request.userId}, asks for access to ${managedBot.characterName}.`;
+        const options = {
+            reply_markup: {
+                inline_keyboard: [[
+                    { text: 'Approve', callback_data: `${CALLBACK_ACTIONS.ACCESS_APPROVE}:${request.userId}` },
+                    { text: 'Deny', callback_data: `${CALLBACK_ACTIONS.ACCESS_DENY}:${request.userId}` },
+                ]],
+            },
+        };
+
+        for (const adminUserId of adminUserIds) {
+            OutboundDispatcher.getInstance().send(managedBot, adminUserId, (bot) => bot.sendMessage(adminUserId, text, options))
+                .catch((error) => Logger.warn(`Failed to send access request to admin ${adminUserId}:`, error.message));
+        }
+    }
+
+    /**
+     * Handles an Approve or Deny button press on an access request prompt.
+     * Only configured admins may decide; a bot's own admins decide for that bot only.
+     * The prompt is updated with the decision.
+     * @param {ManagedBot} managedBot - The bot.
+     * @param {Object} callbackQuery - Telegram callback query.
+     * @param {boolean} approve - True for Approve, false for Deny.
+     * @param {number} targetUserId - Requester.
+     * @returns {string} Text for the callback answer.
+     * @private
+     */
+    _decideAccessRequest(managedBot, callbackQuery, approve, targetUserId) {
+        const adminUserId = callbackQuery.from.id;
+        const message = callbackQuery.message;
+        const accessService = AccessService.getInstance();
+
+        if (!this.getAdminUserIds(managedBot).includes(adminUserId)) {
+            Logger.warn(`Rejected access decision from non-admin user ${adminUserId} (Bot: ${managedBot.characterName})`);
+            return 'Only admins can decide access requests.';
+        }
+
+        const scopeBotId = this._isGlobalAdmin(adminUserId) ? undefined : managedBot.id;
+        if (!accessService.getRequest(targetUserId, managedBot.id)) {
+            OutboundDispatcher.getInstance().send(managedBot, message.chat.id, (bot) => bot.editMessageReplyMarkup({ inline_keyboard: [] }, {
+                chat_id: message.chat.id,
+                message_id: message.message_id,
+            }), { idempotent: true }).catch((error) => Logger.debug('Failed to remove access request buttons:', error.message));
+            return 'This request was already handled.';
+        }
+
+        const requests = accessService.getRequests(targetUserId, scopeBotId);
+        let decision;
+        if (approve) {
+            accessService.allow(targetUserId, adminUserId, undefined, scopeBotId);
+            decision = `Approved by ${formatUserName(callbackQuery.from)}.`;
+        } else {
+            accessService.deny(targetUserId, scopeBotId);
+            decision = `Denied by ${formatUserName(callbackQuery.from)}.`;
+        }
+        Logger.info(`Access request of user ${targetUserId} ${approve ? 'approved' : 'denied'} by admin ${adminUserId}`);
+        requests.forEach((request) => this._notifyRequester(request, approve));
+
+        OutboundDispatcher.getInstance().send(managedBot, message.chat.id, (bot) => bot.editMessageText(`${message.text}\n\n${decision}`, {
+            chat_id: message.chat.id,
+            message_id: message.message_id,
+        }), { idempotent: true }).catch((error) => Logger.debug('Failed to update access request prompt:', error.message));
+
+        return decision;
+    }
+
+    /**
+     * Tells a requester about the decision, through the bot the request was made with.
+     * @param {AccessRequest|null} request - The decided request; nothing is sent without one.
+     * @param {boolean} approved - Whether access was granted.
+     * @private
+     */
+    _notifyRequester(request, approved) {
+        const managedBot = request && this._managedBots.get(request.botId);
+        if (!managedBot) {
+            return;
+        }
+
+        const text = approved
+            ? 'Your access request was approved. Send /start to begin.'
+            : 'Your access request was declined.';
+        OutboundDispatcher.getInstance().send(managedBot, request.chatId, (bot) => bot.sendMessage(request.chatId, text))
+            .catch((error) => Logger.warn(`Failed to notify user ${request.userId} about their access request:`, error.message));
+    }
+
+    /**
+     * Handles /delete [n].
+     * @param {ManagedBot} managedBot - The bot.
+     * @param {Object} message - Telegram message.
+     * @param {string[]} commandArguments - Optional number of messages.
+     * @private
+     */
+    _handleDeleteCommand(managedBot, message, commandArguments) {
+        const chatId = message.chat.id;
+        const count = commandArguments.length > 0 ? parseInt(commandArguments[0]) : 1;
+
+        if (isNaN(count) || count < 1) {
+            OutboundDispatcher.getInstance().send(managedBot, chatId, (bot) => bot.sendMessage(chatId, 'Invalid number of messages to delete.'))
+                .catch((error) => Logger.error('Failed to send error message:', error.message));
+            return;
+        }
+        this._enqueueCommand(managedBot, message, 'delete_messages', [count]);
+    }
+
+    /**
+     * Switches a user between text and voice replies.
+     * Without an argument the current mode is toggled.
+     * @param {ManagedBot} managedBot - The bot.
+     * @param {Object} message - Telegram message.
+     * @param {string[]} commandArguments - 'on', 'off' or nothing.
+     * @private
+     */
+    _handleVoiceCommand(managedBot, message, commandArguments) {
+        const chatId = message.chat.id;
+        const userId = message.from.id;
+        const speechSynthesisService = SpeechSynthesisService.getInstance();
+
+        const reply = (text) => {
+            OutboundDispatcher.getInstance().send(managedBot, chatId, (bot) => bot.sendMessage(chatId, text))
+                .catch((error) => Logger.error('Failed to send voice message:', error.message));
+        };
+
+        if (!speechSynthesisService.isEnabled()) {
+            reply('Voice replies are not available: no text-to-speech provider is configured.');
+            return;
+        }
+
+        const argument = (commandArguments[0] || '').toLowerCase();
+        let enabled;
+        if (argument === 'on') {
+            enabled = true;
+        } else if (argument === 'off') {
+            enabled = false;
+        } else if (!argument) {
+            enabled = !speechSynthesisService.isVoiceReplyEnabled(managedBot, userId);
+        } else {
+            reply('Usage: /voice [on|off]');
+            return;
+        }
+
+        PreferenceService.getInstance().set(managedBot.id, userId, USER_PREFERENCES.VOICE_REPLIES, enabled);
+        reply(enabled ? 'Voice replies on: replies will be sent as voice messages.' : 'Voice replies off: replies will be sent as text.');
+    }
+
+    /**
+     * Checks a user message against the sender's limits.
+     * A message joining a batch that is still being collected adds no job, and no generation
+     * if the batch already asks for a reply.
+     * @param {ManagedBot} managedBot - The bot.
+     * @param {number} chatId - Chat ID.
+     * @param {number} userId - Telegram user ID.
+     * @returns {string|null} Limit notice, or null if the message may be buffered.
+     * @private
+     */
+    _checkMessageLimits(managedBot, chatId, userId) {
+        const queueManager = QueueManager.getInstance();
+        return this._checkLimits(
+            managedBot,
+            userId,
+            !queueManager.hasBufferedMessages(managedBot.id, chatId, userId, true),
+            !queueManager.hasBufferedMessages(managedBot.id, chatId, userId)
+        );
+    }
+
+    /**
+     * Checks a request against the user's limits and counts it if it passes.
+     * Configured admins are not limited.
+     * @param {ManagedBot} managedBot - The bot.
+     * @param {number} userId - Telegram user ID.
+     * @param {boolean} generates - Whether the request starts a generation.
+     * @param {boolean} addsJob - Whether the request adds a job to the queue.
+     * @returns {string|null} Limit notice, or null if the request may be queued.
+     * @private
+     */
+    _checkLimits(managedBot, userId, generates, addsJob) {
+        if (this.getAdminUserIds(managedBot).includes(userId)) {
+            return null;
+        }
+
+        const violation = QuotaService.getInstance().consume(managedBot, userId, {
+            generates: generates,
+            addsJob: addsJob,
+            queuedJobs: QueueManager.getInstance().getQueuedJobCount(managedBot.id, userId),
+        });
+        if (!violation) {
+            return null;
+        }
+
+        Logger.info(`User ${userId} hit the ${violation.type} limit of ${violation.max} (Bot: ${managedBot.characterName})`);
+        switch (violation.type) {
+            case LIMIT_TYPES.MESSAGES_PER_MINUTE:
+                return `You are sending too many messages (${violation.max} per minute). Please wait ${violation.retryAfterSeconds} s.`;
+            case LIMIT_TYPES.MAX_QUEUED_JOBS:
+                return `You already have ${violation.max} request(s) waiting. Please wait until they are answered.`;
+            default:
+                return `You have used all ${violation.max} replies for today. The limit resets at midnight (server time). See /quota.`;
+        }
+    }
+
+    /**
+     * Sends a limit notice, at most once per interval per user so hitting a limit repeatedly does not flood the chat.
+     * @param {ManagedBot} managedBot - The bot.
+     * @param {number} chatId - Chat ID.
+     * @param {number} userId - Telegram user ID.
+     * @param {string} text - Notice.
+     * @private
+     */
+    _sendLimitNotice(managedBot, chatId, userId, text) {
+        const noticeKey = `${managedBot.id}_${chatId}_${userId}`;
+        const now = Date.now();
+        if (now - (this._limitNotices.get(noticeKey) || 0) < DEFAULTS.LIMIT_NOTICE_INTERVAL_MS) {
+            return;
+        }
+        this._limitNotices.set(noticeKey, now);
+
+        OutboundDispatcher.getInstance().send(managedBot, chatId, (bot) => bot.sendMessage(chatId, text))
+            .catch((error) => Logger.error('Failed to send limit notice:', error.message));
+    }
+
+    /**
+     * Handles /quota: shows the sender's usage and remaining allowance on this bot.
+     * @param {ManagedBot} managedBot - The bot.
+     * @param {Object} message - Telegram message.
+     * @private
+     */
+    _handleQuotaCommand(managedBot, message) {
+        const chatId = message.chat.id;
+        const userId = message.from.id;
+
+        if (this.getAdminUserIds(managedBot).includes(userId)) {
+            this.sendMessage(managedBot, chatId, 'You are an admin, no limits apply to you.');
+            return;
+        }
+
+        const usage = QuotaService.getInstance().getUsage(managedBot, userId);
+        const { limits } = usage;
+        const describe = (used, max, unit) => max > 0
+            ? `${used} of ${max} ${unit} (${Math.max(max - used, 0)} left)`
+            : `${used} ${unit} (unlimited)`;
+        const queuedJobs = QueueManager.getInstance().getQueuedJobCount(managedBot.id, userId);
+
+        this.sendMessage(managedBot, chatId, [
+            `Your usage of ${managedBot.characterName}:`,
+            `Replies today: ${describe(usage.generationsToday, limits.generationsPerDay, 'used')}`,
+            `Messages this minute: ${describe(usage.messagesLastMinute, limits.messagesPerMinute, 'sent')}`,
+            `Requests waiting: ${describe(queuedJobs, limits.maxQueuedJobs, 'queued')}`,
+            '',
+            'Daily replies reset at midnight (server time).',
+        ].join('\n'));
+    }
+
+    /**
+     * Enqueues a command job.
+     * @param {ManagedBot} managedBot - The bot.
+     * @param {Object} message - Telegram message.
+     * @param {string} command - Command name.
+     * @param {Array} commandArguments - Command arguments.
+     * @private
+     */
+    _enqueueCommand(managedBot, message, command, commandArguments) {
+        const generates = command === COMMANDS.TRIGGER_GENERATION || command === COMMANDS.SUMMARIZE;
+        const limitMessage = this._checkLimits(managedBot, message.from.id, generates, true);
+        if (limitMessage) {
+            this._sendLimitNotice(managedBot, message.chat.id, message.from.id, limitMessage);
+            return;
+        }
+
+        /** @type {QueueJob} */
+        const job = {
+            id: '',
+            managedBot: managedBot,
+            chatId: message.chat.id,
+            userId: message.from.id,
+            text: '',
+            targetCharacter: managedBot.characterName,
+            type: JOB_TYPES.COMMAND,
+            command: command,
+            arguments: commandArguments,
+            timestamp: 0,
+        };
+
+        QueueManager.getInstance().enqueueJob(job);
+    }
+
+    /**
+     * Handles inline keyboard button presses.
+     * @param {ManagedBot} managedBot - The bot that received the callback.
+     * @param {Object} callbackQuery - Telegram callback query object.
+     * @private
+     */
+    _handleCallbackQuery(managedBot, callbackQuery) {
+        const userId = callbackQuery.from.id;
+        const message = callbackQuery.message;
+        const action = callbackQuery.data || '';
+
+        const answer = (text) => {
+            managedBot.instance.answerCallbackQuery(callbackQuery.id, text ? { text: text } : {})
+                .catch((error) => Logger.error('Failed to answer callback query:', error.message));
+        };
+
+        if (!message) {
+            answer();
+            return;
+        }
+
+        const [actionName, actionArgument] = action.split(':');
+        if (actionName === CALLBACK_ACTIONS.ACCESS_REQUEST) {
+            answer(this._requestAccess(managedBot, callbackQuery));
+            return;
+        }
+        if (actionName === CALLBACK_ACTIONS.ACCESS_APPROVE || actionName === CALLBACK_ACTIONS.ACCESS_DENY) {
+            answer(this._decideAccessRequest(managedBot, callbackQuery, actionName === CALLBACK_ACTIONS.ACCESS_APPROVE, parseInt(actionArgument)));
+            return;
+        }
+
+        if (!this._isChatAllowed(managedBot, message.chat, userId)) {
+            Logger.info(`Rejected button press from non-whitelisted user ${userId} (Bot: ${managedBot.characterName})`);
+            answer('Sorry, you are not authorized to use this bot.');
+            return;
+        }
+
+        const chatId = message.chat.id;
+        const webSocketService = WebSocketService.getInstance();
+
+        if (!webSocketService.isLastReplyMessage(managedBot.id, chatId, message.message_id)) {
+            answer('Only the latest reply can be changed.');
+            return;
+        }
+
+        const lastReply = webSocketService.getLastReply(managedBot.id, chatId);
+        const swipe = lastReply.swipe;
+        let jobType;
+        let jobArguments = [];
+        let notice;
+        let generates = false;
+
+        switch (actionName) {
+            case CALLBACK_ACTIONS.REGENERATE:
+                jobType = JOB_TYPES.REGENERATE;
+                notice = 'Regenerating...';
+                generates = true;
+                break;
+            case CALLBACK_ACTIONS.CONTINUE:
+                jobType = JOB_TYPES.CONTINUE;
+                notice = 'Continuing...';
+                generates = true;
+                break;
+            case CALLBACK_ACTIONS.DELETE:
+                // Deletes chat messages like /delete, so it needs the same rights
+                if (!this._isAdmin(managedBot, userId)) {
+                    Logger.warn(`Rejected Delete button from user ${userId} in chat ${chatId} (Bot: ${managedBot.characterName})`);
+                    answer('Sorry, only admins can delete replies.');
+                    return;
+                }
+                jobType = JOB_TYPES.DELETE_REPLY;
+                notice = 'Deleting...';
+                break;
+            case CALLBACK_ACTIONS.SWIPE_INFO:
+                answer(swipe ? `Swipe ${swipe.index + 1} of ${swipe.count}` : undefined);
+                return;
+            case CALLBACK_ACTIONS.SWIPE_LEFT:
+                if (swipe && swipe.index <= 0) {
+                    answer('This is the first swipe.');
+                    return;
+                }
+                jobType = JOB_TYPES.SWIPE;
+                jobArguments = [SWIPE_DIRECTIONS.LEFT];
+                notice = 'Swiping...';
+                break;
+            case CALLBACK_ACTIONS.SWIPE_RIGHT:
+                jobType = JOB_TYPES.SWIPE;
+                jobArguments = [SWIPE_DIRECTIONS.RIGHT];
+                generates = !swipe || swipe.index >= swipe.count - 1;
+                notice = generates ? 'Generating a new swipe...' : 'Swiping...';
+                break;
+            case CALLBACK_ACTIONS.GREETING: {
+                const greetingIndex = parseInt(actionArgument);
+                if (!lastReply.isGreeting || !swipe || !(greetingIndex >= 0 && greetingIndex < swipe.count)) {
+                    answer('The chat has already started.');
+                    return;
+                }
+                if (greetingIndex === swipe.index) {
+                    answer('This greeting is already shown.');
+                    return;
+                }
+                jobType = JOB_TYPES.SELECT_GREETING;
+                jobArguments = [greetingIndex];
+                notice = `Switching to greeting ${greetingIndex + 1}...`;
+                break;
+            }
+            default:
+                Logger.debug(`Ignoring unknown callback action: ${action}`);
+                answer();
+                return;
+        }
+
+        const limitMessage = this._checkLimits(managedBot, userId, generates, true);
+        if (limitMessage) {
+            answer(limitMessage);
+            return;
+        }
+
+        Logger.info(`Button "${action}" pressed on bot "${managedBot.characterName}" by user ${userId}`);
+        answer(notice);
+
+        /** @type {QueueJob} */
+        const job = {
+            id: '',
+            managedBot: managedBot,
+            chatId: chatId,
+            userId: userId,
+            text: '',
+            targetCharacter: managedBot.characterName,
+            type: jobType,
+            arguments: jobArguments,
+            replyMessageId: message.message_id,
+            timestamp: 0,
+        };
+
+        QueueManager.getInstance().enqueueJob(job);
+    }
+
+    /**
+     * Sends help message, generated from the command registry.
+     * @param {ManagedBot} managedBot - The bot.
+     * @param {number} chatId - Chat ID.
+     * @param {number} [userId] - User who asked; admin-only commands are listed for admins.
+     * @private
+     */
+    _sendHelpMessage(managedBot, chatId, userId) {
+        const helpText = buildHelpText(managedBot, this._isAdmin(managedBot, userId));
+
+        OutboundDispatcher.getInstance().send(managedBot, chatId, (bot) => bot.sendMessage(chatId, helpText))
+            .catch((error) => Logger.error('Failed to send help message:', error.message));
+    }
+
+    /**
+     * Gets the admins of a bot: the global admins plus the bot's own.
+     * @param {ManagedBot} managedBot - The bot.
+     * @returns {number[]} Telegram user IDs, empty if no admins are configured.
+     */
+    getAdminUserIds(managedBot) {
+        const botConfiguration = this._configuration?.bots?.find((bot) => bot.token === managedBot.token);
+        return [...new Set([
+            ...this._configuration?.adminUserIds || [],
+            ...botConfiguration?.adminUserIds || [],
+        ])];
+    }
+
+    /**
+     * Checks whether an admin of a bot may be reading a chat: in a private chat the user must be an admin,
+     * in a group the bot must have admins (the bot cannot tell who is in the group).
+     * @param {ManagedBot} managedBot - The bot.
+     * @param {number} chatId - The chat ID.
+     * @returns {boolean} True if the chat may have an admin.
+     */
+    mayHaveAdmin(managedBot, chatId) {
+        const adminUserIds = this.getAdminUserIds(managedBot);
+        return chatId > 0 ? adminUserIds.includes(chatId) : adminUserIds.length > 0;
+    }
+
+    /**
+     * Checks whether a user is a global admin (the global adminUserIds), whose access decisions apply to every bot.
+     * @param {number} [userId] - Telegram user ID.
+     * @returns {boolean} True if the user is a global admin.
+     * @private
+     */
+    _isGlobalAdmin(userId) {
+        return (this._configuration?.adminUserIds || []).includes(userId);
+    }
+
+    /**
+     * Checks whether a user may run admin-only commands on a bot.
+     * Only configured admins may; without any, admin commands are disabled.
+     * @param {ManagedBot} managedBot - The bot.
+     * @param {number} [userId] - Telegram user ID.
+     * @returns {boolean} True if the user is an admin.
+     * @private
+     */
+    _isAdmin(managedBot, userId) {
+        return this.getAdminUserIds(managedBot).includes(userId);
+    }
+
+    /**
+     * Publishes each bot's command menu with setMyCommands.
+     * Everyone gets the regular commands; admins get the full list in their private chat with the bot.
+     * Admins removed since the last publish get their chat-scoped menu deleted.
+     * @returns {Promise<void>}
+     */
+    async publishCommandMenus() {
+        const adminCommands = buildCommandMenu(true);
+
+        for (const managedBot of this._managedBots.values()) {
+            const adminUserIds = this.getAdminUserIds(managedBot);
+            const userCommands = buildCommandMenu(false);
+            const previousAdminIds = this._adminMenuChats.get(managedBot.id) || [];
+
+            if (adminUserIds.length === 0) {
+                Logger.warn(`Bot "${managedBot.characterName}" has no admins: admin commands and the Delete button are disabled until adminUserIds is set`);
+            }
+
+            try {
+                await managedBot.instance.setMyCommands(userCommands);
+            } catch (error) {
+                Logger.warn(`Failed to publish command menu for bot "${managedBot.characterName}":`, error.message);
+            }
+
+            // Each chat gets its own call, so one admin Telegram rejects (e.g. who never opened the bot) does not stop the others
+            const menuChats = [];
+            for (const userId of adminUserIds) {
+                try {
+                    await managedBot.instance.setMyCommands(adminCommands, { scope: { type: 'chat', chat_id: userId } });
+                    menuChats.push(userId);
+                } catch (error) {
+                    Logger.warn(`Failed to publish the admin menu of bot "${managedBot.characterName}" for user ${userId}:`, error.message);
+                }
+            }
+            for (const userId of previousAdminIds.filter((id) => !adminUserIds.includes(id))) {
+                try {
+                    await managedBot.instance.deleteMyCommands({ scope: JSON.stringify({ type: 'chat', chat_id: userId }) });
+                } catch (error) {
+                    // Kept, so removing it is tried again on the next publish
+                    menuChats.push(userId);
+                    Logger.warn(`Failed to remove the admin menu of bot "${managedBot.characterName}" for user ${userId}:`, error.message);
+                }
+            }
+
+            this._adminMenuChats.set(managedBot.id, menuChats);
+            Logger.info(`Published ${userCommands.length} command(s) for bot "${managedBot.characterName}" (${menuChats.length} admin menu(s))`);
+        }
+    }
+
+    /**
+     * Handles system commands.
+     * @param {string} command - Command name.
+     * @param {number} chatId - Chat ID.
+     * @param {ManagedBot} managedBot - The bot.
+     * @private
+     */
+    _handleSystemCommand(command, chatId, managedBot) {
+        Logger.info(`Executing system command: ${command}`);
+
+        if (command === COMMANDS.PING) {
+            const webSocketService = WebSocketService.getInstance();
+            const queueManager = QueueManager.getInstance();
+
+            const bridgeStatus = 'Bridge status: Connected';
+            const sillyTavernStatus = webSocketService.isConnected()
+                ? 'SillyTavern status: Connected'
+                : 'SillyTavern status: Not connected';
+            const status = queueManager.getStatus();
+            const scheduling = status.policy === QUEUE_POLICIES.FIFO
+                ? 'first come, first served'
+                : `round-robin across users, admin weight ${status.adminWeight}`;
+            const batching = status.batchByCharacter ? `, batched by character (window ${status.batchWindow})` : '';
+            const queueStatus = `Queue: ${status.pending} pending from ${status.lanes} user(s), ${status.processing ? 'processing' : 'idle'}\nScheduling: ${scheduling}${batching}`;
+            const botsStatus = `Active bots: ${this._managedBots.size}`;
+
+            OutboundDispatcher.getInstance().send(managedBot, chatId, (bot) => bot.sendMessage(chatId, `${bridgeStatus}\n${sillyTavernStatus}\n${queueStatus}\n${botsStatus}`))
+                .catch((error) => Logger.error('Failed to send ping response:', error.message));
+            return;
+        }
+
+        if (this._onSystemCommand) {
+            this._onSystemCommand(command, chatId, managedBot);
+        }
+    }
+
+    /**
+     * Sets the system command callback.
+     * @param {Function} callback - Callback function.
+     */
+    onSystemCommand(callback) {
+        this._onSystemCommand = callback;
+    }
+
+    /**
+     * Sets up message handlers for a bot.
+     * @param {ManagedBot} managedBot - The bot.
+     * @private
+     */
+    _setupBotHandlers(managedBot) {
+        managedBot.instance.on('message', (message) => {
+            this._handleMessage(managedBot, message);
+        });
+
+        managedBot.instance.on('edited_message', (message) => {
+            this._handleEditedMessage(managedBot, message);
+        });
+
+        managedBot.instance.on('callback_query', (callbackQuery) => {
+            this._handleCallbackQuery(managedBot, callbackQuery);
+        });
+    }
+
+    /**
+     * Clears pending updates and starts polling for a single bot.
+     * @param {ManagedBot} managedBot - The bot.
+     * @param {boolean} isRestart - Whether to drain every pending update (after /restart).
+     * @returns {Promise<void>}
+     * @private
+     */
+    async _clearAndStartPolling(managedBot, isRestart) {
+        managedBot.updateMode = UPDATE_MODES.POLLING;
+
+        try {
+            Logger.info(`Clearing message queue for bot "${managedBot.characterName}"...`);
+
+            if (isRestart) {
+                let updates;
+                let lastUpdateId = 0;
+
+                do {
+                    updates = await managedBot.instance.getUpdates({
+                        offset: lastUpdateId,
+                        limit: 100,
+                        timeout: 0,
+                    });
+
+                    if (updates && updates.length > 0) {
+                        lastUpdateId = updates[updates.length - 1].update_id + 1;
+                    }
+                } while (updates && updates.length > 0);
+            } else {
+                const updates = await managedBot.instance.getUpdates({ limit: 100, timeout: 0 });
+                if (updates && updates.length > 0) {
+                    const lastUpdateId = updates[updates.length - 1].update_id;
+                    await managedBot.instance.getUpdates({ offset: lastUpdateId + 1, limit: 1, timeout: 0 });
+                    Logger.info(`Cleared ${updates.length} pending messages for bot "${managedBot.characterName}"`);
+                }
+            }
+
+            managedBot.instance.startPolling({ restart: true, clean: true });
+            Logger.info(`Bot "${managedBot.characterName}" polling started`);
+        } catch (error) {
+            Logger.error(`Error starting bot "${managedBot.characterName}":`, error.message);
+            managedBot.instance.startPolling({ restart: true, clean: true });
+        }
+    }
+
+    /**
+     * Gets the webhook path for a bot.
+     * @param {string} botId - Bot ID.
+     * @returns {string} Path component of the webhook URL.
+     * @private
+     */
+    _getWebhookPath(botId) {
+        const prefix = (this._configuration.webhook.pathPrefix || DEFAULTS.WEBHOOK_PATH_PREFIX).replace(/\/+$/, '');
+        return `${prefix}/${botId}`;
+    }
+
+    /**
+     * Creates the secret token Telegram must send with every webhook request for a bot.
+     * A configured secretToken yields a stable per-bot value; otherwise a random one is used per run.
+     * @param {string} botId - Bot ID.
+     * @returns {string} Secret token.
+     * @private
+     */
+    _createWebhookSecret(botId) {
+        const baseSecret = this._configuration.webhook.secretToken;
+        if (baseSecret) {
+            return crypto.createHmac('sha256', baseSecret).update(botId).digest('hex');
+        }
+        return crypto.randomBytes(32).toString('hex');
+    }
+
+    /**
+     * Starts the local HTTP listener that receives webhook updates.
+     * @returns {Promise<boolean>} True if the listener is running.
+     * @private
+     */
+    _startWebhookServer() {
+        const { port, host } = this._configuration.webhook;
+
+        return new Promise((resolve) => {
+            const server = http.createServer((request, response) => {
+                this._handleWebhookRequest(request, response);
+            });
+
+            server.once('error', (error) => {
+                Logger.error(`Failed to start webhook listener on ${host}:${port}:`, error.message);
+                resolve(false);
+            });
+
+            server.listen(port, host, () => {
+                server.on('error', (error) => Logger.error('Webhook listener error:', error.message));
+                this._webhookServer = server;
+                Logger.info(`Webhook listener started on ${host}:${port}`);
+                resolve(true);
+            });
+        });
+    }
+
+    /**
+     * Stops the webhook HTTP listener if it is running.
+     * @returns {Promise<void>}
+     * @private
+     */
+    _stopWebhookServer() {
+        return new Promise((resolve) => {
+            if (!this._webhookServer) {
+                resolve();
+                return;
+            }
+
+            this._webhookServer.close(() => {
+                Logger.info('Webhook listener closed');
+                resolve();
+            });
+            this._webhookServer = null;
+        });
+    }
+
+    /**
+     * Registers the webhook for a bot with Telegram.
+     * @param {ManagedBot} managedBot - The bot.
+     * @param {boolean} isRestart - Whether pending updates should be dropped.
+     * @returns {Promise<boolean>} True if registration succeeded.
+     * @private
+     */
+    async _registerWebhook(managedBot, isRestart) {
+        const url = this._configuration.webhook.publicUrl.replace(/\/+$/, '') + this._getWebhookPath(managedBot.id);
+        const secret = this._createWebhookSecret(managedBot.id);
+
+        try {
+            await managedBot.instance.setWebHook(url, {
+                secret_token: secret,
+                drop_pending_updates: isRestart,
+            });
+            managedBot.updateMode = UPDATE_MODES.WEBHOOK;
+            managedBot.webhookSecret = secret;
+            Logger.info(`Bot "${managedBot.characterName}" webhook registered at ${url}`);
+            return true;
+        } catch (error) {
+            Logger.error(`Failed to register webhook for bot "${managedBot.characterName}":`, error.message);
+            return false;
+        }
+    }
+
+    /**
+     * Checks the secret token header of a webhook request.
+     * @param {ManagedBot} managedBot - The bot the request is addressed to.
+     * @param {string|undefined} headerValue - Value of the secret token header.
+     * @returns {boolean} True if the token matches.
+     * @private
+     */
+    _isValidWebhookSecret(managedBot, headerValue) {
+        if (!managedBot.webhookSecret || typeof headerValue !== 'string') {
+            return false;
+        }
+
+        const expected = Buffer.from(managedBot.webhookSecret);
+        const received = Buffer.from(headerValue);
+        return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+    }
+
+    /**
+     * Handles an incoming webhook HTTP request and feeds the update to the bot.
+     * @param {http.IncomingMessage} request - HTTP request.
+     * @param {http.ServerResponse} response - HTTP response.
+     * @private
+     */
+    _handleWebhookRequest(request, response) {
+        const requestPath = (request.url || '').split('?')[0];
+        let managedBot;
+        for (const candidate of this._managedBots.values()) {
+            if (candidate.updateMode === UPDATE_MODES.WEBHOOK && this._getWebhookPath(candidate.id) === requestPath) {
+                managedBot = candidate;
+                break;
+            }
+        }
+
+        if (request.method !== 'POST' || !managedBot) {
+            response.writeHead(404);
+            response.end();
+            return;
+        }
+
+        if (!this._isValidWebhookSecret(managedBot, request.headers['x-telegram-bot-api-secret-token'])) {
+            Logger.warn(`Rejected webhook request with invalid secret token for bot "${managedBot.characterName}"`);
+            response.writeHead(401);
+            response.end();
+            return;
+        }
+
+        const chunks = [];
+        let receivedBytes = 0;
+        let isAborted = false;
+
+        request.on('data', (chunk) => {
+            receivedBytes += chunk.length;
+            if (receivedBytes > DEFAULTS.WEBHOOK_MAX_BODY_BYTES) {
+                isAborted = true;
+                response.writeHead(413);
+                response.end();
+                request.destroy();
+                return;
+            }
+            chunks.push(chunk);
+        });
+
+        request.on('end', () => {
+            if (isAborted) {
+                return;
+            }
+
+            let update;
+            try {
+                update = JSON.parse(Buffer.concat(chunks).toString('utf8'));
+            } catch (error) {
+                Logger.warn(`Received malformed webhook payload for bot "${managedBot.characterName}"`);
+                response.writeHead(400);
+                response.end();
+                return;
+            }
+
+            response.writeHead(200);
+            response.end();
+
+            try {
+                managedBot.instance.processUpdate(update);
+            } catch (error) {
+                Logger.error(`Error processing webhook update for bot "${managedBot.characterName}":`, error.message);
+            }
+        });
+    }
+
+    /**
+     * Starts receiving updates for all bots, using webhooks when configured
+     * and falling back to polling for any bot whose webhook cannot be registered.
+     * @returns {Promise<void>}
+     * @private
+     */
+    async _startReceivingUpdates() {
+        const isRestart = process.env.TELEGRAM_CLEAR_UPDATES === '1';
+        const wantsWebhook = this._configuration.updateMode === UPDATE_MODES.WEBHOOK;
+        const isListening = wantsWebhook && await this._startWebhookServer();
+
+        for (const managedBot of this._managedBots.values()) {
+            if (isListening && await this._registerWebhook(managedBot, isRestart)) {
+                continue;
+            }
+
+            if (wantsWebhook) {
+                Logger.warn(`Falling back to polling for bot "${managedBot.characterName}"`);
+            }
+
+            // A webhook left registered (after switching to polling, or by a process that crashed) makes getUpdates fail with 409
+            await managedBot.instance.deleteWebHook().catch((error) => {
+                Logger.error(`Failed to remove webhook for bot "${managedBot.characterName}":`, error.message);
+            });
+
+            await this._clearAndStartPolling(managedBot, isRestart);
+        }
+
+        if (isRestart) {
+            delete process.env.TELEGRAM_CLEAR_UPDATES;
+        }
+    }
+
+    /**
+     * Initializes the Telegram service.
+     * @param {ApplicationConfiguration} configuration - Configuration.
      * @returns {Promise<void>}
      */
     async initialize(configuration) {
@@ -632,6 +2174,12 @@ Help
             const botId = this._getBotIdFromToken(botConfiguration.token);
             const botInstance = new TelegramBot(botConfiguration.token, { polling: false });
 
+            // The username is needed to recognize @mentions in group chats
+            const botUser = await botInstance.getMe().catch((error) => {
+                Logger.warn(`Failed to fetch username for bot ${botId}, group @mentions will not be recognized:`, error.message);
+                return null;
+            });
+
             /** @type {ManagedBot} */
             const managedBot = {
                 id: botId,
@@ -641,6 +2189,8 @@ Help
                 connectionProfile: botConfiguration.connectionProfile,
                 lorebookName: botConfiguration.lorebookName,
                 lorebookEntry: botConfiguration.lorebookEntry,
+                updateMode: UPDATE_MODES.POLLING,
+                username: botUser?.username,
             };
 
             this._managedBots.set(botId, managedBot);
@@ -649,7 +2199,8 @@ Help
             Logger.info(`Bot "${botConfiguration.characterName}" (ID: ${botId}) initialized`);
         }
 
-        await this._clearAndStartPollingAll();
+        await this.publishCommandMenus();
+        await this._startReceivingUpdates();
     }
 
     /**
@@ -670,12 +2221,21 @@ Help
     }
 
     /**
-     * Stops all bot polling.
+     * Stops all bot polling and removes registered webhooks.
      * @returns {Promise<void>}
      */
     async stopAll() {
         const stopPromises = [];
         for (const [botId, managedBot] of this._managedBots) {
+            if (managedBot.updateMode === UPDATE_MODES.WEBHOOK) {
+                stopPromises.push(
+                    managedBot.instance.deleteWebHook().catch((error) => {
+                        Logger.error(`Error removing webhook for bot ${managedBot.characterName}:`, error.message);
+                    })
+                );
+                continue;
+            }
+
             stopPromises.push(
                 managedBot.instance.stopPolling().catch((error) => {
                     Logger.error(`Error stopping bot ${managedBot.characterName}:`, error.message);
@@ -683,6 +2243,7 @@ Help
             );
         }
         await Promise.all(stopPromises);
+        await this._stopWebhookServer();
         Logger.info('All bots stopped');
     }
 
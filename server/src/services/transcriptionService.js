@@ -0,0 +1,105 @@
+/**
+ * @fileoverview Transcription singleton turning voice messages into text.
+ * Delegates to the speech-to-text adapter selected in the configuration.
+ * @module services/transcriptionService
+ */
+
+const Logger = require('../utils/logger');
+const { createSpeechToTextAdapter } = require('../adapters/stt');
+
+/**
+ * @typedef {import('../types/index').ApplicationConfiguration} ApplicationConfiguration
+ * @typedef {import('../types/index').DownloadedFile} DownloadedFile
+ */
+
+/**
+ * Singleton service for speech-to-text.
+ * @class
+ */
+class TranscriptionService {
+    /**
+     * Singleton instance.
+     * @type {TranscriptionService|null}
+     * @private
+     */
+    static _instance = null;
+
+    /**
+     * Gets the singleton instance.
+     * @returns {TranscriptionService}
+     */
+    static getInstance() {
+        if (!TranscriptionService._instance) {
+            TranscriptionService._instance = new TranscriptionService();
+        }
+        return TranscriptionService._instance;
+    }
+
+    /**
+     * Creates a new TranscriptionService instance.
+     * @private
+     */
+    constructor() {
+        /** @type {ApplicationConfiguration|null} */
+        this._configuration = null;
+    }
+
+    /**
+     * Sets the configuration. Settings are read on every call, so /reload applies.
+     * @param {ApplicationConfiguration} configuration - Application configuration.
+     */
+    configure(configuration) {
+        this._configuration = configuration;
+    }
+
+    /**
+     * Checks whether voice messages are transcribed.
+     * @returns {boolean} True if a provider is configured.
+     */
+    isEnabled() {
+        return createSpeechToTextAdapter(this._configuration?.speechToText) !== null;
+    }
+
+    /**
+     * Checks whether the audio stays attached after a successful transcription.
+     * @returns {boolean} True if audio is kept.
+     */
+    keepsAudio() {
+        return Boolean(this._configuration?.speechToText?.keepAudio);
+    }
+
+    /**
+     * Transcribes a downloaded voice file.
+     * @param {DownloadedFile} file - Downloaded audio file.
+     * @returns {Promise<string|null>} The transcript, or null if disabled, empty or failed.
+     */
+    async transcribe(file) {
+        const adapter = createSpeechToTextAdapter(this._configuration?.speechToText);
+        if (!adapter) {
+            return null;
+        }
+
+        try {
+            const startTime = Date.now();
+            const transcript = await adapter.transcribe({
+                buffer: Buffer.from(file.base64, 'base64'),
+                mimeType: file.mimeType,
+                fileName: file.fileName,
+            });
+            Logger.info(`Transcribed ${file.fileName} in ${Date.now() - startTime}ms (${transcript.length} chars)`);
+            return transcript || null;
+        } catch (error) {
+            Logger.error(`Failed to transcribe ${file.fileName}:`, error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Resets the singleton instance (for testing).
+     */
+    static resetInstance() {
+        TranscriptionService._instance = null;
+    }
+}
+
+module.exports = TranscriptionService;
@@ -4,14 +4,59 @@
  * @module services/webSocketService
  */
 
+const crypto = require('crypto');
 const WebSocket = require('ws');
 const Logger = require('../utils/logger');
-const { EVENTS, DEFAULTS } = require('../constants/system');
+const {
+    EVENTS,
+    DEFAULTS,
+    COMMANDS,
+    JOB_TYPES,
+    CALLBACK_ACTIONS,
+    CHAT_ACTIONS,
+    USER_PREFERENCES,
+    TEXT_FORMATS,
+} = require('../constants/system');
+const {
+    PARSE_MODE,
+    escapeHtml,
+    sanitizeHtml,
+    markdownToHtml,
+    splitHtml,
+    splitHtmlByLength,
+    htmlToPlainText,
+    isEntityParseError,
+} = require('../utils/telegramFormatter');
 const QueueManager = require('./queueManager');
+const MessageMapService = require('./messageMapService');
+const ChatBindingService = require('./chatBindingService');
+const PreferenceService = require('./preferenceService');
+const OutboundDispatcher = require('./outboundDispatcher');
+
+/**
+ * Appended to streamed text to show the reply is still being written.
+ * @type {string}
+ */
+const STREAMING_SUFFIX = ' ...';
 
 /**
  * @typedef {import('../types/index').ManagedBot} ManagedBot
  * @typedef {import('../types/index').StreamSession} StreamSession
+ * @typedef {import('../types/index').ChatActionKeepAlive} ChatActionKeepAlive
+ * @typedef {import('../types/index').ReplyMessage} ReplyMessage
+ * @typedef {import('../types/index').DeliveredReply} DeliveredReply
+ * @typedef {import('../types/index').SwipeInfo} SwipeInfo
+ */
+
+/**
+ * A single outgoing piece of a reply.
+ * @typedef {Object} ReplyPart
+ * @property {string} type - Part type ('text', 'image' or 'voice').
+ * @property {string} [text] - Telegram HTML for text parts, or the text of voice parts.
+ * @property {string[]} [textParts] - Telegram HTML parts sent instead of a voice part if speech fails.
+ * @property {string} [base64] - Base64 data for image parts.
+ * @property {string} [mimeType] - MIME type for image parts.
+ * @property {number} [mesId] - SillyTavern chat index the part came from.
  */
 
 /**
@@ -36,7 +81,32 @@ const QueueManager = require('./queueManager');
  * @param {ManagedBot} managedBot - The bot to send through.
  * @param {number} chatId - The chat ID.
  * @param {Array<{base64: string, mimeType: string}>} images - Images to send.
- * @returns {Promise<void>}
+ * @returns {Promise<number[]>} IDs of the sent messages.
+ */
+
+/**
+ * Callback for sending a reply as voice notes.
+ * @callback VoiceSender
+ * @param {ManagedBot} managedBot - The bot to send through.
+ * @param {number} chatId - The chat ID.
+ * @param {string} text - Text to speak.
+ * @returns {Promise<number[]>} IDs of the sent voice notes; empty if speech failed.
+ */
+
+/**
+ * Callback checking whether an admin of a bot may be reading a chat, to decide whether to offer the Delete button.
+ * @callback AdminChecker
+ * @param {ManagedBot} managedBot - The bot.
+ * @param {number} chatId - The chat ID.
+ * @returns {boolean} True if the chat may have an admin.
+ */
+
+/**
+ * A request to the extension awaiting its response.
+ * @typedef {Object} PendingRequest
+ * @property {Function} resolve - Resolves with the response message.
+ * @property {Function} reject - Rejects on timeout or disconnect.
+ * @property {NodeJS.Timeout} timer - Timeout timer.
  */
 
 /**
@@ -76,7 +146,7 @@ class WebSocketService {
         /** @type {Map<string, StreamSession>} */
         this._ongoingStreams = new Map();
 
-        /** @type {Map<string, NodeJS.Timeout>} */
+        /** @type {Map<string, ChatActionKeepAlive>} */
         this._activeChatActions = new Map();
 
         /** @type {BotLookup|null} */
@@ -88,12 +158,24 @@ class WebSocketService {
         /** @type {ImageSender|null} */
         this._imageSender = null;
 
+        /** @type {VoiceSender|null} */
+        this._voiceSender = null;
+
+        /** @type {AdminChecker|null} */
+        this._adminChecker = null;
+
+        /** @type {Map<string, PendingRequest>} */
+        this._pendingRequests = new Map();
+
         /** @type {Function|null} */
         this._messageSplitter = null;
 
         /** @type {Function|null} */
         this._messageSanitizer = null;
 
+        /** @type {Function|null} */
+        this._onConnect = null;
+
         /** @type {number} */
         this._streamThrottleMilliseconds = DEFAULTS.STREAM_THROTTLE_MS;
     }
@@ -104,8 +186,11 @@ class WebSocketService {
      * @param {BotLookup} options.botLookup - Function to look up bots by ID.
      * @param {TelegramSender} options.telegramSender - Function to send messages.
      * @param {ImageSender} options.imageSender - Function to send images.
+     * @param {VoiceSender} [options.voiceSender] - Function to send voice replies.
+     * @param {AdminChecker} [options.adminChecker] - Function checking whether a chat may have an admin.
      * @param {Function} [options.messageSplitter] - Function to get split character.
      * @param {Function} [options.messageSanitizer] - Function to sanitize messages.
+     * @param {Function} [options.onConnect] - Called when the extension connects.
      */
     configure(options) {
         if (options.botLookup) {
@@ -117,12 +202,21 @@ class WebSocketService {
         if (options.imageSender) {
             this._imageSender = options.imageSender;
         }
+        if (options.voiceSender) {
+            this._voiceSender = options.voiceSender;
+        }
+        if (options.adminChecker) {
+            this._adminChecker = options.adminChecker;
+        }
         if (options.messageSplitter) {
             this._messageSplitter = options.messageSplitter;
         }
         if (options.messageSanitizer) {
             this._messageSanitizer = options.messageSanitizer;
         }
+        if (options.onConnect) {
+            this._onConnect = options.onConnect;
+        }
     }
 
     /**
@@ -177,10 +271,13 @@ class WebSocketService {
             await this._handleMessage(message);
         });
 
+        this._onConnect?.();
+
         webSocket.on('close', () => {
             Logger.info('SillyTavern extension disconnected.');
             this._client = null;
             this._cleanupStreams();
+            this._rejectPendingRequests('SillyTavern disconnected');
             QueueManager.getInstance().handleDisconnect();
         });
 
@@ -188,6 +285,7 @@ class WebSocketService {
             Logger.error('WebSocket error occurred:', error.message);
             this._client = null;
             this._cleanupStreams();
+            this._rejectPendingRequests('SillyTavern disconnected');
             QueueManager.getInstance().handleDisconnect();
         });
     }
@@ -198,8 +296,8 @@ class WebSocketService {
      */
     _cleanupStreams() {
         this._ongoingStreams.clear();
-        for (const intervalId of this._activeChatActions.values()) {
-            clearInterval(intervalId);
+        for (const keepAlive of this._activeChatActions.values()) {
+            clearInterval(keepAlive.intervalId);
         }
         this._activeChatActions.clear();
     }
@@ -291,6 +389,15 @@ class WebSocketService {
                 await this._handleHistoryFile(data);
                 break;
 
+            case EVENTS.USER_MESSAGES_STORED:
+                this._handleUserMessagesStored(data);
+                break;
+
+            case EVENTS.TTS_AUDIO:
+            case EVENTS.CHARACTER_PROFILE:
+                this._resolvePendingRequest(data);
+                break;
+
             default:
                 Logger.debug(`Unknown message type: ${data.type}`);
         }
@@ -315,7 +422,7 @@ class WebSocketService {
                     if (data.command === 'switchchar') {
                         queueManager.confirmCharacterSwitch();
                     } else {
-                        activeJob.switchResolve();
+                        activeJob.switchResolve(data);
                     }
                 } else {
                     Logger.error(`Command "${data.command}" failed: ${data.message}`);
@@ -338,6 +445,40 @@ class WebSocketService {
         Logger.info(`Command ${data.command} execution completed: ${data.success ? 'success' : 'failure'}`);
 
         if (activeJob && data.botId === activeJob.job.managedBot.id) {
+            // Messages appended without a reply still need to be mapped
+            if (data.userMessages) {
+                this._recordChatMessages(data.botId, activeJob.job.chatId, data, []);
+            }
+
+            // Chat changes only move this Telegram chat's binding
+            if (data.success && data.chatFile && this._isChatChangingCommand(data.command)) {
+                ChatBindingService.getInstance().setChatFile(
+                    data.botId,
+                    activeJob.job.chatId,
+                    activeJob.job.targetCharacter,
+                    data.chatFile
+                );
+            }
+
+            // A persona picked with /persona is remembered for the user who picked it
+            if (data.success && data.command === COMMANDS.PERSONA && data.persona) {
+                PreferenceService.getInstance().set(
+                    data.botId,
+                    activeJob.job.userId,
+                    USER_PREFERENCES.PERSONA,
+                    data.persona
+                );
+            }
+
+            const managedBot = this._botLookup?.(data.botId);
+            if (managedBot && data.success) {
+                if (activeJob.job.type === JOB_TYPES.DELETE_REPLY) {
+                    await this._deleteLastReply(managedBot, activeJob.job.chatId);
+                } else if (this._isChatChangingCommand(data.command)) {
+                    await this._retireLastReply(managedBot, activeJob.job.chatId);
+                }
+            }
+
             if (data.message) {
                 const managedBot = this._botLookup?.(data.botId);
                 if (managedBot && this._telegramSender) {
@@ -348,6 +489,53 @@ class WebSocketService {
         }
     }
 
+    /**
+     * Checks whether a command replaces or rewrites the chat the latest reply belongs to.
+     * @param {string} command - Command name.
+     * @returns {boolean} True if the latest reply can no longer be acted on.
+     * @private
+     */
+    _isChatChangingCommand(command) {
+        return [COMMANDS.NEW, COMMANDS.START, COMMANDS.SUMMARIZE, 'delete_messages'].includes(command) ||
+            /^switchchat(_\d+)?$/.test(command);
+    }
+
+    /**
+     * Deletes the Telegram messages of the latest reply after ST removed it.
+     * @param {ManagedBot} managedBot - The bot.
+     * @param {number} chatId - The chat ID.
+     * @returns {Promise<void>}
+     * @private
+     */
+    async _deleteLastReply(managedBot, chatId) {
+        const messageMapService = MessageMapService.getInstance();
+        const lastReply = messageMapService.getLastReply(managedBot.id, chatId);
+        if (!lastReply) {
+            return;
+        }
+
+        messageMapService.forgetLastReply(managedBot.id, chatId);
+        await this._deleteMessages(managedBot, chatId, lastReply.messages);
+    }
+
+    /**
+     * Removes the keyboard from the latest reply and forgets it, so it can no longer be acted on.
+     * @param {ManagedBot} managedBot - The bot.
+     * @param {number} chatId - The chat ID.
+     * @returns {Promise<void>}
+     * @private
+     */
+    async _retireLastReply(managedBot, chatId) {
+        const messageMapService = MessageMapService.getInstance();
+        const lastReply = messageMapService.getLastReply(managedBot.id, chatId);
+        if (!lastReply) {
+            return;
+        }
+
+        messageMapService.forgetLastReply(managedBot.id, chatId);
+        await this._removeReplyKeyboard(managedBot, chatId, lastReply.keyboardMessageId);
+    }
+
     /**
      * Handles streaming text chunks.
      * @param {Object} data - Stream chunk data.
@@ -358,6 +546,11 @@ class WebSocketService {
             return;
         }
 
+        // Voice replies are spoken once complete, so there is nothing to show while streaming
+        if (this._isVoiceReply(data.botId, data.chatId)) {
+            return;
+        }
+
         const streamKey = this._getStreamKey(data.botId, data.chatId);
         const managedBot = this._botLookup?.(data.botId);
 
@@ -376,20 +569,39 @@ class WebSocketService {
 
             session = {
                 messagePromise: messagePromise,
+                followUpMessageIds: [],
+                renderedTexts: [],
+                renderPromise: null,
                 lastText: data.text,
                 timer: null,
                 isEditing: false,
             };
             this._ongoingStreams.set(streamKey, session);
 
-            managedBot.instance.sendMessage(data.chatId, 'Typing...')
-                .then((sentMessage) => {
-                    resolveMessagePromise(sentMessage.message_id);
-                })
-                .catch((error) => {
-                    Logger.error('Failed to send initial streaming message:', error.message);
-                    this._ongoingStreams.delete(streamKey);
-                });
+            // A regenerated or continued reply streams into its existing leading text messages
+            const replyTarget = this._getReplyTarget(data.botId, data.chatId);
+            const anchorIds = [];
+            for (const message of replyTarget?.messages || []) {
+                if (message.type !== 'text') {
+                    break;
+                }
+                anchorIds.push(message.messageId);
+            }
+
+            if (anchorIds.length > 0) {
+                session.followUpMessageIds = anchorIds.slice(1);
+                resolveMessagePromise(anchorIds[0]);
+            } else {
+                OutboundDispatcher.getInstance().send(managedBot, data.chatId, (bot) => bot.sendMessage(data.chatId, 'Typing...'))
+                    .then((sentMessage) => {
+                        resolveMessagePromise(sentMessage.message_id);
+                        this._refreshChatAction(data.botId, data.chatId);
+                    })
+                    .catch((error) => {
+                        Logger.error('Failed to send initial streaming message:', error.message);
+                        this._ongoingStreams.delete(streamKey);
+                    });
+            }
         } else {
             session.lastText = data.text;
         }
@@ -410,18 +622,10 @@ class WebSocketService {
                 }
 
                 currentSession.isEditing = true;
-                const splitChar = this._messageSplitter?.() || '';
-                const firstPart = splitChar
-                    ? currentSession.lastText.split(splitChar)[0]
-                    : currentSession.lastText;
-
-                managedBot.instance.editMessageText(firstPart + ' ...', {
-                    chat_id: data.chatId,
-                    message_id: currentMessageId,
-                }).catch((error) => {
-                    if (!error.message.includes('message is not modified')) {
-                        Logger.error('Failed to edit streaming message:', error.message);
-                    }
+
+                // Streamed text is raw markdown; the final update replaces it with the rendered message
+                currentSession.renderPromise = this._renderStream(managedBot, data.chatId, currentSession, currentMessageId, currentSession.lastText).catch((error) => {
+                    Logger.error('Failed to update streaming message:', error.message);
                 }).finally(() => {
                     if (this._ongoingStreams.has(streamKey)) {
                         this._ongoingStreams.get(streamKey).isEditing = false;
@@ -433,13 +637,52 @@ class WebSocketService {
         }
     }
 
+    /**
+     * Shows streamed text split the same way as the final reply.
+     * A new message is sent as soon as a new part begins; earlier parts are finalized without the
+     * streaming suffix. Only messages whose text changed are edited.
+     * @param {ManagedBot} managedBot - The bot.
+     * @param {number} chatId - The chat ID.
+     * @param {StreamSession} session - The streaming session.
+     * @param {number} firstMessageId - Message the stream started in.
+     * @param {string} markdown - Text streamed so far.
+     * @returns {Promise<void>}
+     * @private
+     */
+    async _renderStream(managedBot, chatId, session, firstMessageId, markdown) {
+        const splitChar = this._messageSplitter?.() || '';
+        const pieces = splitHtml(markdownToHtml(markdown), splitChar)
+            .flatMap((piece) => splitHtmlByLength(piece, DEFAULTS.TELEGRAM_MESSAGE_MAX_LENGTH - STREAMING_SUFFIX.length));
+
+        for (let index = 0; index < pieces.length; index++) {
+            const text = index === pieces.length - 1 ? pieces[index] + STREAMING_SUFFIX : pieces[index];
+            if (session.renderedTexts[index] === text) {
+                continue;
+            }
+
+            if (index === 0 || index <= session.followUpMessageIds.length) {
+                const messageId = index === 0 ? firstMessageId : session.followUpMessageIds[index - 1];
+                await this._editFormattedText(managedBot, chatId, messageId, text).catch((error) => {
+                    if (!error.message.includes('message is not modified')) {
+                        throw error;
+                    }
+                });
+            } else {
+                const sentMessage = await this._sendFormattedText(managedBot, chatId, text);
+                session.followUpMessageIds.push(sentMessage.message_id);
+                this._refreshChatAction(managedBot.id, chatId);
+            }
+            session.renderedTexts[index] = text;
+        }
+    }
+
     /**
      * Handles stream end signal.
      * @param {Object} data - Stream end data.
      * @private
      */
     _handleStreamEnd(data) {
-        if (!data.chatId || !data.botId) {
+        if (!data.chatId || !data.botId || this._isVoiceReply(data.botId, data.chatId)) {
             return;
         }
 
@@ -477,234 +720,537 @@ class WebSocketService {
         }
 
         // Check if using new contentParts format (ordered content)
-        if (data.contentParts && Array.isArray(data.contentParts)) {
-            await this._handleOrderedContent(data, managedBot, session, streamKey);
-        } else {
-            // Legacy format: text + images (for backwards compatibility)
-            await this._handleLegacyContent(data, managedBot, session, streamKey);
+        const parts = this._applyReplyMode(data, data.contentParts && Array.isArray(data.contentParts)
+            ? this._buildOrderedParts(data)
+            : this._buildLegacyParts(data, false));
+
+        const replyTarget = this._getReplyTarget(data.botId, data.chatId);
+        let reusableMessages = replyTarget ? replyTarget.messages : [];
+
+        if (session) {
+            // Let an update in flight finish, so a message it sends is reconciled too
+            if (session.timer) {
+                clearTimeout(session.timer);
+                session.timer = null;
+            }
+            await session.renderPromise;
+
+            // The streaming messages are edited into the first parts of the reply
+            const messageId = await session.messagePromise;
+            if (messageId) {
+                const streamMessageIds = [messageId, ...session.followUpMessageIds];
+                reusableMessages = [
+                    ...streamMessageIds.map((id) => ({ messageId: id, type: 'text' })),
+                    ...reusableMessages.filter((message) => !streamMessageIds.includes(message.messageId)),
+                ];
+            }
+        }
+
+        const delivered = await this._deliverReply(managedBot, data.chatId, parts, reusableMessages, data.swipe, data.isGreeting);
+        this._recordChatMessages(data.botId, data.chatId, data, delivered);
+
+        if (session) {
+            this._ongoingStreams.delete(streamKey);
+            Logger.info(`Streaming session ${streamKey} completed`);
         }
 
         QueueManager.getInstance().releaseJob();
     }
 
     /**
-     * Handles ordered content parts (text and images in sequence).
-     * @param {Object} data - Message data with contentParts array.
-     * @param {ManagedBot} managedBot - The bot to send through.
-     * @param {StreamSession|undefined} session - Active streaming session if any.
-     * @param {string} streamKey - Key for the streaming session.
+     * Converts reply text into Telegram HTML.
+     * The extension sends rendered messages as HTML; plain text from older versions is escaped.
+     * @param {Object} data - Message data with the optional textFormat.
+     * @param {string} text - Reply text.
+     * @returns {string} Telegram HTML.
+     * @private
+     */
+    _toTelegramHtml(data, text) {
+        return data.textFormat === TEXT_FORMATS.HTML ? sanitizeHtml(text) : escapeHtml(text);
+    }
+
+    /**
+     * Converts reply text into Telegram HTML messages.
+     * Text is split by the configured character, then any piece over Telegram's length limit is split further.
+     * @param {Object} data - Message data with the optional textFormat.
+     * @param {string} text - Reply text.
+     * @returns {string[]} Telegram HTML, one entry per message.
      * @private
      */
-    async _handleOrderedContent(data, managedBot, session, streamKey) {
+    _splitReplyText(data, text) {
         const splitChar = this._messageSplitter?.() || '';
-        let isFirstTextPart = true;
+        return splitHtml(this._toTelegramHtml(data, text), splitChar)
+            .flatMap((piece) => splitHtmlByLength(piece, DEFAULTS.TELEGRAM_MESSAGE_MAX_LENGTH));
+    }
 
-        Logger.info(`Processing ${data.contentParts.length} ordered content part(s)`);
+    /**
+     * Builds reply parts from ordered content parts (text and images in sequence).
+     * Text is split by the configured character and Telegram's length limit.
+     * @param {Object} data - Message data with contentParts array.
+     * @returns {ReplyPart[]} Parts in delivery order.
+     * @private
+     */
+    _buildOrderedParts(data) {
+        const parts = [];
 
-        for (let i = 0; i < data.contentParts.length; i++) {
-            const part = data.contentParts[i];
+        Logger.info(`Processing ${data.contentParts.length} ordered content part(s)`);
 
+        for (const part of data.contentParts) {
             if (part.type === 'text' && part.content?.trim()) {
-                // Split text by configured character if needed
-                const textParts = splitChar ? part.content.split(splitChar) : [part.content];
-
-                for (let j = 0; j < textParts.length; j++) {
-                    const textPart = textParts[j].trim();
-                    if (!textPart) continue;
-
-                    if (isFirstTextPart && session) {
-                        // First text part edits the streaming placeholder
-                        const messageId = await session.messagePromise;
-                        if (messageId) {
-                            Logger.info('Sending final streamed message update (Anchor)');
-                            await managedBot.instance.editMessageText(textPart, {
-                                chat_id: data.chatId,
-                                message_id: messageId,
-                            }).catch((error) => {
-                                if (!error.message.includes('message is not modified')) {
-                                    Logger.error('Failed to edit final message:', error.message);
-                                }
-                            });
-                        }
-                        isFirstTextPart = false;
-                    } else {
-                        // Subsequent text parts are sent as new messages
-                        Logger.info(`Sending text part ${i}:${j}`);
-                        await managedBot.instance.sendMessage(data.chatId, textPart)
-                            .catch((error) => Logger.error('Failed to send text part:', error.message));
-                        isFirstTextPart = false;
-                    }
+                for (const textPart of this._splitReplyText(data, part.content)) {
+                    parts.push({ type: 'text', text: textPart, mesId: part.mesId });
                 }
-            } else if (part.type === 'image' && part.base64 && this._imageSender) {
-                // Send image in order
-                Logger.info(`Sending image part ${i}`);
-                await this._imageSender(managedBot, data.chatId, [{
+            } else if (part.type === 'image' && part.base64) {
+                parts.push({
+                    type: 'image',
                     base64: part.base64,
                     mimeType: part.mimeType || 'image/png',
-                }]);
+                    mesId: part.mesId,
+                });
             }
         }
 
-        // Clean up streaming session if it existed
-        if (session) {
-            this._ongoingStreams.delete(streamKey);
-            Logger.info(`Streaming session ${streamKey} completed`);
-        }
+        return parts;
     }
 
     /**
-     * Handles legacy content format (combined text + separate images array).
+     * Builds reply parts from the legacy format (combined text + separate images array).
+     * Streamed replies keep the first text part as anchor before the images;
+     * non-streaming replies send images first.
      * @param {Object} data - Message data with text and images properties.
+     * @param {boolean} imagesFirst - Whether images precede all text parts.
+     * @returns {ReplyPart[]} Parts in delivery order.
+     * @private
+     */
+    _buildLegacyParts(data, imagesFirst) {
+        const textParts = this._splitReplyText(data, data.text || '')
+            .map((part) => ({ type: 'text', text: part }));
+        const imageParts = (data.images || []).map((image) => ({
+            type: 'image',
+            base64: image.base64,
+            mimeType: image.mimeType || 'image/png',
+        }));
+
+        if (imagesFirst) {
+            return [...imageParts, ...textParts];
+        }
+        return [...textParts.slice(0, 1), ...imageParts, ...textParts.slice(1)];
+    }
+
+    /**
+     * Turns the text of a reply into voice parts if the active job asked for a voice reply.
+     * Consecutive text parts of the same chat message are spoken as one voice part.
+     * @param {Object} data - Reply data with botId and chatId.
+     * @param {ReplyPart[]} parts - Parts in delivery order.
+     * @returns {ReplyPart[]} Parts to deliver.
+     * @private
+     */
+    _applyReplyMode(data, parts) {
+        if (!this._isVoiceReply(data.botId, data.chatId)) {
+            return parts;
+        }
+
+        const voiceParts = [];
+        for (const part of parts) {
+            const previous = voiceParts[voiceParts.length - 1];
+            if (part.type !== 'text') {
+                voiceParts.push(part);
+            } else if (previous && previous.type === 'voice' && previous.mesId === part.mesId) {
+                previous.textParts.push(part.text);
+                previous.text += '\n' + htmlToPlainText(part.text);
+            } else {
+                voiceParts.push({ type: 'voice', text: htmlToPlainText(part.text), textParts: [part.text], mesId: part.mesId });
+            }
+        }
+        return voiceParts;
+    }
+
+    /**
+     * Checks whether the active job in a chat is answered with voice notes.
+     * @param {string} botId - Bot identifier.
+     * @param {number} chatId - Chat identifier.
+     * @returns {boolean} True if the reply is spoken.
+     * @private
+     */
+    _isVoiceReply(botId, chatId) {
+        return this._isActiveJobChat(botId, chatId) &&
+            Boolean(QueueManager.getInstance().getActiveJob().job.voiceReply && this._voiceSender);
+    }
+
+    /**
+     * Checks whether the active job belongs to a chat.
+     * @param {string} botId - Bot identifier.
+     * @param {number} chatId - Chat identifier.
+     * @returns {boolean} True if the chat's job is running.
+     * @private
+     */
+    _isActiveJobChat(botId, chatId) {
+        const activeJob = QueueManager.getInstance().getActiveJob();
+        return Boolean(activeJob && activeJob.job.managedBot.id === botId && activeJob.job.chatId === chatId);
+    }
+
+    /**
+     * Delivers reply parts to Telegram and records them as the latest reply.
+     * Reusable messages are edited in place while their type matches the part;
+     * at the first mismatch the remaining reusable messages are deleted and new ones are sent.
      * @param {ManagedBot} managedBot - The bot to send through.
-     * @param {StreamSession|undefined} session - Active streaming session if any.
-     * @param {string} streamKey - Key for the streaming session.
+     * @param {number} chatId - The chat ID.
+     * @param {ReplyPart[]} parts - Parts to deliver.
+     * @param {ReplyMessage[]} reusableMessages - Existing messages that may be edited, in order.
+     * @param {SwipeInfo} [swipe] - Swipe position of the reply, shown in the keyboard.
+     * @param {boolean} [isGreeting=false] - Whether the reply is the chat's greeting, which gets the greeting picker.
+     * @returns {Promise<ReplyMessage[]>} The delivered messages, in order.
      * @private
      */
-    async _handleLegacyContent(data, managedBot, session, streamKey) {
-        // Split message
-        const splitChar = this._messageSplitter?.() || '';
-        const parts = splitChar ? data.text.split(splitChar) : [data.text];
+    async _deliverReply(managedBot, chatId, parts, reusableMessages, swipe, isGreeting = false) {
+        const messageMapService = MessageMapService.getInstance();
+        const previousReply = messageMapService.getLastReply(managedBot.id, chatId);
+        const delivered = [];
+        let reusable = reusableMessages.slice();
 
-        // Find first non-empty part
-        let anchorIndex = -1;
         for (let i = 0; i < parts.length; i++) {
-            if (parts[i].trim().length > 0) {
-                anchorIndex = i;
-                break;
+            const part = parts[i];
+            const candidate = reusable[0];
+
+            if (candidate && candidate.type === 'text' && part.type === 'text') {
+                reusable.shift();
+                Logger.info(`Updating reply message in place (part ${i})`);
+                const isEdited = await this._editFormattedText(managedBot, chatId, candidate.messageId, part.text)
+                    .then(() => true)
+                    .catch((error) => {
+                        if (error.message.includes('message is not modified')) {
+                            return true;
+                        }
+                        Logger.error('Failed to edit reply message:', error.message);
+                        return false;
+                    });
+
+                if (isEdited) {
+                    delivered.push({ messageId: candidate.messageId, type: candidate.type, mesId: part.mesId });
+                    continue;
+                }
             }
-        }
 
-        if (session) {
-            const messageId = await session.messagePromise;
-            if (messageId && anchorIndex !== -1) {
-                Logger.info(`Sending final streamed message update (Anchor: part ${anchorIndex})`);
-                await managedBot.instance.editMessageText(parts[anchorIndex], {
-                    chat_id: data.chatId,
-                    message_id: messageId,
-                }).catch((error) => {
-                    if (!error.message.includes('message is not modified')) {
-                        Logger.error('Failed to edit final message:', error.message);
+            if (reusable.length > 0) {
+                await this._deleteMessages(managedBot, chatId, reusable);
+                reusable = [];
+            }
+
+            if (part.type === 'text') {
+                Logger.info(`Sending text part ${i}`);
+                const sentMessage = await this._sendFormattedText(managedBot, chatId, part.text)
+                    .catch((error) => Logger.error('Failed to send text part:', error.message));
+                if (sentMessage) {
+                    delivered.push({ messageId: sentMessage.message_id, type: 'text', mesId: part.mesId });
+                }
+            } else if (part.type === 'voice') {
+                Logger.info(`Sending voice part ${i}`);
+                const messageIds = await this._voiceSender(managedBot, chatId, part.text);
+                for (const messageId of messageIds) {
+                    delivered.push({ messageId: messageId, type: 'voice', mesId: part.mesId });
+                }
+
+                if (messageIds.length === 0) {
+                    Logger.warn(`Voice part ${i} could not be sent, falling back to text`);
+                    for (const text of part.textParts) {
+                        const sentMessage = await this._sendFormattedText(managedBot, chatId, text)
+                            .catch((error) => Logger.error('Failed to send text part:', error.message));
+                        if (sentMessage) {
+                            delivered.push({ messageId: sentMessage.message_id, type: 'text', mesId: part.mesId });
+                        }
                     }
-                });
-            } else if (anchorIndex === -1) {
-                Logger.warn('Final response text is empty or whitespace only.');
+                }
+            } else if (part.type === 'image' && this._imageSender) {
+                Logger.info(`Sending image part ${i}`);
+                const messageIds = await this._imageSender(managedBot, chatId, [{
+                    base64: part.base64,
+                    mimeType: part.mimeType,
+                }]);
+                for (const messageId of messageIds || []) {
+                    delivered.push({ messageId: messageId, type: 'image', mesId: part.mesId });
+                }
             }
-            this._ongoingStreams.delete(streamKey);
-            Logger.info(`Streaming session ${streamKey} completed`);
-        } else if (anchorIndex !== -1) {
-            Logger.info('Sending non-streaming reply (Anchor)');
-            await managedBot.instance.sendMessage(data.chatId, parts[anchorIndex])
-                .catch((error) => Logger.error('Failed to send final message:', error.message));
         }
 
-        // Send images after anchor text message
-        if (data.images && data.images.length > 0 && this._imageSender) {
-            Logger.info(`Sending ${data.images.length} image(s) to Telegram`);
-            await this._imageSender(managedBot, data.chatId, data.images);
+        if (reusable.length > 0) {
+            await this._deleteMessages(managedBot, chatId, reusable);
         }
 
-        // Send remaining parts
-        if (anchorIndex !== -1) {
-            for (let i = anchorIndex + 1; i < parts.length; i++) {
-                if (parts[i].trim().length > 0) {
-                    Logger.info(`Sending split message part ${i}`);
-                    await managedBot.instance.sendMessage(data.chatId, parts[i])
-                        .catch((error) => Logger.error('Failed to send split message:', error.message));
-                }
+        if (delivered.length === 0) {
+            Logger.warn('Final response produced no deliverable content.');
+            if (previousReply && reusableMessages.some((message) => message.messageId === previousReply.keyboardMessageId)) {
+                messageMapService.forgetLastReply(managedBot.id, chatId);
+            }
+            return delivered;
+        }
+
+        const keyboardMessageId = delivered[delivered.length - 1].messageId;
+        const swipeInfo = swipe && swipe.count > 0 ? swipe : null;
+        const keyboard = isGreeting ? this._buildGreetingKeyboard(swipeInfo) : this._buildReplyKeyboard(swipeInfo, !this._adminChecker || this._adminChecker(managedBot, chatId));
+        await OutboundDispatcher.getInstance().send(managedBot, chatId, (bot) => bot.editMessageReplyMarkup(keyboard, {
+            chat_id: chatId,
+            message_id: keyboardMessageId,
+        }), { idempotent: true }).catch((error) => {
+            if (!error.message.includes('message is not modified')) {
+                Logger.error('Failed to attach reply keyboard:', error.message);
             }
+        });
+
+        // Reused messages that were not delivered have been deleted along with their keyboard
+        const isPreviousKeyboardGone = previousReply && reusableMessages.some(
+            (message) => message.messageId === previousReply.keyboardMessageId
+        );
+        if (previousReply && !isPreviousKeyboardGone &&
+            !delivered.some((message) => message.messageId === previousReply.keyboardMessageId)) {
+            await this._removeReplyKeyboard(managedBot, chatId, previousReply.keyboardMessageId);
         }
+
+        messageMapService.setLastReply(managedBot.id, chatId, {
+            messages: delivered,
+            keyboardMessageId: keyboardMessageId,
+            swipe: swipeInfo,
+            isGreeting: isGreeting,
+        });
+
+        return delivered;
     }
 
     /**
-     * Handles AI reply (non-streaming).
-     * Supports both legacy format (text + images) and new ordered contentParts format.
-     * @param {Object} data - AI reply data.
+     * Sends Telegram HTML, resending as plain text if Telegram rejects the formatting.
+     * @param {ManagedBot} managedBot - The bot.
+     * @param {number} chatId - The chat ID.
+     * @param {string} html - Telegram HTML.
+     * @returns {Promise<Object>} The sent message.
      * @private
      */
-    async _handleAiReply(data) {
-        if (!data.chatId || !data.botId) {
-            return;
+    async _sendFormattedText(managedBot, chatId, html) {
+        try {
+            return await OutboundDispatcher.getInstance().send(managedBot, chatId, (bot) => bot.sendMessage(chatId, html, { parse_mode: PARSE_MODE }));
+        } catch (error) {
+            if (!isEntityParseError(error)) {
+                throw error;
+            }
+            Logger.warn(`Telegram rejected formatted text, sending plain text: ${error.message}`);
+            return OutboundDispatcher.getInstance().send(managedBot, chatId, (bot) => bot.sendMessage(chatId, htmlToPlainText(html)));
         }
+    }
 
-        const managedBot = this._botLookup?.(data.botId);
-        if (!managedBot) {
-            Logger.error(`Received ai_reply for unknown bot: ${data.botId}`);
+    /**
+     * Edits a message to Telegram HTML, falling back to plain text if Telegram rejects the formatting.
+     * @param {ManagedBot} managedBot - The bot.
+     * @param {number} chatId - The chat ID.
+     * @param {number} messageId - Message to edit.
+     * @param {string} html - Telegram HTML.
+     * @returns {Promise<void>}
+     * @private
+     */
+    async _editFormattedText(managedBot, chatId, messageId, html) {
+        const target = { chat_id: chatId, message_id: messageId };
+        try {
+            await OutboundDispatcher.getInstance().send(managedBot, chatId, (bot) => bot.editMessageText(html, { ...target, parse_mode: PARSE_MODE }), { idempotent: true });
+        } catch (error) {
+            if (!isEntityParseError(error)) {
+                throw error;
+            }
+            Logger.warn(`Telegram rejected formatted text, editing as plain text: ${error.message}`);
+            await OutboundDispatcher.getInstance().send(managedBot, chatId, (bot) => bot.editMessageText(htmlToPlainText(html), target), { idempotent: true });
+        }
+    }
+
+    /**
+     * Maps user messages as soon as SillyTavern has added them, before the reply is generated,
+     * and journals them with the active job, so a job retried after a restart does not add them again.
+     * @param {Object} data - Message with botId, chatId, chatFile, characterName and userMessages.
+     * @private
+     */
+    _handleUserMessagesStored(data) {
+        this._recordChatMessages(data.botId, data.chatId, data, []);
+        QueueManager.getInstance().recordStoredMessages(data.botId, data.chatId, (data.userMessages || [])
+            .map((userMessage) => ({ telegramMessageId: userMessage.telegramMessageId, chatFile: data.chatFile, mesId: userMessage.mesId })));
+    }
+
+    /**
+     * Records which SillyTavern chat messages a reply and its prompting user messages correspond to.
+     * @param {string} botId - Bot identifier.
+     * @param {number} chatId - The chat ID.
+     * @param {Object} data - Reply data with chatFile, characterName and userMessages.
+     * @param {ReplyMessage[]} delivered - Delivered reply messages carrying their chat index.
+     * @private
+     */
+    _recordChatMessages(botId, chatId, data, delivered) {
+        if (!data.chatFile) {
             return;
         }
 
-        // Check if using new contentParts format (ordered content)
-        if (data.contentParts && Array.isArray(data.contentParts)) {
-            await this._handleOrderedContentNonStreaming(data, managedBot);
-        } else {
-            // Legacy format: text + images (for backwards compatibility)
-            await this._handleLegacyAiReply(data, managedBot);
+        const messageMap = MessageMapService.getInstance();
+
+        for (const userMessage of data.userMessages || []) {
+            if (userMessage.telegramMessageId) {
+                messageMap.recordChatMessage(botId, chatId, {
+                    characterName: data.characterName,
+                    chatFile: data.chatFile,
+                    mesId: userMessage.mesId,
+                    isUser: true,
+                }, [userMessage.telegramMessageId]);
+            }
         }
 
-        QueueManager.getInstance().releaseJob();
+        /** @type {Map<number, number[]>} */
+        const messagesByMesId = new Map();
+        for (const message of delivered) {
+            if (!Number.isInteger(message.mesId)) {
+                continue;
+            }
+            if (!messagesByMesId.has(message.mesId)) {
+                messagesByMesId.set(message.mesId, []);
+            }
+            messagesByMesId.get(message.mesId).push(message.messageId);
+        }
+
+        for (const [mesId, telegramMessageIds] of messagesByMesId) {
+            messageMap.recordChatMessage(botId, chatId, {
+                characterName: data.characterName,
+                chatFile: data.chatFile,
+                mesId: mesId,
+                isUser: false,
+            }, telegramMessageIds);
+        }
     }
 
     /**
-     * Handles ordered content parts for non-streaming replies.
-     * @param {Object} data - Message data with contentParts array.
-     * @param {ManagedBot} managedBot - The bot to send through.
+     * Builds the inline keyboard shown under the latest reply.
+     * Delete is only offered where an admin may press it, since only admins can delete replies.
+     * @param {SwipeInfo|null} swipe - Swipe position; adds swipe controls when present.
+     * @param {boolean} withDelete - Whether to add the Delete button.
+     * @returns {Object} Telegram InlineKeyboardMarkup.
      * @private
      */
-    async _handleOrderedContentNonStreaming(data, managedBot) {
-        const splitChar = this._messageSplitter?.() || '';
-
-        Logger.info(`Processing ${data.contentParts.length} ordered content part(s) (non-streaming)`);
+    _buildReplyKeyboard(swipe, withDelete) {
+        const rows = [];
+
+        if (swipe) {
+            rows.push([
+                { text: '◀', callback_data: CALLBACK_ACTIONS.SWIPE_LEFT },
+                { text: `${swipe.index + 1}/${swipe.count}`, callback_data: CALLBACK_ACTIONS.SWIPE_INFO },
+                { text: '▶', callback_data: CALLBACK_ACTIONS.SWIPE_RIGHT },
+            ]);
+        }
 
-        for (let i = 0; i < data.contentParts.length; i++) {
-            const part = data.contentParts[i];
+        const actionRow = [
+            { text: '🔄 Regenerate', callback_data: CALLBACK_ACTIONS.REGENERATE },
+            { text: '➡️ Continue', callback_data: CALLBACK_ACTIONS.CONTINUE },
+        ];
+        if (withDelete) {
+            actionRow.push({ text: '🗑 Delete', callback_data: CALLBACK_ACTIONS.DELETE });
+        }
+        rows.push(actionRow);
 
-            if (part.type === 'text' && part.content?.trim()) {
-                // Split text by configured character if needed
-                const textParts = splitChar ? part.content.split(splitChar) : [part.content];
+        return { inline_keyboard: rows };
+    }
 
-                for (let j = 0; j < textParts.length; j++) {
-                    const textPart = textParts[j].trim();
-                    if (!textPart) continue;
+    /**
+     * Builds the greeting picker shown under a chat's greeting, one button per greeting.
+     * @param {SwipeInfo|null} swipe - Swipe position; the greetings are the swipes of the first message.
+     * @returns {Object} Telegram InlineKeyboardMarkup, empty if the character has a single greeting.
+     * @private
+     */
+    _buildGreetingKeyboard(swipe) {
+        const rows = [];
 
-                    Logger.info(`Sending text part ${i}:${j}`);
-                    await managedBot.instance.sendMessage(data.chatId, textPart)
-                        .catch((error) => Logger.error('Failed to send text part:', error.message));
-                }
-            } else if (part.type === 'image' && part.base64 && this._imageSender) {
-                // Send image in order
-                Logger.info(`Sending image part ${i}`);
-                await this._imageSender(managedBot, data.chatId, [{
-                    base64: part.base64,
-                    mimeType: part.mimeType || 'image/png',
-                }]);
+        for (let index = 0; swipe && swipe.count > 1 && index < swipe.count; index++) {
+            if (index % DEFAULTS.GREETING_BUTTONS_PER_ROW === 0) {
+                rows.push([]);
             }
+            rows[rows.length - 1].push({
+                text: index === swipe.index ? `✓ Greeting ${index + 1}` : `Greeting ${index + 1}`,
+                callback_data: `${CALLBACK_ACTIONS.GREETING}:${index}`,
+            });
         }
+
+        return { inline_keyboard: rows };
     }
 
     /**
-     * Handles legacy AI reply format (combined text + separate images array).
-     * @param {Object} data - Message data with text and images properties.
-     * @param {ManagedBot} managedBot - The bot to send through.
+     * Removes the inline keyboard from a message.
+     * @param {ManagedBot} managedBot - The bot.
+     * @param {number} chatId - The chat ID.
+     * @param {number} messageId - Message carrying the keyboard.
+     * @returns {Promise<void>}
      * @private
      */
-    async _handleLegacyAiReply(data, managedBot) {
-        // Send images first (legacy behavior)
-        if (data.images && data.images.length > 0 && this._imageSender) {
-            Logger.info(`Sending ${data.images.length} image(s) to Telegram`);
-            await this._imageSender(managedBot, data.chatId, data.images);
+    async _removeReplyKeyboard(managedBot, chatId, messageId) {
+        await OutboundDispatcher.getInstance().send(managedBot, chatId, (bot) => bot.editMessageReplyMarkup({ inline_keyboard: [] }, {
+            chat_id: chatId,
+            message_id: messageId,
+        }), { idempotent: true }).catch((error) => Logger.debug(`Could not remove reply keyboard: ${error.message}`));
+    }
+
+    /**
+     * Deletes Telegram messages, ignoring individual failures.
+     * @param {ManagedBot} managedBot - The bot.
+     * @param {number} chatId - The chat ID.
+     * @param {ReplyMessage[]} messages - Messages to delete.
+     * @returns {Promise<void>}
+     * @private
+     */
+    async _deleteMessages(managedBot, chatId, messages) {
+        for (const message of messages) {
+            await OutboundDispatcher.getInstance().send(managedBot, chatId, (bot) => bot.deleteMessage(chatId, message.messageId), { rateLimited: false, idempotent: true })
+                .catch((error) => Logger.error('Failed to delete message:', error.message));
         }
+        MessageMapService.getInstance().forgetTelegramMessages(
+            managedBot.id,
+            chatId,
+            messages.map((message) => message.messageId)
+        );
+    }
 
-        // Split and send message
-        const splitChar = this._messageSplitter?.() || '';
-        const parts = splitChar ? data.text.split(splitChar) : [data.text];
+    /**
+     * Gets the reply being replaced by the active job, if it is a reply action for this chat.
+     * @param {string} botId - Bot identifier.
+     * @param {number} chatId - Chat identifier.
+     * @returns {DeliveredReply|null} The reply to update in place.
+     * @private
+     */
+    _getReplyTarget(botId, chatId) {
+        const activeJob = QueueManager.getInstance().getActiveJob();
+        if (!activeJob || !activeJob.job.replyMessageId) {
+            return null;
+        }
+        if (activeJob.job.managedBot.id !== botId || activeJob.job.chatId !== chatId) {
+            return null;
+        }
+        return MessageMapService.getInstance().getLastReply(botId, chatId) || null;
+    }
 
-        Logger.info(`Sending non-streaming AI reply${splitChar ? ' (split by configured char)' : ''}`);
+    /**
+     * Handles AI reply (non-streaming).
+     * Supports both legacy format (text + images) and new ordered contentParts format.
+     * @param {Object} data - AI reply data.
+     * @private
+     */
+    async _handleAiReply(data) {
+        if (!data.chatId || !data.botId) {
+            return;
+        }
 
-        for (const part of parts) {
-            if (part.trim().length > 0) {
-                await managedBot.instance.sendMessage(data.chatId, part)
-                    .catch((error) => Logger.error('Failed to send AI reply part:', error.message));
-            }
+        const managedBot = this._botLookup?.(data.botId);
+        if (!managedBot) {
+            Logger.error(`Received ai_reply for unknown bot: ${data.botId}`);
+            return;
         }
+
+        // Check if using new contentParts format (ordered content)
+        const parts = this._applyReplyMode(data, data.contentParts && Array.isArray(data.contentParts)
+            ? this._buildOrderedParts(data)
+            : this._buildLegacyParts(data, true));
+
+        Logger.info('Sending non-streaming AI reply');
+        const replyTarget = this._getReplyTarget(data.botId, data.chatId);
+        const delivered = await this._deliverReply(managedBot, data.chatId, parts, replyTarget ? replyTarget.messages : [], data.swipe, data.isGreeting);
+        this._recordChatMessages(data.botId, data.chatId, data, delivered);
+
+        QueueManager.getInstance().releaseJob();
     }
 
     /**
@@ -724,7 +1270,7 @@ class WebSocketService {
         }
 
         Logger.error(`Error from SillyTavern: ${data.text}`);
-        await managedBot.instance.sendMessage(data.chatId, data.text)
+        await OutboundDispatcher.getInstance().send(managedBot, data.chatId, (bot) => bot.sendMessage(data.chatId, data.text))
             .catch((error) => Logger.error('Failed to send error message:', error.message));
 
         QueueManager.getInstance().releaseJob();
@@ -732,23 +1278,18 @@ class WebSocketService {
 
     /**
      * Handles typing action.
+     * During the chat's job this switches the kept-alive action back to typing (or recording for voice replies).
      * @param {Object} data - Typing action data.
      * @private
      */
     _handleTypingAction(data) {
-        if (!data.chatId || !data.botId) {
-            return;
-        }
-
-        const managedBot = this._botLookup?.(data.botId);
-        if (managedBot) {
-            managedBot.instance.sendChatAction(data.chatId, 'typing')
-                .catch((error) => Logger.error('Failed to send typing action:', error.message));
-        }
+        const action = this._isVoiceReply(data.botId, data.chatId) ? CHAT_ACTIONS.RECORD_VOICE : CHAT_ACTIONS.TYPING;
+        this._handleChatAction({ ...data, action: action });
     }
 
     /**
-     * Handles chat action with keep-alive.
+     * Handles chat action.
+     * During the chat's job the action is kept alive until the job is released; otherwise it is sent once.
      * @param {Object} data - Chat action data.
      * @private
      */
@@ -762,28 +1303,74 @@ class WebSocketService {
             return;
         }
 
-        const actionKey = this._getStreamKey(data.botId, data.chatId);
+        const action = data.action || CHAT_ACTIONS.UPLOAD_PHOTO;
+        if (this._isActiveJobChat(data.botId, data.chatId)) {
+            this.startChatAction(managedBot, data.chatId, action);
+            return;
+        }
 
-        // Clear existing interval
-        if (this._activeChatActions.has(actionKey)) {
-            clearInterval(this._activeChatActions.get(actionKey));
+        OutboundDispatcher.getInstance().send(managedBot, data.chatId, (bot) => bot.sendChatAction(data.chatId, action), {
+            rateLimited: false,
+            idempotent: true,
+        }).catch((error) => Logger.error(`Failed to send chat action (${action}):`, error.message));
+    }
+
+    /**
+     * Shows a chat action and keeps it visible until clearChatAction is called.
+     * Telegram hides an action after about five seconds or when the bot sends a message, so it is refreshed
+     * periodically. Starting again while active switches the action.
+     * @param {ManagedBot} managedBot - The bot.
+     * @param {number} chatId - The chat ID.
+     * @param {string} action - Telegram chat action ('typing', 'upload_photo' or 'record_voice').
+     */
+    startChatAction(managedBot, chatId, action) {
+        const actionKey = this._getStreamKey(managedBot.id, chatId);
+        const active = this._activeChatActions.get(actionKey);
+
+        if (active) {
+            active.action = action;
+            this._sendChatAction(actionKey, active);
+            return;
         }
 
-        const sendAction = () => {
-            managedBot.instance.sendChatAction(data.chatId, data.action || 'upload_photo')
-                .catch((error) => {
-                    Logger.error(`Failed to send chat action (${data.action}):`, error.message);
-                    if (this._activeChatActions.has(actionKey)) {
-                        clearInterval(this._activeChatActions.get(actionKey));
-                        this._activeChatActions.delete(actionKey);
-                    }
-                });
-        };
+        const keepAlive = { managedBot: managedBot, chatId: chatId, action: action, intervalId: null };
+        keepAlive.intervalId = setInterval(() => this._sendChatAction(actionKey, keepAlive), DEFAULTS.CHAT_ACTION_REFRESH_MS);
+        this._activeChatActions.set(actionKey, keepAlive);
+        this._sendChatAction(actionKey, keepAlive);
+    }
 
-        // Send immediately and start interval
-        sendAction();
-        const intervalId = setInterval(sendAction, 4000);
-        this._activeChatActions.set(actionKey, intervalId);
+    /**
+     * Shows the kept-alive action again right away, after a sent message has hidden it.
+     * @param {string} botId - Bot identifier.
+     * @param {number} chatId - The chat ID.
+     * @private
+     */
+    _refreshChatAction(botId, chatId) {
+        const actionKey = this._getStreamKey(botId, chatId);
+        const keepAlive = this._activeChatActions.get(actionKey);
+        if (keepAlive) {
+            this._sendChatAction(actionKey, keepAlive);
+        }
+    }
+
+    /**
+     * Sends a kept-alive chat action, stopping the keep-alive if Telegram refuses it.
+     * @param {string} actionKey - Keep-alive key.
+     * @param {ChatActionKeepAlive} keepAlive - The keep-alive.
+     * @private
+     */
+    _sendChatAction(actionKey, keepAlive) {
+        const { managedBot, chatId, action } = keepAlive;
+        OutboundDispatcher.getInstance().send(managedBot, chatId, (bot) => bot.sendChatAction(chatId, action), {
+            rateLimited: false,
+            idempotent: true,
+        }).catch((error) => {
+            Logger.error(`Failed to send chat action (${action}):`, error.message);
+            if (this._activeChatActions.get(actionKey) === keepAlive) {
+                clearInterval(keepAlive.intervalId);
+                this._activeChatActions.delete(actionKey);
+            }
+        });
     }
 
     /**
@@ -810,21 +1397,43 @@ class WebSocketService {
             const fileBuffer = Buffer.from(data.fileData, 'base64');
 
             // Send as document
-            await managedBot.instance.sendDocument(data.chatId, fileBuffer, {}, {
+            await OutboundDispatcher.getInstance().send(managedBot, data.chatId, (bot) => bot.sendDocument(data.chatId, fileBuffer, {}, {
                 filename: data.fileName,
                 contentType: 'text/html',
-            });
+            }));
 
             Logger.info('History file sent successfully');
         } catch (error) {
             Logger.error(`Failed to send history file: ${error.message}`);
-            await managedBot.instance.sendMessage(data.chatId, 'Failed to send chat history file.')
+            await OutboundDispatcher.getInstance().send(managedBot, data.chatId, (bot) => bot.sendMessage(data.chatId, 'Failed to send chat history file.'))
                 .catch((err) => Logger.error('Failed to send error message:', err.message));
         }
 
         QueueManager.getInstance().releaseJob();
     }
 
+    /**
+     * Gets the latest reply delivered in a chat.
+     * @param {string} botId - Bot identifier.
+     * @param {number} chatId - Chat identifier.
+     * @returns {DeliveredReply|undefined} The latest reply, if any.
+     */
+    getLastReply(botId, chatId) {
+        return MessageMapService.getInstance().getLastReply(botId, chatId);
+    }
+
+    /**
+     * Checks whether a message belongs to the latest reply in a chat.
+     * @param {string} botId - Bot identifier.
+     * @param {number} chatId - Chat identifier.
+     * @param {number} messageId - Telegram message ID.
+     * @returns {boolean} True if reply actions may be applied to the message.
+     */
+    isLastReplyMessage(botId, chatId, messageId) {
+        const lastReply = this.getLastReply(botId, chatId);
+        return Boolean(lastReply && lastReply.messages.some((message) => message.messageId === messageId));
+    }
+
     /**
      * Checks if SillyTavern is connected.
      * @returns {boolean} True if connected.
@@ -853,6 +1462,62 @@ class WebSocketService {
         }
     }
 
+    /**
+     * Sends a request to SillyTavern and waits for the response carrying the same request ID.
+     * @param {Object} payload - The request payload.
+     * @param {number} timeoutMs - How long to wait for the response.
+     * @returns {Promise<Object>} The response message.
+     * @throws {Error} If not connected, on timeout, or if the extension disconnects.
+     */
+    requestFromSillyTavern(payload, timeoutMs) {
+        const requestId = crypto.randomUUID();
+
+        return new Promise((resolve, reject) => {
+            const timer = setTimeout(() => {
+                this._pendingRequests.delete(requestId);
+                reject(new Error(`No response to ${payload.type} within ${timeoutMs}ms`));
+            }, timeoutMs);
+
+            this._pendingRequests.set(requestId, { resolve, reject, timer });
+
+            if (!this.sendToSillyTavern({ ...payload, requestId: requestId })) {
+                clearTimeout(timer);
+                this._pendingRequests.delete(requestId);
+                reject(new Error('SillyTavern is not connected'));
+            }
+        });
+    }
+
+    /**
+     * Resolves the pending request a response belongs to.
+     * @param {Object} data - Response message with requestId.
+     * @private
+     */
+    _resolvePendingRequest(data) {
+        const pending = this._pendingRequests.get(data.requestId);
+        if (!pending) {
+            Logger.debug(`Ignoring ${data.type} for unknown or expired request ${data.requestId}`);
+            return;
+        }
+
+        clearTimeout(pending.timer);
+        this._pendingRequests.delete(data.requestId);
+        pending.resolve(data);
+    }
+
+    /**
+     * Rejects all pending requests.
+     * @param {string} reason - Rejection message.
+     * @private
+     */
+    _rejectPendingRequests(reason) {
+        for (const pending of this._pendingRequests.values()) {
+            clearTimeout(pending.timer);
+            pending.reject(new Error(reason));
+        }
+        this._pendingRequests.clear();
+    }
+
     /**
      * Clears chat action for a specific bot/chat.
      * @param {string} botId - Bot identifier.
@@ -862,7 +1527,7 @@ class WebSocketService {
         const actionKey = this._getStreamKey(botId, chatId);
         if (this._activeChatActions.has(actionKey)) {
             Logger.debug(`Stopping active chat action for ${actionKey}`);
-            clearInterval(this._activeChatActions.get(actionKey));
+            clearInterval(this._activeChatActions.get(actionKey).intervalId);
             this._activeChatActions.delete(actionKey);
         }
     }
@@ -874,6 +1539,7 @@ class WebSocketService {
     close() {
         return new Promise((resolve) => {
             this._cleanupStreams();
+            this._rejectPendingRequests('WebSocket server closed');
 
             if (this._server) {
                 this._server.close(() => {
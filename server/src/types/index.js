@@ -18,6 +18,14 @@
  * @property {string} [connectionProfile] - Optional connection profile name.
  * @property {string} [lorebookName] - Optional World Info book name for storing summaries.
  * @property {string} [lorebookEntry] - Optional World Info entry name for storing summaries.
+ * @property {Partial<GroupConfiguration>} [groups] - Per-bot overrides of the group settings.
+ * @property {Object<string, string>} [personas] - Per-bot Telegram user ID -> SillyTavern persona name mapping.
+ * @property {string} [defaultPersona] - Per-bot persona for users without one, overriding the global defaultPersona.
+ * @property {boolean} [voiceReplies] - Per-bot default for voice replies, overriding textToSpeech.voiceReplies.
+ * @property {string} [ttsVoice] - Per-bot voice passed to the text-to-speech provider.
+ * @property {boolean} [syncProfileOnStartup] - Per-bot startup profile sync, overriding the global setting.
+ * @property {number[]} [adminUserIds] - Telegram user IDs that are admins of this bot, in addition to the global admins.
+ * @property {Partial<LimitConfiguration>} [limits] - Per-bot overrides of the usage limits.
  */
 
 /**
@@ -27,6 +35,95 @@
  * @property {string} userMessageFormat - Format string for user message timestamps.
  * @property {string} [botMessageFilterRegex] - Regex pattern to filter bot messages.
  * @property {string} messageSplitChar - Character used to split long messages.
+ * @property {boolean} regenerateOnEdit - Regenerate the reply when the last user message is edited.
+ * @property {boolean} bindChatFiles - Give each Telegram chat its own SillyTavern chat file.
+ */
+
+/**
+ * Group chat settings. Can be set globally and overridden per bot.
+ * @typedef {Object} GroupConfiguration
+ * @property {number[]} allowedChatIds - Group chat IDs the bots may be used in. Empty falls back to allowedUserIds.
+ * @property {string[]} triggerKeywords - Words that address the bot besides @mentions and replies.
+ * @property {string} senderNameFormat - Format of group messages passed to SillyTavern ({name}, {message}).
+ * @property {boolean} appendUntriggered - Add other group messages to the chat as context without replying.
+ */
+
+/**
+ * Per-user usage limits. 0 disables a limit; configured admins are never limited.
+ * @typedef {Object} LimitConfiguration
+ * @property {number} messagesPerMinute - Messages, commands and button presses per user per minute.
+ * @property {number} generationsPerDay - Generations per user per day (server time).
+ * @property {number} maxQueuedJobs - Jobs a user may have waiting in the queue.
+ */
+
+/**
+ * Job scheduling settings.
+ * @typedef {Object} QueueConfiguration
+ * @property {string} policy - Scheduling policy (QUEUE_POLICIES): per-user round-robin or strict arrival order.
+ * @property {number} adminWeight - Jobs an admin's lane may run per round-robin turn (1 treats admins like everyone else).
+ * @property {boolean} batchByCharacter - Run waiting jobs for the character and connection profile SillyTavern is on ahead of their turn, and skip switch steps that would not change anything.
+ * @property {number} batchWindow - Jobs that may run ahead of their turn in a row before the policy's next job goes first.
+ */
+
+/**
+ * Whisper-compatible transcription endpoint settings.
+ * @typedef {Object} WhisperConfiguration
+ * @property {string} url - Base URL of the endpoint (without /v1/audio/transcriptions).
+ * @property {string} model - Model name sent with the request.
+ * @property {string} [language] - Optional ISO-639-1 language hint.
+ * @property {string} [apiKey] - Optional bearer token.
+ * @property {number} timeoutMs - Request timeout in milliseconds.
+ */
+
+/**
+ * Voice message transcription settings.
+ * @typedef {Object} SpeechToTextConfiguration
+ * @property {string} provider - 'none', 'whisper' or 'fixture'.
+ * @property {WhisperConfiguration} whisper - Settings for the whisper provider.
+ * @property {{text: string}} fixture - Settings for the fixture provider.
+ * @property {boolean} keepAudio - Keep the audio attached after a successful transcription.
+ */
+
+/**
+ * OpenAI-compatible speech endpoint settings.
+ * @typedef {Object} HttpSpeechConfiguration
+ * @property {string} url - Base URL of the endpoint (without /v1/audio/speech).
+ * @property {string} model - Model name sent with the request.
+ * @property {string} voice - Default voice name.
+ * @property {string} format - Audio format requested ('opus' gives native Telegram voice notes).
+ * @property {string} [apiKey] - Optional bearer token.
+ * @property {number} timeoutMs - Request timeout in milliseconds.
+ */
+
+/**
+ * Voice reply settings.
+ * @typedef {Object} TextToSpeechConfiguration
+ * @property {string} provider - 'none', 'http' or 'sillytavern'.
+ * @property {HttpSpeechConfiguration} http - Settings for the http provider.
+ * @property {{timeoutMs: number}} sillytavern - Settings for the sillytavern provider.
+ * @property {boolean} voiceReplies - Whether replies are sent as voice notes by default.
+ * @property {number} maxChunkCharacters - Maximum characters spoken in a single voice note.
+ */
+
+/**
+ * Outbound Telegram rate limits and retries.
+ * @typedef {Object} OutboundConfiguration
+ * @property {number} botMessagesPerSecond - Messages per second a bot sends over all chats.
+ * @property {number} chatMessagesPerSecond - Messages per second sent to a private chat.
+ * @property {number} groupMessagesPerMinute - Messages per minute sent to a group.
+ * @property {number} chatBurst - Messages a chat may receive at once before the rate applies.
+ * @property {number} maxRetries - Retries of a failed call before giving up.
+ * @property {number} retryBaseDelayMs - Backoff before the first retry; doubled on each further retry.
+ */
+
+/**
+ * Webhook listener configuration (used when updateMode is 'webhook').
+ * @typedef {Object} WebhookConfiguration
+ * @property {string} publicUrl - Public HTTPS base URL that Telegram posts updates to.
+ * @property {number} port - Local port for the webhook HTTP listener.
+ * @property {string} host - Local interface for the webhook HTTP listener.
+ * @property {string} pathPrefix - Path prefix for per-bot webhook paths.
+ * @property {string} [secretToken] - Base secret used to derive per-bot secret tokens.
  */
 
 /**
@@ -34,7 +131,21 @@
  * @typedef {Object} ApplicationConfiguration
  * @property {BehaviorConfiguration} behavior - Behavior settings.
  * @property {number} wssPort - WebSocket server port.
- * @property {number[]} allowedUserIds - Array of allowed Telegram user IDs.
+ * @property {string} updateMode - How Telegram updates are received ('polling' or 'webhook').
+ * @property {WebhookConfiguration} webhook - Webhook listener settings.
+ * @property {string} dataDirectory - Directory for persisted state, relative to the server root.
+ * @property {GroupConfiguration} groups - Group chat settings.
+ * @property {LimitConfiguration} limits - Per-user usage limits.
+ * @property {QueueConfiguration} queue - Job scheduling settings.
+ * @property {SpeechToTextConfiguration} speechToText - Voice message transcription settings.
+ * @property {TextToSpeechConfiguration} textToSpeech - Voice reply settings.
+ * @property {OutboundConfiguration} outbound - Outbound rate limits and retries.
+ * @property {number[]} allowedUserIds - Allowed Telegram user IDs. Users allowed with /allow are added at runtime.
+ * @property {number[]} adminUserIds - Telegram user IDs that may use admin commands on every bot. Empty (with no per-bot admins) allows everyone.
+ * @property {number} inviteExpiryHours - Default lifetime of invite codes created with /invite.
+ * @property {Object<string, string>} personas - Telegram user ID -> SillyTavern persona name mapping.
+ * @property {string} defaultPersona - Persona for users without one. Empty restores the persona that was active before the bridge switched it.
+ * @property {boolean} syncProfileOnStartup - Whether bot profiles are synced from character cards when the server starts.
  * @property {BotConfiguration[]} bots - Array of bot configurations.
  */
 
@@ -48,6 +159,30 @@
  * @property {string} fileId - Telegram file ID.
  * @property {string} fileName - Original file name.
  * @property {string} mimeType - File MIME type.
+ * @property {string} [kind] - Special handling kind ('voice' for voice and video notes).
+ */
+
+/**
+ * File downloaded from Telegram.
+ * @typedef {Object} DownloadedFile
+ * @property {string} base64 - File content.
+ * @property {string} mimeType - File MIME type.
+ * @property {string} fileName - File name.
+ */
+
+/**
+ * Audio passed to a speech-to-text adapter.
+ * @typedef {Object} AudioInput
+ * @property {Buffer} buffer - Audio content.
+ * @property {string} mimeType - Audio MIME type.
+ * @property {string} fileName - File name (some endpoints infer the format from it).
+ */
+
+/**
+ * Audio produced by a text-to-speech adapter.
+ * @typedef {Object} SpeechAudio
+ * @property {Buffer} buffer - Audio content.
+ * @property {string} mimeType - Audio MIME type.
  */
 
 /**
@@ -64,7 +199,59 @@
  * @property {string[]} [arguments] - Command arguments.
  * @property {FileAttachment[]} [files] - Attached files.
  * @property {Array} [messages] - Batched messages.
+ * @property {number} [replyMessageId] - Telegram message the reply action was requested on.
+ * @property {MessageEdit} [edit] - Edited user message for edit jobs.
+ * @property {boolean} [triggerGeneration] - Whether a message job should generate a reply (false appends only).
+ * @property {boolean} [voiceReply] - Whether the reply is delivered as voice notes.
  * @property {number} timestamp - Job creation timestamp.
+ * @property {number} [sequence] - Arrival order, set by QueueManager.
+ * @property {number} [attempts] - Times processing started, counted across restarts.
+ * @property {StoredUserMessage[]} [storedMessages] - Messages SillyTavern has already added, journaled for a retry.
+ */
+
+/**
+ * A user message of a job that SillyTavern has added to its chat.
+ * @typedef {Object} StoredUserMessage
+ * @property {number} telegramMessageId - Telegram message ID.
+ * @property {string} chatFile - Chat file the message was added to.
+ * @property {number} mesId - Chat index of the message.
+ */
+
+/**
+ * Queue state brought back from the journal after a restart.
+ * @typedef {Object} RestoredQueue
+ * @property {Array<{managedBot: ManagedBot, chatId: number}>} chats - Chats with restored jobs or message batches.
+ * @property {QueueJob[]} abandonedJobs - Interrupted jobs that were already retried and are not run again.
+ */
+
+/**
+ * Scheduling state shown by /ping.
+ * @typedef {Object} QueueStatus
+ * @property {string} policy - Active scheduling policy (QUEUE_POLICIES).
+ * @property {number} adminWeight - Round-robin weight of admin lanes.
+ * @property {boolean} batchByCharacter - Whether jobs are batched by character.
+ * @property {number} batchWindow - Jobs that may run ahead of their turn in a row.
+ * @property {number} pending - Jobs waiting.
+ * @property {number} lanes - Users with waiting jobs.
+ * @property {boolean} processing - Whether a job is running.
+ */
+
+/**
+ * SillyTavern state set up by the queue's switch steps. null fields are unknown.
+ * @typedef {Object} SillyTavernState
+ * @property {string|null} character - Selected character.
+ * @property {string|null} chatFile - Open chat file.
+ * @property {string|null} persona - Active persona.
+ * @property {string|null} connectionProfile - Active connection profile.
+ */
+
+/**
+ * A Telegram edit to apply to a SillyTavern user message.
+ * @typedef {Object} MessageEdit
+ * @property {string} chatFile - SillyTavern chat file holding the message.
+ * @property {number} mesId - Index of the message in the chat.
+ * @property {string} text - New message text.
+ * @property {boolean} regenerate - Whether to regenerate the reply if this is the last user turn.
  */
 
 /**
@@ -91,6 +278,77 @@
  * @property {string} [connectionProfile] - Optional connection profile.
  * @property {string} [lorebookName] - Optional World Info book name for storing summaries.
  * @property {string} [lorebookEntry] - Optional World Info entry name for storing summaries.
+ * @property {string} updateMode - Update mode actually in use for this bot.
+ * @property {string} [webhookSecret] - Secret token expected in webhook request headers.
+ * @property {string} [username] - Bot username, used to recognize @mentions.
+ */
+
+/**
+ * Character card fields mirrored into a bot's Telegram profile.
+ * @typedef {Object} CharacterProfile
+ * @property {string} name - Character name.
+ * @property {string} shortDescription - Short description from the card's extensions.telegram.short_description.
+ * @property {string} creatorNotes - Creator notes, used as the description.
+ */
+
+/**
+ * Outcome of syncing one profile field.
+ * @typedef {Object} ProfileFieldResult
+ * @property {string} label - Field name shown to users.
+ * @property {string} status - Outcome (PROFILE_FIELD_STATUS).
+ * @property {number} length - Length of the card value.
+ * @property {number} maxLength - Length Telegram allows.
+ * @property {string} [error] - Error message if the update failed.
+ */
+
+/**
+ * Usage limit a request was stopped by.
+ * @typedef {Object} LimitViolation
+ * @property {string} type - The limit (LIMIT_TYPES).
+ * @property {number} max - The configured limit.
+ * @property {number} [retryAfterSeconds] - For the message rate, seconds until the next request is allowed.
+ */
+
+/**
+ * A user's usage on a bot, for /quota.
+ * @typedef {Object} QuotaUsage
+ * @property {LimitConfiguration} limits - Limits that apply.
+ * @property {number} messagesLastMinute - Requests in the last minute.
+ * @property {number} generationsToday - Generations requested today.
+ */
+
+/**
+ * User added to the runtime allowlist.
+ * @typedef {Object} AllowedUser
+ * @property {number} userId - Telegram user ID.
+ * @property {string} name - Display name when the user was allowed, may be empty.
+ * @property {number} addedBy - Admin who allowed the user (for invites, the admin who created the code).
+ * @property {number} addedAt - Time the user was allowed.
+ * @property {string} [botId] - Bot the user was allowed for, by that bot's admin or with an invite code; absent for all bots.
+ */
+
+/**
+ * Single-use invite code for one bot.
+ * @typedef {Object} Invite
+ * @property {string} code - The code, redeemed with /start invite_<code>.
+ * @property {string} botId - Bot the code gives access to.
+ * @property {number} createdBy - Admin who created the code.
+ * @property {number} createdAt - Time the code was created.
+ * @property {number} expiresAt - Time the code expires.
+ * @property {number|null} redeemedBy - User who redeemed the code, null while unused.
+ * @property {string} redeemedName - Display name of that user.
+ * @property {number|null} redeemedAt - Time the code was redeemed.
+ */
+
+/**
+ * Access request waiting for an admin.
+ * @typedef {Object} AccessRequest
+ * @property {number} userId - Telegram user ID of the requester.
+ * @property {string} name - Display name of the requester.
+ * @property {string} [username] - Telegram username of the requester.
+ * @property {string} botId - Bot the request was made through; decisions are sent through it.
+ * @property {number} chatId - Private chat to notify the requester in.
+ * @property {number} requestedAt - Time of the request.
  */
 
 // =============================================================================
@@ -101,11 +359,79 @@
  * Active streaming session state.
  * @typedef {Object} StreamSession
  * @property {Promise<number>} messagePromise - Promise resolving to message ID.
+ * @property {number[]} followUpMessageIds - Messages showing the streamed parts after the first, in order.
+ * @property {string[]} renderedTexts - Text last shown in each stream message, by position.
+ * @property {Promise<void>|null} renderPromise - Update of the stream messages in progress.
  * @property {string} lastText - Last sent text content.
  * @property {NodeJS.Timeout|null} timer - Throttle timer reference.
  * @property {boolean} isEditing - Whether an edit is in progress.
  */
 
+/**
+ * A chat action kept visible while a job runs.
+ * @typedef {Object} ChatActionKeepAlive
+ * @property {ManagedBot} managedBot - The bot showing the action.
+ * @property {number} chatId - The chat ID.
+ * @property {string} action - Current action ('typing', 'upload_photo' or 'record_voice').
+ * @property {NodeJS.Timeout} intervalId - Refresh timer.
+ */
+
+/**
+ * A Telegram message that belongs to a delivered reply.
+ * @typedef {Object} ReplyMessage
+ * @property {number} messageId - Telegram message ID.
+ * @property {string} type - Content type ('text', 'image' or 'voice').
+ * @property {number} [mesId] - SillyTavern chat index the message shows.
+ */
+
+/**
+ * Swipe position of an AI message in SillyTavern.
+ * @typedef {Object} SwipeInfo
+ * @property {number} index - Zero-based index of the selected swipe.
+ * @property {number} count - Total number of swipes.
+ */
+
+/**
+ * The most recent reply delivered in a chat; the only one reply actions apply to.
+ * @typedef {Object} DeliveredReply
+ * @property {ReplyMessage[]} messages - Messages that make up the reply, in order.
+ * @property {number} keyboardMessageId - Message carrying the reply keyboard.
+ * @property {SwipeInfo|null} swipe - Swipe position of the reply, if known.
+ * @property {boolean} [isGreeting] - Whether the reply is the chat's greeting; its swipes are the alternate greetings.
+ */
+
+/**
+ * A message in a SillyTavern chat file.
+ * @typedef {Object} ChatMessageReference
+ * @property {string} characterName - Character the chat belongs to.
+ * @property {string} chatFile - SillyTavern chat file name.
+ * @property {number} mesId - Index of the message in the chat.
+ * @property {boolean} isUser - Whether the message was sent by the user.
+ */
+
+// =============================================================================
+// Command Types
+// =============================================================================
+
+/**
+ * A command in the command registry.
+ * @typedef {Object} CommandDefinition
+ * @property {string} name - Command name without the slash, as shown in the menu.
+ * @property {RegExp} [pattern] - Matches further spellings of the command (e.g. switchchat_3).
+ * @property {string} handler - How the router handles the command (COMMAND_HANDLERS).
+ * @property {string} section - /help section the command is listed in.
+ * @property {string} menuDescription - Description in Telegram's command menu.
+ * @property {Array<[string, string]>} help - /help lines as usage and description; {character} is replaced.
+ * @property {boolean} [adminOnly] - Whether only admins may see and run the command.
+ */
+
+/**
+ * A /help section. Notes are listed after the section's commands.
+ * @typedef {Object} HelpSection
+ * @property {string} title - Section title.
+ * @property {string[]} [notes] - Extra lines; {character} and {username} are replaced.
+ */
+
 // =============================================================================
 // WebSocket Message Types
 // =============================================================================
@@ -0,0 +1,283 @@
+/**
+ * @fileoverview Command registry.
+ * The single list of bot commands: the router in TelegramService looks commands up here,
+ * and both /help and the command menu published with setMyCommands are generated from it.
+ * @module utils/commandRegistry
+ */
+
+const { COMMANDS, COMMAND_HANDLERS } = require('../constants/system');
+
+/**
+ * @typedef {import('../types/index').CommandDefinition} CommandDefinition
+ * @typedef {import('../types/index').HelpSection} HelpSection
+ */
+
+/**
+ * /help sections in display order.
+ * @type {ReadonlyArray<HelpSection>}
+ */
+const HELP_SECTIONS = Object.freeze([
+    { title: 'Chat Management' },
+    { title: 'Persona' },
+    { title: 'Voice' },
+    {
+        title: 'Reply Buttons',
+        notes: [
+            'Regenerate, Continue and Delete appear under the latest reply',
+            '◀ / ▶ browse its swipes (▶ on the last swipe generates a new one)',
+        ],
+    },
+    { title: 'Editing Messages', notes: ['Edit a message you sent to update it in SillyTavern'] },
+    { title: 'Group Chats', notes: ['Mention @{username} or reply to its messages to get a reply'] },
+    { title: 'Memory & Summarization' },
+    { title: 'Access Management' },
+    { title: 'System Management' },
+    { title: 'Help' },
+]);
+
+/**
+ * Registered commands in /help and menu order.
+ * @type {ReadonlyArray<CommandDefinition>}
+ */
+const COMMAND_REGISTRY = Object.freeze([
+    {
+        name: COMMANDS.START,
+        handler: COMMAND_HANDLERS.START,
+        section: 'Chat Management',
+        menuDescription: 'Start over with the character greeting',
+        help: [['/start', 'Start a new chat with {character}\'s greeting']],
+    },
+    {
+        name: COMMANDS.NEW,
+        handler: COMMAND_HANDLERS.QUEUED,
+        section: 'Chat Management',
+        menuDescription: 'Start a new chat',
+        help: [['/new', 'Start a new chat with {character}']],
+    },
+    {
+        name: COMMANDS.LIST_CHATS,
+        handler: COMMAND_HANDLERS.QUEUED,
+        section: 'Chat Management',
+        menuDescription: 'List saved chat logs',
+        help: [['/listchats', 'List all saved chat logs']],
+    },
+    {
+        name: COMMANDS.SWITCH_CHAT,
+        pattern: /^switchchat_?\d*$/,
+        handler: COMMAND_HANDLERS.QUEUED,
+        section: 'Chat Management',
+        menuDescription: 'Load a saved chat log',
+        help: [
+            ['/switchchat <name>', 'Load a specific chat log'],
+            ['/switchchat_<N>', 'Load chat log by number'],
+        ],
+    },
+    {
+        name: COMMANDS.DELETE,
+        handler: COMMAND_HANDLERS.DELETE,
+        section: 'Chat Management',
+        menuDescription: 'Delete the last messages',
+        help: [['/delete [n]', 'Delete the last n messages (default 1)']],
+        adminOnly: true,
+    },
+    {
+        name: COMMANDS.TRIGGER,
+        handler: COMMAND_HANDLERS.TRIGGER,
+        section: 'Chat Management',
+        menuDescription: 'Trigger a new AI response',
+        help: [['/trigger', 'Manually trigger a new AI response']],
+    },
+    {
+        name: COMMANDS.HISTORY,
+        handler: COMMAND_HANDLERS.QUEUED,
+        section: 'Chat Management',
+        menuDescription: 'Export the chat history',
+        help: [['/history', 'Export current chat history as HTML file']],
+    },
+    {
+        name: COMMANDS.PERSONA,
+        handler: COMMAND_HANDLERS.PERSONA,
+        section: 'Persona',
+        menuDescription: 'Choose your persona',
+        help: [
+            ['/persona', 'List SillyTavern personas'],
+            ['/persona <name>', 'Use a persona for your messages'],
+            ['/persona clear', 'Go back to the default persona'],
+        ],
+    },
+    {
+        name: COMMANDS.VOICE,
+        handler: COMMAND_HANDLERS.VOICE,
+        section: 'Voice',
+        menuDescription: 'Switch between text and voice replies',
+        help: [
+            ['/voice', 'Switch between text and voice replies'],
+            ['/voice on|off', 'Turn voice replies on or off'],
+        ],
+    },
+    {
+        name: COMMANDS.SUMMARIZE,
+        handler: COMMAND_HANDLERS.QUEUED,
+        section: 'Memory & Summarization',
+        menuDescription: 'Summarize to the lorebook and start a new chat',
+        help: [['/summarize', 'Summarize conversation, save to lorebook, start new chat']],
+    },
+    {
+        name: COMMANDS.ALLOW,
+        handler: COMMAND_HANDLERS.ACCESS,
+        section: 'Access Management',
+        menuDescription: 'Allow a user to use the bots',
+        help: [['/allow <user id>', 'Add a user to the allowlist']],
+        adminOnly: true,
+    },
+    {
+        name: COMMANDS.DENY,
+        handler: COMMAND_HANDLERS.ACCESS,
+        section: 'Access Management',
+        menuDescription: 'Remove a user or deny their request',
+        help: [['/deny <user id>', 'Remove a user from the allowlist or deny their request']],
+        adminOnly: true,
+    },
+    {
+        name: COMMANDS.USERS,
+        handler: COMMAND_HANDLERS.ACCESS,
+        section: 'Access Management',
+        menuDescription: 'List allowed users',
+        help: [['/users', 'List allowed users']],
+        adminOnly: true,
+    },
+    {
+        name: COMMANDS.PENDING,
+        handler: COMMAND_HANDLERS.ACCESS,
+        section: 'Access Management',
+        menuDescription: 'List pending access requests',
+        help: [['/pending', 'List access requests waiting for a decision']],
+        adminOnly: true,
+    },
+    {
+        name: COMMANDS.INVITE,
+        handler: COMMAND_HANDLERS.ACCESS,
+        section: 'Access Management',
+        menuDescription: 'Create a one-time invite link',
+        help: [['/invite [hours]', 'Create a single-use invite link for {character}']],
+        adminOnly: true,
+    },
+    {
+        name: COMMANDS.INVITES,
+        handler: COMMAND_HANDLERS.ACCESS,
+        section: 'Access Management',
+        menuDescription: 'List invite codes',
+        help: [['/invites', 'List invite codes of {character} and who redeemed them']],
+        adminOnly: true,
+    },
+    {
+        name: COMMANDS.SYNC_PROFILE,
+        handler: COMMAND_HANDLERS.SYNC_PROFILE,
+        section: 'System Management',
+        menuDescription: 'Sync the bot profile from the character card',
+        help: [['/syncprofile', 'Set the bot name and descriptions from the character card']],
+        adminOnly: true,
+    },
+    {
+        name: COMMANDS.RELOAD,
+        handler: COMMAND_HANDLERS.SYSTEM,
+        section: 'System Management',
+        menuDescription: 'Reload server configuration',
+        help: [['/reload', 'Reload server configuration']],
+        adminOnly: true,
+    },
+    {
+        name: COMMANDS.RESTART,
+        handler: COMMAND_HANDLERS.SYSTEM,
+        section: 'System Management',
+        menuDescription: 'Restart the server',
+        help: [['/restart', 'Restart server']],
+        adminOnly: true,
+    },
+    {
+        name: COMMANDS.EXIT,
+        handler: COMMAND_HANDLERS.SYSTEM,
+        section: 'System Management',
+        menuDescription: 'Shut down the server',
+        help: [['/exit', 'Shutdown server']],
+        adminOnly: true,
+    },
+    {
+        name: COMMANDS.QUOTA,
+        handler: COMMAND_HANDLERS.QUOTA,
+        section: 'System Management',
+        menuDescription: 'Show your remaining usage',
+        help: [['/quota', 'Show your usage and remaining replies']],
+    },
+    {
+        name: COMMANDS.PING,
+        handler: COMMAND_HANDLERS.SYSTEM,
+        section: 'System Management',
+        menuDescription: 'Check connection status',
+        help: [['/ping', 'Check connection status']],
+    },
+    {
+        name: COMMANDS.HELP,
+        handler: COMMAND_HANDLERS.HELP,
+        section: 'Help',
+        menuDescription: 'Show all commands',
+        help: [['/help', 'Show this help message']],
+    },
+]);
+
+/**
+ * Finds the registered command a command name refers to.
+ * @param {string} name - Command name without the slash, lowercase.
+ * @returns {CommandDefinition|undefined} The command, or undefined if unknown.
+ */
+function findCommand(name) {
+    return COMMAND_REGISTRY.find((definition) => definition.pattern
+        ? definition.pattern.test(name)
+        : definition.name === name);
+}
+
+/**
+ * Builds the /help text.
+ * @param {Object} bot - Values for placeholders.
+ * @param {string} bot.characterName - Character name, replaces {character}.
+ * @param {string} [bot.username] - Bot username, replaces {username}.
+ * @param {boolean} includeAdmin - Whether admin-only commands are listed.
+ * @returns {string} Help text.
+ */
+function buildHelpText(bot, includeAdmin) {
+    const fill = (text) => text
+        .replace(/\{character\}/g, bot.characterName)
+        .replace(/\{username\}/g, bot.username || 'botname');
+
+    const sections = [];
+    for (const section of HELP_SECTIONS) {
+        const lines = COMMAND_REGISTRY
+            .filter((definition) => definition.section === section.title && (includeAdmin || !definition.adminOnly))
+            .flatMap((definition) => definition.help.map(([usage, description]) => `${usage} - ${fill(description)}`));
+        lines.push(...(section.notes || []).map(fill));
+
+        if (lines.length > 0) {
+            sections.push(`${section.title}\n${lines.join('\n')}`);
+        }
+    }
+
+    return `${bot.characterName} - Telegram Bridge Commands:\n\n${sections.join('\n\n')}`;
+}
+
+/**
+ * Builds the command list for setMyCommands.
+ * @param {boolean} includeAdmin - Whether admin-only commands are included.
+ * @returns {Array<{command: string, description: string}>} Bot commands.
+ */
+function buildCommandMenu(includeAdmin) {
+    return COMMAND_REGISTRY
+        .filter((definition) => includeAdmin || !definition.adminOnly)
+        .map((definition) => ({ command: definition.name, description: definition.menuDescription }));
+}
+
+module.exports = {
+    COMMAND_REGISTRY,
+    findCommand,
+    buildHelpText,
+    buildCommandMenu,
+};
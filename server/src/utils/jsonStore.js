@@ -0,0 +1,101 @@
+/**
+ * @fileoverview JSON file persistence with debounced, atomic writes.
+ * Services use this to keep small amounts of state across restarts.
+ * @module utils/jsonStore
+ */
+
+const fs = require('fs');
+const path = require('path');
+const Logger = require('./logger');
+const { DEFAULTS } = require('../constants/system');
+
+/**
+ * A JSON document stored in a single file.
+ * @class
+ */
+class JsonStore {
+    /**
+     * Creates a new JsonStore.
+     * @param {string} filePath - Absolute path of the JSON file.
+     * @param {Object} defaultData - Data used when the file does not exist or cannot be read.
+     */
+    constructor(filePath, defaultData) {
+        /** @type {string} */
+        this._filePath = filePath;
+
+        /** @type {Object} */
+        this._defaultData = defaultData;
+
+        /** @type {Object} */
+        this.data = structuredClone(defaultData);
+
+        /** @type {NodeJS.Timeout|null} */
+        this._saveTimer = null;
+    }
+
+    /**
+     * Loads the file from disk, falling back to the default data.
+     * A corrupt file is kept aside with a .corrupt suffix instead of being overwritten.
+     * @returns {Object} The loaded data.
+     */
+    load() {
+        try {
+            const raw = fs.readFileSync(this._filePath, 'utf8');
+            this.data = { ...structuredClone(this._defaultData), ...JSON.parse(raw) };
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                Logger.error(`Failed to read ${this._filePath}:`, error.message);
+                try {
+                    fs.renameSync(this._filePath, `${this._filePath}.corrupt`);
+                } catch (renameError) {
+                    Logger.error(`Failed to move aside ${this._filePath}:`, renameError.message);
+                }
+            }
+            this.data = structuredClone(this._defaultData);
+        }
+        return this.data;
+    }
+
+    /**
+     * Schedules a write of the current data.
+     * Multiple calls within the debounce window result in a single write.
+     */
+    save() {
+        if (this._saveTimer) {
+            return;
+        }
+        this._saveTimer = setTimeout(() => {
+            this._saveTimer = null;
+            this._write();
+        }, DEFAULTS.STORE_SAVE_DEBOUNCE_MS);
+    }
+
+    /**
+     * Writes pending changes immediately (used on shutdown).
+     */
+    flush() {
+        if (!this._saveTimer) {
+            return;
+        }
+        clearTimeout(this._saveTimer);
+        this._saveTimer = null;
+        this._write();
+    }
+
+    /**
+     * Writes the data to a temporary file and renames it over the target.
+     * @private
+     */
+    _write() {
+        const temporaryPath = `${this._filePath}.tmp`;
+        try {
+            fs.mkdirSync(path.dirname(this._filePath), { recursive: true });
+            fs.writeFileSync(temporaryPath, JSON.stringify(this.data));
+            fs.renameSync(temporaryPath, this._filePath);
+        } catch (error) {
+            Logger.error(`Failed to write ${this._filePath}:`, error.message);
+        }
+    }
+}
+
+module.exports = JsonStore;
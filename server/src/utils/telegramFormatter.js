@@ -0,0 +1,444 @@
+/**
+ * @fileoverview Telegram HTML formatting helpers.
+ * Converts markdown and sanitizes HTML into the subset Telegram accepts with parse_mode HTML,
+ * splits formatted text without breaking tags, and recovers plain text for fallbacks.
+ * @module utils/telegramFormatter
+ */
+
+const { findSplitOffset, getHardSplitOffset } = require('./textSplitter');
+
+/**
+ * Telegram parse mode used for formatted messages.
+ * @type {string}
+ */
+const PARSE_MODE = 'HTML';
+
+/**
+ * HTML tags Telegram understands, mapped to the tag they are sent as.
+ * @type {Object<string, string>}
+ */
+const ALLOWED_TAGS = Object.freeze({
+    b: 'b',
+    strong: 'b',
+    i: 'i',
+    em: 'i',
+    u: 'u',
+    ins: 'u',
+    s: 's',
+    strike: 's',
+    del: 's',
+    code: 'code',
+    pre: 'pre',
+    a: 'a',
+    blockquote: 'blockquote',
+    'tg-spoiler': 'tg-spoiler',
+});
+
+/**
+ * Named entities decoded before sanitizing, since Telegram only knows lt, gt, amp and quot.
+ * @type {Object<string, string>}
+ */
+const NAMED_ENTITIES = Object.freeze({
+    lt: '<',
+    gt: '>',
+    amp: '&',
+    quot: '"',
+    apos: '\'',
+    nbsp: '\u00a0',
+});
+
+/**
+ * Matches a tag, an entity, or a run of other text.
+ * @type {RegExp}
+ */
+const TOKEN_PATTERN = /<(\/?)([a-zA-Z][\w-]*)((?:\s+[^>]*)?)\s*\/?>|&(#\d+|#x[\da-fA-F]+|[a-zA-Z]+);|[^<&]+|[<&]/g;
+
+/**
+ * Escapes text for use in Telegram HTML.
+ * @param {string} text - Plain text.
+ * @returns {string} Escaped text.
+ */
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * Decodes an HTML entity body (the part between & and ;).
+ * @param {string} entity - Entity body, e.g. 'amp' or '#39'.
+ * @returns {string|null} The character, or null if unknown.
+ */
+function decodeEntity(entity) {
+    if (entity[0] === '#') {
+        const codePoint = entity[1] === 'x' || entity[1] === 'X'
+            ? parseInt(entity.slice(2), 16)
+            : parseInt(entity.slice(1), 10);
+        return Number.isInteger(codePoint) && codePoint > 0 && codePoint <= 0x10ffff
+            ? String.fromCodePoint(codePoint)
+            : null;
+    }
+    return NAMED_ENTITIES[entity.toLowerCase()] ?? null;
+}
+
+/**
+ * Gets an attribute value from a raw attribute string.
+ * @param {string} attributes - Raw attributes, e.g. ' href="x" class="y"'.
+ * @param {string} name - Attribute name.
+ * @returns {string|null} Decoded value, or null if absent.
+ */
+function getAttribute(attributes, name) {
+    const match = attributes.match(new RegExp(`(?:^|\\s)${name}\\s*=\\s*(?:"([^"]*)"|'([^']*)'|([^\\s"'>]+))`, 'i'));
+    if (!match) {
+        return null;
+    }
+    const value = match[1] ?? match[2] ?? match[3];
+    return value.replace(/&(#\d+|#x[\da-fA-F]+|[a-zA-Z]+);/g, (entity, body) => decodeEntity(body) ?? entity);
+}
+
+/**
+ * Builds the Telegram opening tag for an allowed tag, keeping only the attributes Telegram supports.
+ * @param {string} name - Telegram tag name.
+ * @param {string} attributes - Raw attributes.
+ * @returns {string|null} Opening tag, or null if the tag must be dropped.
+ */
+function buildOpeningTag(name, attributes) {
+    if (name === 'a') {
+        const href = getAttribute(attributes, 'href');
+        return href && /^(https?:|tg:|mailto:)/i.test(href) ? `<a href="${escapeHtml(href)}">` : null;
+    }
+    if (name === 'code') {
+        const language = (getAttribute(attributes, 'class') || '').match(/language-([\w+#-]+)/);
+        return language ? `<code class="language-${language[1]}">` : '<code>';
+    }
+    if (name === 'blockquote' && /(?:^|\s)expandable(?:\s|=|$)/i.test(attributes)) {
+        return '<blockquote expandable>';
+    }
+    return `<${name}>`;
+}
+
+/**
+ * Sanitizes HTML into Telegram HTML.
+ * Supported tags are normalized and balanced, unsupported tags are dropped with their text kept,
+ * and stray < and & are escaped.
+ * @param {string} html - HTML to sanitize.
+ * @returns {string} Telegram-safe HTML.
+ */
+function sanitizeHtml(html) {
+    /** @type {string[]} */
+    const stack = [];
+    let output = '';
+
+    for (const match of String(html).matchAll(TOKEN_PATTERN)) {
+        const [token, closing, rawName, attributes = '', entity] = match;
+
+        if (rawName) {
+            const lowerName = rawName.toLowerCase();
+            const isSpoilerSpan = lowerName === 'span' && (closing
+                ? stack.includes('span')
+                : /tg-spoiler/.test(getAttribute(attributes, 'class') || ''));
+            const name = isSpoilerSpan ? 'span' : ALLOWED_TAGS[lowerName];
+
+            // Code cannot contain other entities; pre may only wrap code
+            const insideCode = stack.includes('code');
+            const insidePre = stack[stack.length - 1] === 'pre';
+            if (!name || (insideCode && name !== 'code') || (insidePre && !closing && name !== 'code')) {
+                continue;
+            }
+
+            if (closing) {
+                const index = stack.lastIndexOf(name);
+                if (index === -1) {
+                    continue;
+                }
+                while (stack.length > index) {
+                    output += closingTag(stack.pop());
+                }
+                continue;
+            }
+
+            if (insideCode) {
+                continue;
+            }
+
+            const openingTag = isSpoilerSpan ? '<span class="tg-spoiler">' : buildOpeningTag(name, attributes);
+            if (openingTag) {
+                stack.push(name);
+                output += openingTag;
+            }
+            continue;
+        }
+
+        if (entity) {
+            const character = decodeEntity(entity);
+            output += character === null ? escapeHtml(token) : escapeHtml(character);
+            continue;
+        }
+
+        output += escapeHtml(token);
+    }
+
+    while (stack.length > 0) {
+        output += closingTag(stack.pop());
+    }
+
+    return removeEmptyTags(output);
+}
+
+/**
+ * Builds the closing tag for a Telegram tag name.
+ * @param {string} name - Tag name.
+ * @returns {string} Closing tag.
+ */
+function closingTag(name) {
+    return `</${name}>`;
+}
+
+/**
+ * Removes tags that enclose nothing.
+ * @param {string} html - Telegram HTML.
+ * @returns {string} HTML without empty elements.
+ */
+function removeEmptyTags(html) {
+    let previous;
+    let result = html;
+    do {
+        previous = result;
+        result = result.replace(/<([a-z-]+)(?:\s[^>]*)?><\/\1>/g, '');
+    } while (result !== previous);
+    return result;
+}
+
+/**
+ * Converts markdown as written by models into Telegram HTML.
+ * Handles fenced and inline code, bold, italics, strikethrough, links, headings and quotes.
+ * An unclosed code fence (common while streaming) formats the rest of the text as code.
+ * @param {string} markdown - Markdown text.
+ * @returns {string} Telegram HTML.
+ */
+function markdownToHtml(markdown) {
+    /** @type {string[]} */
+    const protectedParts = [];
+    const protect = (html) => {
+        protectedParts.push(html);
+        return `\u0000${protectedParts.length - 1}\u0000`;
+    };
+
+    let text = String(markdown).replace(/\u0000/g, '');
+
+    text = text.replace(/```([\w+#-]*)[^\S\n]*\n?([\s\S]*?)(?:```|$)/g, (match, language, code) => {
+        const codeHtml = escapeHtml(code.replace(/\n$/, ''));
+        return protect(language
+            ? `<pre><code class="language-${language}">${codeHtml}</code></pre>`
+            : `<pre>${codeHtml}</pre>`);
+    });
+    text = text.replace(/`([^`\n]+)`/g, (match, code) => protect(`<code>${escapeHtml(code)}</code>`));
+    text = text.replace(/\[([^\]\n]+)\]\(((?:https?:|tg:|mailto:)[^)\s]+)\)/g, (match, label, url) => {
+        return protect(`<a href="${escapeHtml(url)}">`) + label + protect('</a>');
+    });
+
+    text = escapeHtml(text)
+        .replace(/^#{1,6}[^\S\n]+(.+)$/gm, '<b>$1</b>')
+        .replace(/\*\*(?=\S)([^\n]*?\S)\*\*/g, '<b>$1</b>')
+        .replace(/(^|[^\w])__(?=\S)([^\n]*?\S)__(?![\w])/g, '$1<b>$2</b>')
+        .replace(/~~(?=\S)([^\n]*?\S)~~/g, '<s>$1</s>')
+        .replace(/(^|[^*\w])\*([^\s*](?:[^*\n]*[^\s*])?)\*(?![*\w])/g, '$1<i>$2</i>')
+        .replace(/(^|[^\w])_([^\s_](?:[^_\n]*[^\s_])?)_(?!\w)/g, '$1<i>$2</i>')
+        .replace(/(?:^&gt;[^\S\n]?.*(?:\n|$))+/gm, (block) => {
+            const lines = block.replace(/\n$/, '').split('\n').map((line) => line.replace(/^&gt;[^\S\n]?/, ''));
+            return `<blockquote>${lines.join('\n')}</blockquote>${block.endsWith('\n') ? '\n' : ''}`;
+        });
+
+    text = text.replace(/\u0000(\d+)\u0000/g, (match, index) => protectedParts[Number(index)]);
+    return sanitizeHtml(text);
+}
+
+/**
+ * Splits Telegram HTML at a separator without breaking tags.
+ * Tags open at a split point are closed at the end of one piece and reopened at the start of the next.
+ * Text inside pre blocks is never split.
+ * @param {string} html - Telegram HTML.
+ * @param {string} separator - Separator to split at; empty keeps the text whole.
+ * @returns {string[]} Trimmed pieces that contain visible text.
+ */
+function splitHtml(html, separator) {
+    if (!separator) {
+        return hasVisibleText(html) ? [html.trim()] : [];
+    }
+
+    /** @type {Array<{name: string, tag: string}>} */
+    const stack = [];
+    const pieces = [];
+    let current = '';
+
+    for (const match of String(html).matchAll(TOKEN_PATTERN)) {
+        const [token, closing, rawName] = match;
+
+        if (rawName) {
+            if (closing) {
+                stack.pop();
+            } else {
+                stack.push({ name: rawName.toLowerCase(), tag: token });
+            }
+            current += token;
+            continue;
+        }
+
+        if (stack.some((entry) => entry.name === 'pre') || !token.includes(separator)) {
+            current += token;
+            continue;
+        }
+
+        const segments = token.split(separator);
+        current += segments[0];
+        for (const segment of segments.slice(1)) {
+            pieces.push(current + stack.slice().reverse().map((entry) => closingTag(entry.name)).join(''));
+            current = stack.map((entry) => entry.tag).join('') + segment;
+        }
+    }
+    pieces.push(current);
+
+    return pieces
+        .map((piece) => removeEmptyTags(piece).trim())
+        .filter(hasVisibleText);
+}
+
+/**
+ * Splits Telegram HTML into pieces whose visible text is at most maxLength characters.
+ * Breaks on paragraph, line, sentence and word boundaries outside any formatting entity;
+ * an entity or code block is only split when no boundary outside it fits, in which case
+ * its tags are closed and reopened around the split.
+ * @param {string} html - Telegram HTML.
+ * @param {number} maxLength - Maximum visible length of a piece.
+ * @returns {string[]} Trimmed pieces that contain visible text.
+ */
+function splitHtmlByLength(html, maxLength) {
+    const pieces = [];
+    let rest = String(html);
+
+    while (htmlToPlainText(rest).trim().length > maxLength) {
+        const [head, tail] = cutHtml(rest, maxLength);
+        pieces.push(head);
+        rest = tail;
+    }
+    pieces.push(rest);
+
+    return pieces
+        .map((piece) => removeEmptyTags(piece).trim())
+        .filter(hasVisibleText);
+}
+
+/**
+ * Cuts Telegram HTML once, so the head's visible text is at most maxLength characters.
+ * @param {string} html - Telegram HTML longer than maxLength.
+ * @param {number} maxLength - Maximum visible length of the head.
+ * @returns {string[]} The head and the tail, each with balanced tags.
+ */
+function cutHtml(html, maxLength) {
+    const tokens = Array.from(String(html).matchAll(TOKEN_PATTERN), (match) => ({
+        token: match[0],
+        closing: Boolean(match[1]),
+        name: match[2]?.toLowerCase(),
+        entity: match[4],
+    }));
+
+    // boundaries[offset] is where the HTML is cut to split the visible text before that offset.
+    // Between two characters the cut goes after closing tags and before opening tags, so a split
+    // next to an entity does not count as inside it. Stacks are never mutated, only replaced.
+    /** @type {Array<{tokenIndex: number, charIndex: number, stack: Array<{name: string, tag: string}>}|null>} */
+    const boundaries = [];
+    let stack = [];
+    let lowest = { tokenIndex: 0, charIndex: 0, stack };
+    let plain = '';
+
+    tokens.forEach((entry, tokenIndex) => {
+        if (entry.name) {
+            if (entry.closing) {
+                stack = stack.slice(0, -1);
+                if (stack.length <= lowest.stack.length) {
+                    lowest = { tokenIndex: tokenIndex + 1, charIndex: 0, stack };
+                }
+            } else {
+                stack = [...stack, { name: entry.name, tag: entry.token }];
+            }
+            return;
+        }
+
+        const text = entry.entity ? (decodeEntity(entry.entity) ?? entry.token) : entry.token;
+        for (let charIndex = 0; charIndex < text.length; charIndex++) {
+            if (charIndex === 0) {
+                boundaries[plain.length] = lowest;
+            } else {
+                boundaries[plain.length] = entry.entity ? null : { tokenIndex, charIndex, stack };
+            }
+            plain += text[charIndex];
+        }
+        lowest = { tokenIndex: tokenIndex + 1, charIndex: 0, stack };
+    });
+    boundaries[plain.length] = lowest;
+
+    const hardSplit = getHardSplitOffset(plain, maxLength);
+    let hardEnd = hardSplit;
+    while (hardEnd > 1 && !boundaries[hardEnd]) {
+        hardEnd--;
+    }
+
+    const split = findSplitOffset(plain, maxLength, (offset) => boundaries[offset]?.stack.length === 0)
+        || findSplitOffset(plain, maxLength, (offset) => Boolean(boundaries[offset]))
+        || { end: hardEnd, start: hardEnd };
+
+    const end = boundaries[split.end];
+    const start = boundaries[split.start];
+    const htmlBefore = (boundary) => tokens.slice(0, boundary.tokenIndex).map((entry) => entry.token).join('')
+        + (boundary.charIndex ? tokens[boundary.tokenIndex].token.slice(0, boundary.charIndex) : '');
+    const htmlFrom = (boundary) => (boundary.charIndex ? tokens[boundary.tokenIndex].token.slice(boundary.charIndex) : '')
+        + tokens.slice(boundary.tokenIndex + (boundary.charIndex ? 1 : 0)).map((entry) => entry.token).join('');
+
+    return [
+        htmlBefore(end) + end.stack.slice().reverse().map((entry) => closingTag(entry.name)).join(''),
+        start.stack.map((entry) => entry.tag).join('') + htmlFrom(start),
+    ];
+}
+
+/**
+ * Converts Telegram HTML to plain text.
+ * @param {string} html - Telegram HTML.
+ * @returns {string} Text without tags, entities decoded.
+ */
+function htmlToPlainText(html) {
+    return String(html)
+        .replace(/<[^>]*>/g, '')
+        .replace(/&(#\d+|#x[\da-fA-F]+|[a-zA-Z]+);/g, (entity, body) => decodeEntity(body) ?? entity);
+}
+
+/**
+ * Checks whether HTML shows any non-whitespace text.
+ * @param {string} html - Telegram HTML.
+ * @returns {boolean} True if there is visible text.
+ */
+function hasVisibleText(html) {
+    return htmlToPlainText(html).trim().length > 0;
+}
+
+/**
+ * Checks whether a Telegram error was caused by malformed formatting.
+ * @param {Error} error - Error thrown by the Bot API client.
+ * @returns {boolean} True if the message should be resent as plain text.
+ */
+function isEntityParseError(error) {
+    return /can't parse entities|unsupported start tag|can't find end tag/i.test(error?.message || '');
+}
+
+module.exports = {
+    PARSE_MODE,
+    escapeHtml,
+    sanitizeHtml,
+    markdownToHtml,
+    splitHtml,
+    splitHtmlByLength,
+    htmlToPlainText,
+    hasVisibleText,
+    isEntityParseError,
+};
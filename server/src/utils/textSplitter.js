@@ -0,0 +1,97 @@
+/**
+ * @fileoverview Length-aware text splitting.
+ * Finds split points on paragraph, line, sentence and word boundaries, in that order of preference.
+ * @module utils/textSplitter
+ */
+
+/**
+ * Break patterns from most to least preferred. The optional capture group marks
+ * trailing whitespace that is dropped at the split (the text before it stays in the head).
+ * @type {RegExp[]}
+ */
+const BREAK_PATTERNS = [
+    /\n[^\S\n]*\n\s*/g,
+    /\n\s*/g,
+    /[.!?…]+["'”’)\]]*(\s+)/g,
+    /\s+/g,
+];
+
+/**
+ * A split position in a text.
+ * @typedef {Object} SplitOffset
+ * @property {number} end - End of the head (exclusive).
+ * @property {number} start - Start of the tail; the text between end and start is dropped whitespace.
+ */
+
+/**
+ * Finds where to split text so the head is at most maxLength characters.
+ * Pieces of at least half the limit are preferred, so a late word break beats an early paragraph break.
+ * @param {string} text - Text to split.
+ * @param {number} maxLength - Maximum head length.
+ * @param {function(number): boolean} [canSplitAt] - Rejects offsets that must not be split at.
+ * @returns {SplitOffset|null} Split position, or null if no boundary fits.
+ */
+function findSplitOffset(text, maxLength, canSplitAt = () => true) {
+    for (const minimum of [Math.ceil(maxLength / 2), 1]) {
+        for (const pattern of BREAK_PATTERNS) {
+            let best = null;
+
+            for (const match of text.matchAll(pattern)) {
+                const end = match.index + (match[1] !== undefined ? match[0].length - match[1].length : 0);
+                if (end > maxLength) {
+                    break;
+                }
+
+                const start = match.index + match[0].length;
+                if (end >= minimum && canSplitAt(end) && canSplitAt(start)) {
+                    best = { end, start };
+                }
+            }
+
+            if (best) {
+                return best;
+            }
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Gets the offset to hard-cut text at when there is no boundary, without splitting a surrogate pair.
+ * @param {string} text - Text to cut.
+ * @param {number} maxLength - Maximum head length.
+ * @returns {number} Cut offset.
+ */
+function getHardSplitOffset(text, maxLength) {
+    const code = text.charCodeAt(maxLength);
+    const isLowSurrogate = code >= 0xdc00 && code <= 0xdfff;
+    return isLowSurrogate && maxLength > 1 ? maxLength - 1 : maxLength;
+}
+
+/**
+ * Splits plain text into pieces of at most maxLength characters.
+ * @param {string} text - Text to split.
+ * @param {number} maxLength - Maximum piece length.
+ * @returns {string[]} Trimmed, non-empty pieces.
+ */
+function splitText(text, maxLength) {
+    const pieces = [];
+    let rest = String(text).trim();
+
+    while (rest.length > maxLength) {
+        const hardSplit = getHardSplitOffset(rest, maxLength);
+        const split = findSplitOffset(rest, maxLength) || { end: hardSplit, start: hardSplit };
+        pieces.push(rest.slice(0, split.end).trim());
+        rest = rest.slice(split.start).trim();
+    }
+    pieces.push(rest);
+
+    return pieces.filter((piece) => piece.length > 0);
+}
+
+module.exports = {
+    findSplitOffset,
+    getHardSplitOffset,
+    splitText,
+};
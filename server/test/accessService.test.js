@@ -0,0 +1,103 @@
+/**
+ * @fileoverview Tests for the per-bot scoping of the runtime allowlist and access requests.
+ */
+
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const AccessService = require('../src/services/accessService');
+
+const USER_ID = 42;
+const ADMIN_ID = 1;
+
+let temporaryDirectory;
+let accessService;
+
+/**
+ * Creates an access request.
+ * @param {string} botId - Bot the request is made through.
+ * @param {number} requestedAt - Time of the request.
+ * @returns {import('../src/types/index').AccessRequest} The request.
+ */
+function createRequest(botId, requestedAt) {
+    return { userId: USER_ID, name: 'Requester', botId: botId, chatId: USER_ID, requestedAt: requestedAt };
+}
+
+beforeEach(() => {
+    temporaryDirectory = fs.mkdtempSync(path.join(os.tmpdir(), 'access-test-'));
+    AccessService.resetInstance();
+    accessService = AccessService.getInstance();
+    accessService.initialize(temporaryDirectory);
+});
+
+afterEach(() => {
+    accessService.flush();
+    AccessService.resetInstance();
+    fs.rmSync(temporaryDirectory, { recursive: true, force: true });
+});
+
+test('a user allowed for one bot is not allowed for another', () => {
+    assert.ok(accessService.allow(USER_ID, ADMIN_ID, 'Requester', 'bot-a'));
+
+    assert.ok(accessService.isAllowed(USER_ID, 'bot-a'));
+    assert.ok(!accessService.isAllowed(USER_ID, 'bot-b'));
+    assert.ok(!accessService.isAllowedForAllBots(USER_ID));
+});
+
+test('denying for one bot leaves the other bots alone', () => {
+    accessService.allow(USER_ID, ADMIN_ID, 'Requester', 'bot-b');
+    accessService.deny(USER_ID, 'bot-a');
+
+    assert.ok(accessService.isDenied(USER_ID, 'bot-a'));
+    assert.ok(!accessService.isDenied(USER_ID, 'bot-b'));
+    assert.ok(accessService.isAllowed(USER_ID, 'bot-b'));
+});
+
+test('a request through a second bot does not replace the first', () => {
+    accessService.addRequest(createRequest('bot-a', 1));
+    accessService.addRequest(createRequest('bot-b', 2));
+
+    assert.strictEqual(accessService.getRequest(USER_ID, 'bot-a').botId, 'bot-a');
+    assert.strictEqual(accessService.getRequest(USER_ID, 'bot-b').botId, 'bot-b');
+    assert.deepStrictEqual(accessService.getPendingRequests('bot-a').map((request) => request.botId), ['bot-a']);
+    assert.deepStrictEqual(accessService.getPendingRequests().map((request) => request.botId), ['bot-a', 'bot-b']);
+});
+
+test('deciding a request for one bot leaves the request through another bot waiting', () => {
+    accessService.addRequest(createRequest('bot-a', 1));
+    accessService.addRequest(createRequest('bot-b', 2));
+
+    const { requests } = accessService.deny(USER_ID, 'bot-a');
+    accessService.allow(USER_ID, ADMIN_ID, undefined, 'bot-c');
+
+    assert.deepStrictEqual(requests.map((request) => request.botId), ['bot-a']);
+    assert.strictEqual(accessService.getRequest(USER_ID, 'bot-a'), null);
+    assert.strictEqual(accessService.getRequest(USER_ID, 'bot-b').botId, 'bot-b');
+});
+
+test('allowing for all bots resolves every request and clears per-bot denials', () => {
+    accessService.addRequest(createRequest('bot-a', 1));
+    accessService.addRequest(createRequest('bot-b', 2));
+    accessService.deny(USER_ID, 'bot-c');
+
+    assert.ok(accessService.allow(USER_ID, ADMIN_ID));
+
+    assert.deepStrictEqual(accessService.getPendingRequests(), []);
+    assert.ok(!accessService.isDenied(USER_ID, 'bot-c'));
+    assert.ok(accessService.isAllowed(USER_ID, 'bot-c'));
+    assert.strictEqual(accessService.getAllowedUsers('bot-c')[0].name, 'Requester');
+});
+
+test('requests are kept per bot across restarts', () => {
+    accessService.addRequest(createRequest('bot-a', 1));
+    accessService.addRequest(createRequest('bot-b', 2));
+    accessService.flush();
+
+    AccessService.resetInstance();
+    accessService = AccessService.getInstance();
+    accessService.initialize(temporaryDirectory);
+
+    assert.strictEqual(accessService.getPendingRequests().length, 2);
+});
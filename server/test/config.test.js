@@ -0,0 +1,82 @@
+/**
+ * @fileoverview Tests for the environment overrides a restarted server is given.
+ */
+
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { getEnvironmentOverrides } = require('../src/config');
+
+const CONFIG_MODULE = path.resolve(__dirname, '../src/config');
+const OVERRIDE_NAMES = ['WSS_PORT', 'UPDATE_MODE', 'WEBHOOK_PORT', 'DATA_DIRECTORY', 'DEBOUNCE_SECONDS'];
+
+let temporaryDirectory;
+let configPath;
+let savedEnvironment;
+
+/**
+ * Loads the configuration in a new process started with the environment /restart passes on.
+ * @returns {Object} The loaded configuration.
+ */
+function loadAfterRestart() {
+    const script = `process.stdout.write(JSON.stringify(require(${JSON.stringify(CONFIG_MODULE)}).loadConfiguration(${JSON.stringify(configPath)})))`;
+    const result = spawnSync(process.execPath, ['-e', script], {
+        env: { PATH: process.env.PATH, ...getEnvironmentOverrides() },
+        encoding: 'utf8',
+    });
+    assert.strictEqual(result.status, 0, result.stderr);
+    return JSON.parse(result.stdout.split('\n').pop());
+}
+
+beforeEach(() => {
+    savedEnvironment = {};
+    for (const name of OVERRIDE_NAMES) {
+        savedEnvironment[name] = process.env[name];
+        delete process.env[name];
+    }
+
+    temporaryDirectory = fs.mkdtempSync(path.join(os.tmpdir(), 'config-test-'));
+    configPath = path.join(temporaryDirectory, 'config.js');
+    fs.writeFileSync(configPath, `module.exports = ${JSON.stringify({
+        bots: [{ token: '123:abc', characterName: 'Tester' }],
+        webhook: { publicUrl: 'https://example.com' },
+    })};\n`);
+});
+
+afterEach(() => {
+    for (const name of OVERRIDE_NAMES) {
+        if (savedEnvironment[name] === undefined) {
+            delete process.env[name];
+        } else {
+            process.env[name] = savedEnvironment[name];
+        }
+    }
+    fs.rmSync(temporaryDirectory, { recursive: true, force: true });
+});
+
+test('only set overrides are passed on', () => {
+    process.env.WSS_PORT = '2400';
+
+    assert.deepStrictEqual(getEnvironmentOverrides(), { WSS_PORT: '2400' });
+});
+
+test('a restarted server keeps the update mode and webhook port', () => {
+    process.env.UPDATE_MODE = 'webhook';
+    process.env.WEBHOOK_PORT = '8444';
+
+    const configuration = loadAfterRestart();
+
+    assert.strictEqual(configuration.updateMode, 'webhook');
+    assert.strictEqual(configuration.webhook.port, 8444);
+});
+
+test('a restarted server keeps the data directory', () => {
+    process.env.DATA_DIRECTORY = path.join(temporaryDirectory, 'data');
+
+    const configuration = loadAfterRestart();
+
+    assert.strictEqual(configuration.dataDirectory, process.env.DATA_DIRECTORY);
+});
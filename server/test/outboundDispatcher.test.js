@@ -0,0 +1,122 @@
+/**
+ * @fileoverview Tests for the retry, idempotency and flood limit rules of the outbound dispatcher.
+ */
+
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const OutboundDispatcher = require('../src/services/outboundDispatcher');
+
+const managedBot = { id: '123', characterName: 'Tester', instance: {} };
+
+let dispatcher;
+
+/**
+ * Creates an error like the Bot API client throws for network failures.
+ * @param {string} code - Network error code.
+ * @returns {Error} The error.
+ */
+function networkError(code) {
+    const error = new Error(`EFATAL: Error: ${code}`);
+    error.code = 'EFATAL';
+    return error;
+}
+
+/**
+ * Creates an error like the Bot API client throws for a flood limit.
+ * @param {number} retryAfterSeconds - retry_after sent by Telegram.
+ * @returns {Error} The error.
+ */
+function floodError(retryAfterSeconds) {
+    const error = new Error('ETELEGRAM: 429 Too Many Requests');
+    error.code = 'ETELEGRAM';
+    error.response = { statusCode: 429, body: { parameters: { retry_after: retryAfterSeconds } } };
+    return error;
+}
+
+/**
+ * Creates a call that fails with the given errors before succeeding.
+ * @param {Error[]} errors - Errors of the first attempts.
+ * @returns {{request: function(): Promise<string>, attempts: function(): number}} The call and its attempt count.
+ */
+function failingCall(errors) {
+    let attempts = 0;
+    return {
+        request: async () => {
+            attempts++;
+            if (attempts <= errors.length) {
+                throw errors[attempts - 1];
+            }
+            return 'sent';
+        },
+        attempts: () => attempts,
+    };
+}
+
+beforeEach(() => {
+    OutboundDispatcher.resetInstance();
+    dispatcher = OutboundDispatcher.getInstance();
+    dispatcher.configure({
+        outbound: {
+            botMessagesPerSecond: 1000,
+            chatMessagesPerSecond: 1000,
+            groupMessagesPerMinute: 60000,
+            chatBurst: 1,
+            maxRetries: 3,
+            retryBaseDelayMs: 1,
+        },
+    });
+});
+
+test('a posting call is not retried after a failure that may have reached Telegram', async () => {
+    const call = failingCall([networkError('read ECONNRESET')]);
+
+    await assert.rejects(dispatcher.send(managedBot, 1, call.request), /ECONNRESET/);
+    assert.strictEqual(call.attempts(), 1);
+});
+
+test('a posting call is retried after a failure before sending', async () => {
+    const call = failingCall([networkError('connect ECONNREFUSED 127.0.0.1:443')]);
+
+    assert.strictEqual(await dispatcher.send(managedBot, 1, call.request), 'sent');
+    assert.strictEqual(call.attempts(), 2);
+});
+
+test('an idempotent call is retried after any network failure', async () => {
+    const call = failingCall([networkError('read ECONNRESET'), networkError('ETIMEDOUT')]);
+
+    assert.strictEqual(await dispatcher.send(managedBot, 1, call.request, { idempotent: true }), 'sent');
+    assert.strictEqual(call.attempts(), 3);
+});
+
+test('a call is given up after maxRetries', async () => {
+    const error = networkError('connect ECONNREFUSED 127.0.0.1:443');
+    const call = failingCall([error, error, error, error]);
+
+    await assert.rejects(dispatcher.send(managedBot, 1, call.request), /ECONNREFUSED/);
+    assert.strictEqual(call.attempts(), 4);
+});
+
+test('retry_after holds back the other chats of the bot', async () => {
+    const call = failingCall([floodError(0.2)]);
+    const floodedCall = dispatcher.send(managedBot, 1, call.request);
+    await new Promise((resolve) => setImmediate(resolve));
+
+    const startedAt = Date.now();
+    await dispatcher.send(managedBot, 2, async () => 'sent');
+
+    assert.ok(Date.now() - startedAt >= 150, 'the other chat waited for retry_after');
+    assert.strictEqual(await floodedCall, 'sent');
+
+    const otherBot = { ...managedBot, id: '456' };
+    const otherStartedAt = Date.now();
+    await dispatcher.send(otherBot, 1, async () => 'sent');
+    assert.ok(Date.now() - otherStartedAt < 150, 'other bots are not held back');
+});
+
+test('idle lanes are dropped once their bucket has refilled', async () => {
+    await dispatcher.send(managedBot, 1, async () => 'sent');
+    await new Promise((resolve) => setTimeout(resolve, 10));
+    await dispatcher.send(managedBot, 2, async () => 'sent');
+
+    assert.deepStrictEqual([...dispatcher._lanes.keys()], ['123:2']);
+});
@@ -0,0 +1,84 @@
+/**
+ * @fileoverview Tests for skipping user messages SillyTavern already added when a job is retried after a restart.
+ */
+
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const QueueManager = require('../src/services/queueManager');
+const { JOB_TYPES } = require('../src/constants/system');
+
+const managedBot = { id: '123', characterName: 'Tester' };
+const CHAT_ID = 42;
+
+let temporaryDirectory;
+let queueManager;
+
+/**
+ * Starts a queue manager on the data directory, as a server start does.
+ * Jobs are never finished, as if the server went down while processing them.
+ * @returns {Promise<import('../src/types/index').QueueJob>} The first job that starts processing.
+ */
+function startQueueManager() {
+    return new Promise((resolve) => {
+        QueueManager.resetInstance();
+        queueManager = QueueManager.getInstance();
+        queueManager.configure({ jobProcessor: async (job) => resolve(job), connectionChecker: () => true });
+        queueManager.initialize(temporaryDirectory);
+        queueManager.restore(() => managedBot);
+        queueManager.resume();
+    });
+}
+
+/**
+ * Queues a message job with the given Telegram message IDs.
+ * @param {number[]} messageIds - Telegram message IDs of the user messages.
+ */
+function enqueueMessages(messageIds) {
+    queueManager.enqueueJob({
+        managedBot: managedBot,
+        chatId: CHAT_ID,
+        userId: CHAT_ID,
+        type: JOB_TYPES.MESSAGE,
+        targetCharacter: 'Tester',
+        messages: messageIds.map((messageId) => ({ text: `message ${messageId}`, messageId: messageId })),
+    });
+}
+
+beforeEach(() => {
+    temporaryDirectory = fs.mkdtempSync(path.join(os.tmpdir(), 'queue-test-'));
+});
+
+afterEach(() => {
+    queueManager.stop();
+    QueueManager.resetInstance();
+    fs.rmSync(temporaryDirectory, { recursive: true, force: true });
+});
+
+test('messages SillyTavern added are skipped when the job is retried', async () => {
+    const firstRun = startQueueManager();
+    enqueueMessages([1, 2]);
+
+    const job = await firstRun;
+    queueManager.recordStoredMessages(managedBot.id, CHAT_ID, [{ telegramMessageId: 1, chatFile: 'chat', mesId: 5 }]);
+    assert.strictEqual(queueManager.getStoredMessage(job, 1), null, 'nothing is skipped on the first attempt');
+
+    // The server goes down before anything else is written
+    const retriedJob = await startQueueManager();
+
+    assert.strictEqual(retriedJob.attempts, 2);
+    assert.deepStrictEqual(queueManager.getStoredMessage(retriedJob, 1), { telegramMessageId: 1, chatFile: 'chat', mesId: 5 });
+    assert.strictEqual(queueManager.getStoredMessage(retriedJob, 2), null);
+});
+
+test('stored messages of another chat are not recorded on the active job', async () => {
+    const firstRun = startQueueManager();
+    enqueueMessages([1]);
+
+    const job = await firstRun;
+    queueManager.recordStoredMessages(managedBot.id, CHAT_ID + 1, [{ telegramMessageId: 1, chatFile: 'chat', mesId: 5 }]);
+
+    assert.strictEqual(job.storedMessages, undefined);
+});
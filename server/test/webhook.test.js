@@ -0,0 +1,100 @@
+/**
+ * @fileoverview Tests for the secret token check of webhook requests.
+ */
+
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const TelegramService = require('../src/services/telegramService');
+const { DEFAULT_CONFIGURATION } = require('../src/config');
+
+let telegramService;
+let managedBot;
+let processedUpdates;
+
+/**
+ * Posts an update to the bot's webhook path.
+ * @param {string|undefined} secret - Secret token header, omitted if undefined.
+ * @returns {Promise<number>} HTTP status code.
+ */
+function postUpdate(secret) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (secret !== undefined) {
+        headers['X-Telegram-Bot-Api-Secret-Token'] = secret;
+    }
+
+    return new Promise((resolve, reject) => {
+        const request = http.request({
+            host: '127.0.0.1',
+            port: telegramService._webhookServer.address().port,
+            method: 'POST',
+            path: `/telegram/${managedBot.id}`,
+            headers: headers,
+        }, (response) => {
+            response.resume();
+            response.on('end', () => resolve(response.statusCode));
+        });
+        request.on('error', reject);
+        request.end(JSON.stringify({ update_id: 1 }));
+    });
+}
+
+/**
+ * Creates a service whose configuration uses the given base secret.
+ * @param {string} secretToken - Configured webhook.secretToken.
+ * @returns {TelegramService} The service.
+ */
+function createService(secretToken) {
+    TelegramService.resetInstance();
+    const service = TelegramService.getInstance();
+    service._configuration = {
+        ...DEFAULT_CONFIGURATION,
+        webhook: { ...DEFAULT_CONFIGURATION.webhook, publicUrl: 'https://example.com', host: '127.0.0.1', port: 0, secretToken: secretToken },
+    };
+    return service;
+}
+
+beforeEach(async () => {
+    telegramService = createService('');
+    processedUpdates = [];
+    managedBot = {
+        id: '123',
+        characterName: 'Tester',
+        instance: {
+            setWebHook: async (url, options) => {
+                managedBot.registeredSecret = options.secret_token;
+            },
+            processUpdate: (update) => processedUpdates.push(update),
+        },
+    };
+    telegramService._managedBots.set(managedBot.id, managedBot);
+
+    assert.ok(await telegramService._registerWebhook(managedBot, false));
+    assert.ok(await telegramService._startWebhookServer());
+});
+
+afterEach(async () => {
+    await telegramService._stopWebhookServer();
+    TelegramService.resetInstance();
+});
+
+test('accepts updates carrying the registered secret', async () => {
+    assert.strictEqual(await postUpdate(managedBot.registeredSecret), 200);
+    assert.deepStrictEqual(processedUpdates, [{ update_id: 1 }]);
+});
+
+test('rejects updates with a wrong or missing secret', async () => {
+    assert.strictEqual(await postUpdate('wrong'), 401);
+    assert.strictEqual(await postUpdate(`${managedBot.registeredSecret}x`), 401);
+    assert.strictEqual(await postUpdate(undefined), 401);
+    assert.deepStrictEqual(processedUpdates, []);
+});
+
+test('a configured secretToken gives each bot its own stable secret', () => {
+    const first = createService('base-secret')._createWebhookSecret('123');
+    const second = createService('base-secret')._createWebhookSecret('123');
+    const otherBot = createService('base-secret')._createWebhookSecret('456');
+
+    assert.strictEqual(first, second);
+    assert.notStrictEqual(first, otherBot);
+});